@@ -0,0 +1,64 @@
+/**
+ * Расположение внешних ресурсов редактора. По умолчанию всё лежит в репозитории (vendor/ и assets/),
+ * поэтому редактор работает без доступа к CDN.
+ *
+ * Адреса можно переопределить, задав `window.UPLOADER_ASSETS` в обычном скрипте до загрузки `src/main.js`:
+ * `<script>window.UPLOADER_ASSETS = { hdrUrl: 'https://example.com/studio.hdr' };</script>`.
+ * Модули three задаются importmap в index.html: его читают и основной поток, и воркер разбора.
+ *
+ * HDR-карта по умолчанию, assets/hdr/neutral.hdr, — студийное окружение Poly Haven (CC0) размером 512×256.
+ */
+
+/**
+ * @typedef {{
+ *   dracoDecoderPath: string,
+ *   ktx2TranscoderPath: string,
+ *   dracoEncoderUrl: string,
+ *   hdrUrl: string,
+ *   hdrFallbackUrl: string,
+ * }} AssetConfig
+ * `dracoDecoderPath` — каталог с draco_decoder.js, draco_wasm_wrapper.js и draco_decoder.wasm (со слешем в конце).
+ * `ktx2TranscoderPath` — каталог с basis_transcoder.js и basis_transcoder.wasm (со слешем в конце).
+ * `dracoEncoderUrl` — draco_encoder.js для сжатия геометрии при экспорте GLB; загружается только по запросу.
+ * `hdrUrl` — HDR-карта окружения сцены по умолчанию.
+ * `hdrFallbackUrl` — откуда загрузить HDR-карту, если по `hdrUrl` её нет; по умолчанию пустая строка: запасного адреса нет.
+ */
+
+/** @type {AssetConfig} */
+const DEFAULT_ASSETS = {
+  dracoDecoderPath: new URL('../vendor/three/examples/jsm/libs/draco/', import.meta.url).href,
+  ktx2TranscoderPath: new URL('../vendor/three/examples/jsm/libs/basis/', import.meta.url).href,
+  dracoEncoderUrl: new URL('../vendor/three/examples/jsm/libs/draco/draco_encoder.js', import.meta.url).href,
+  hdrUrl: new URL('../assets/hdr/neutral.hdr', import.meta.url).href,
+  hdrFallbackUrl: '',
+};
+
+/**
+ * Итоговые адреса ресурсов. Все адреса абсолютные: их передают в воркер, у которого другой базовый URL.
+ * Пустые адреса остаются пустыми.
+ * @type {Readonly<AssetConfig>}
+ */
+export const ASSETS = Object.freeze(
+  /** @type {AssetConfig} */ (
+    Object.fromEntries(
+      Object.entries({ ...DEFAULT_ASSETS, ...globalThis.UPLOADER_ASSETS }).map(([key, value]) => [
+        key,
+        value ? new URL(String(value), document.baseURI).href : '',
+      ]),
+    )
+  ),
+);
+
+/**
+ * Возвращает абсолютный адрес модуля из importmap страницы.
+ * @param {string} specifier Ключ importmap, например `three` или `GLTFLoader`.
+ * @returns {string}
+ */
+export function resolveModuleUrl(specifier) {
+  const script = document.querySelector('script[type="importmap"]');
+  const imports = script?.textContent ? JSON.parse(script.textContent).imports ?? {} : {};
+  if (!imports[specifier]) {
+    throw new Error(`Module "${specifier}" is missing from the import map`);
+  }
+  return new URL(imports[specifier], document.baseURI).href;
+}
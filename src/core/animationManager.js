@@ -0,0 +1,287 @@
+import { AnimationMixer, LoopOnce, LoopRepeat } from 'three';
+
+/**
+ * Описание клипа для интерфейса.
+ * @typedef {{ id: string; name: string; duration: number; modelName: string }} ClipInfo
+ */
+
+/**
+ * Состояние воспроизведения активного клипа.
+ * @typedef {{ clipId: string | null; playing: boolean; loop: boolean; time: number; duration: number }} PlaybackState
+ */
+
+/**
+ * Воспроизводит анимации импортированных моделей через AnimationMixer.
+ * У каждой модели свой микшер; одновременно проигрывается только один выбранный клип.
+ * События: `clipschange` (изменился набор клипов), `statechange` (клип, пауза, зацикливание)
+ * и `timeupdate` (текущее время клипа).
+ */
+export class AnimationManager extends EventTarget {
+  constructor() {
+    super();
+    /** @type {Map<import('three').Object3D, { mixer: AnimationMixer; clips: import('three').AnimationClip[]; name: string }>} */
+    this.models = new Map();
+    /** @type {{ model: import('three').Object3D; clip: import('three').AnimationClip; action: import('three').AnimationAction } | null} */
+    this.active = null;
+    this.playing = false;
+    this.loop = true;
+  }
+
+  /**
+   * Регистрирует модель с её клипами. Первый добавленный клип сразу становится активным.
+   * @param {import('three').Object3D} root Узел, относительно которого треки клипов ищут объекты по имени.
+   * @param {import('three').AnimationClip[]} clips
+   * @param {string} name
+   */
+  addModel(root, clips, name) {
+    if (clips.length === 0) {
+      return;
+    }
+    const mixer = new AnimationMixer(root);
+    mixer.addEventListener('finished', (event) => {
+      if (this.active?.action === event.action) {
+        this.playing = false;
+        this.#dispatchState();
+      }
+    });
+    this.models.set(root, { mixer, clips, name });
+    this.dispatchEvent(new CustomEvent('clipschange', { detail: { clips: this.getClips() } }));
+    if (!this.active) {
+      this.selectClip(clips[0].uuid);
+    }
+  }
+
+  /**
+   * Забывает модели, находящиеся внутри удаляемого объекта (или совпадающие с ним).
+   * @param {import('three').Object3D} object
+   */
+  removeModelsWithin(object) {
+    let changed = false;
+    Array.from(this.models.keys()).forEach((root) => {
+      if (!this.#isWithin(root, object)) {
+        return;
+      }
+      const { mixer } = /** @type {{ mixer: AnimationMixer }} */ (this.models.get(root));
+      mixer.stopAllAction();
+      mixer.uncacheRoot(root);
+      this.models.delete(root);
+      if (this.active?.model === root) {
+        this.active = null;
+        this.playing = false;
+      }
+      changed = true;
+    });
+    if (!changed) {
+      return;
+    }
+    this.dispatchEvent(new CustomEvent('clipschange', { detail: { clips: this.getClips() } }));
+    const [first] = this.getClips();
+    if (!this.active && first) {
+      this.selectClip(first.id);
+    } else if (!this.active) {
+      this.#dispatchState();
+    }
+  }
+
+  /**
+   * Модели с клипами, лежащие внутри объекта (или совпадающие с ним).
+   * @param {import('three').Object3D} object
+   * @returns {{ root: import('three').Object3D; clips: import('three').AnimationClip[]; name: string }[]}
+   */
+  getModelsWithin(object) {
+    const result = [];
+    this.models.forEach(({ clips, name }, root) => {
+      if (this.#isWithin(root, object)) {
+        result.push({ root, clips, name });
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Останавливает активный клип, возвращая его модель в исходную позу: кости, трансформации и веса морфинга
+   * получают значения, сохранённые до первого кадра анимации. Экспорт читает сцену синхронно,
+   * поэтому поза восстанавливается раньше, чем вьюпорт успеет её нарисовать.
+   * @returns {() => void} Возвращает клип в прежнее время и состояние паузы.
+   */
+  holdRestPose() {
+    if (!this.active) {
+      return () => {};
+    }
+    const { action, model } = this.active;
+    const { time, paused, enabled } = action;
+    action.stop();
+    return () => {
+      action.play();
+      action.time = time;
+      action.paused = paused;
+      action.enabled = enabled;
+      this.#getMixer(model)?.update(0);
+    };
+  }
+
+  /**
+   * Список клипов всех моделей.
+   * @returns {ClipInfo[]}
+   */
+  getClips() {
+    const result = [];
+    this.models.forEach(({ clips, name }) => {
+      clips.forEach((clip) => {
+        result.push({ id: clip.uuid, name: clip.name || 'Clip', duration: clip.duration, modelName: name });
+      });
+    });
+    return result;
+  }
+
+  /**
+   * @returns {PlaybackState}
+   */
+  getState() {
+    return {
+      clipId: this.active?.clip.uuid ?? null,
+      playing: this.playing,
+      loop: this.loop,
+      time: this.active?.action.time ?? 0,
+      duration: this.active?.clip.duration ?? 0,
+    };
+  }
+
+  /**
+   * Делает клип активным. Предыдущий клип останавливается, и его модель возвращается в исходную позу.
+   * Новый клип встаёт на первый кадр и проигрывается, если воспроизведение не было на паузе.
+   * @param {string} clipId
+   */
+  selectClip(clipId) {
+    for (const [model, { mixer, clips }] of this.models) {
+      const clip = clips.find((candidate) => candidate.uuid === clipId);
+      if (!clip) {
+        continue;
+      }
+      if (this.active) {
+        this.active.action.stop();
+        this.#getMixer(this.active.model)?.update(0);
+      }
+      const action = mixer.clipAction(clip);
+      this.active = { model, clip, action };
+      this.#applyLoop();
+      action.reset();
+      action.paused = !this.playing;
+      action.play();
+      mixer.update(0);
+      this.#dispatchState();
+      this.#dispatchTime();
+      return;
+    }
+  }
+
+  /**
+   * Запускает воспроизведение. Клип без повтора, доигранный до конца, начинается сначала.
+   */
+  play() {
+    if (!this.active) {
+      return;
+    }
+    const { action, clip } = this.active;
+    if (!this.loop && action.time >= clip.duration) {
+      action.reset();
+    }
+    action.paused = false;
+    action.play();
+    this.playing = true;
+    this.#dispatchState();
+  }
+
+  /**
+   * Ставит воспроизведение на паузу, оставляя модель в текущей позе.
+   */
+  pause() {
+    if (!this.active) {
+      return;
+    }
+    this.active.action.paused = true;
+    this.playing = false;
+    this.#dispatchState();
+  }
+
+  /**
+   * Включает или выключает повтор клипа.
+   * @param {boolean} loop
+   */
+  setLoop(loop) {
+    this.loop = loop;
+    this.#applyLoop();
+    this.#dispatchState();
+  }
+
+  /**
+   * Перематывает активный клип на указанное время в секундах.
+   * @param {number} time
+   */
+  seek(time) {
+    if (!this.active) {
+      return;
+    }
+    const { action, clip, model } = this.active;
+    action.enabled = true;
+    action.time = Math.min(Math.max(time, 0), clip.duration);
+    this.#getMixer(model)?.update(0);
+    this.#dispatchTime();
+  }
+
+  /**
+   * Продвигает активный клип; вызывается из цикла рендера.
+   * @param {number} delta Время от прошлого кадра в секундах.
+   */
+  update(delta) {
+    if (!this.active || !this.playing) {
+      return;
+    }
+    this.#getMixer(this.active.model)?.update(delta);
+    this.#dispatchTime();
+  }
+
+  /**
+   * Настраивает режим повтора активного действия. Без повтора клип замирает на последнем кадре.
+   */
+  #applyLoop() {
+    if (!this.active) {
+      return;
+    }
+    const { action } = this.active;
+    action.setLoop(this.loop ? LoopRepeat : LoopOnce, Infinity);
+    action.clampWhenFinished = !this.loop;
+  }
+
+  /**
+   * @param {import('three').Object3D} model
+   * @returns {AnimationMixer | undefined}
+   */
+  #getMixer(model) {
+    return this.models.get(model)?.mixer;
+  }
+
+  /**
+   * Проверяет, лежит ли объект внутри контейнера (или совпадает с ним).
+   * @param {import('three').Object3D} object
+   * @param {import('three').Object3D} container
+   * @returns {boolean}
+   */
+  #isWithin(object, container) {
+    for (let current = object; current; current = current.parent) {
+      if (current === container) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  #dispatchState() {
+    this.dispatchEvent(new CustomEvent('statechange', { detail: this.getState() }));
+  }
+
+  #dispatchTime() {
+    const state = this.getState();
+    this.dispatchEvent(new CustomEvent('timeupdate', { detail: { time: state.time, duration: state.duration } }));
+  }
+}
@@ -0,0 +1,984 @@
+import { GLTFExporter } from 'GLTFExporter';
+import { USDZExporter } from 'USDZExporter';
+import { decompress } from 'TextureUtils';
+import {
+  CanvasTexture,
+  DataUtils,
+  DoubleSide,
+  FloatType,
+  HalfFloatType,
+  MathUtils,
+  PropertyBinding,
+  RGBAFormat,
+  SRGBColorSpace,
+  UnsignedByteType,
+} from 'three';
+import { ASSETS } from '../config.js';
+import { compressGLB, replaceGLBImages } from './glbCompression.js';
+import { WorkerCompressor } from './workerCompressor.js';
+
+/** Веса морфинга по умолчанию, сохранённые в MorphPanel: массив по индексу цели, `null` — вес не сохранён. */
+const MORPH_DEFAULTS_KEY = '__morphDefaults';
+
+/**
+ * Тип размещения из InfoPanel и выравнивание плоскости привязки AR Quick Look
+ * (`preliminary:planeAnchoring:alignment`). Quick Look различает только горизонтальные и вертикальные плоскости,
+ * поэтому потолок и ковёр привязываются к горизонтальной плоскости.
+ */
+const USDZ_PLANE_ALIGNMENTS = {
+  all: 'any',
+  floor: 'horizontal',
+  carpet: 'horizontal',
+  ceiling: 'horizontal',
+  wall: 'vertical',
+};
+
+/** Свойства узлов, которые анимация glTF может менять. */
+const GLTF_ANIMATED_PROPERTIES = ['position', 'quaternion', 'scale', 'morphTargetInfluences'];
+
+/** Карты материала, которые USDZExporter записывает в архив. */
+const USDZ_TEXTURE_PROPS = ['map', 'emissiveMap', 'normalMap', 'aoMap', 'roughnessMap', 'metalnessMap'];
+
+/**
+ * Собранный файл и предупреждения о том, что не удалось перенести в формат без потерь.
+ * @typedef {{ blob: Blob; warnings: string[] }} ExportResult
+ */
+
+/**
+ * @typedef {'glb' | 'usdz'} ExportTarget
+ */
+
+/**
+ * GLB без сжатия геометрии: из него собираются варианты файла с разными настройками сжатия.
+ * @typedef {{ buffer: ArrayBuffer; warnings: string[] }} GlbBuild
+ */
+
+/**
+ * Настройки текстур при экспорте GLB.
+ * `maxSize` — наибольшая сторона в пикселях, 0 — без ограничения; `powerOfTwo` — стороны округляются до степени двойки;
+ * `baseColorFormat` — формат карты базового цвета без прозрачности (карты с альфа-каналом остаются PNG);
+ * `quality` — качество JPEG и WebP от 0 до 1.
+ * @typedef {{
+ *   maxSize: number,
+ *   powerOfTwo: boolean,
+ *   baseColorFormat: 'png' | 'jpeg' | 'webp',
+ *   quality: number,
+ * }} TextureSettings
+ */
+
+/**
+ * Настройки по умолчанию сохраняют текстуры как есть.
+ * @type {Readonly<TextureSettings>}
+ */
+export const TEXTURE_SETTINGS_DEFAULTS = Object.freeze({
+  maxSize: 0,
+  powerOfTwo: false,
+  baseColorFormat: 'png',
+  quality: 0.85,
+});
+
+/**
+ * Холст карты базового цвета, который после сборки GLB кодируется в JPEG или WebP.
+ * @typedef {{ canvas: HTMLCanvasElement; mimeType: string }} ImageEncoding
+ */
+
+/**
+ * Текстуры одной сборки GLB: копии нужного размера по исходной текстуре и роли и холсты для перекодирования.
+ * Копия `null` — текстура, которую нельзя сохранить в GLB; она не попадает в файл.
+ * @typedef {{
+ *   settings: TextureSettings,
+ *   copies: Map<string, import('three').Texture | null>,
+ *   encodings: Map<import('three').Texture, ImageEncoding>,
+ * }} TextureExport
+ */
+
+/**
+ * Примерный размер изображений в GLB в байтах на пиксель; для JPEG и WebP — при качестве 0.8.
+ */
+const IMAGE_BYTES_PER_PIXEL = { png: 2, jpeg: 0.35, webp: 0.25 };
+const IMAGE_REFERENCE_QUALITY = 0.8;
+
+/**
+ * Доля от квантованного размера атрибутов, которая остаётся после предсказания Draco,
+ * и байт связности на треугольник. Подобраны по типичным мешам каталога, для оценки до сжатия.
+ */
+const DRACO_ATTRIBUTE_RATIO = 0.4;
+const DRACO_BYTES_PER_TRIANGLE = 0.25;
+
+/** JSON-часть GLB: общий заголовок и описание одного меша с материалом. */
+const GLB_JSON_BASE_BYTES = 1024;
+const GLB_JSON_MESH_BYTES = 400;
+
+/** Карты материала, изображения которых попадают в GLB. */
+const GLB_TEXTURE_PROPS = [
+  'map',
+  'normalMap',
+  'aoMap',
+  'roughnessMap',
+  'metalnessMap',
+  'emissiveMap',
+  'alphaMap',
+  'clearcoatMap',
+  'clearcoatRoughnessMap',
+  'clearcoatNormalMap',
+  'sheenColorMap',
+  'sheenRoughnessMap',
+  'transmissionMap',
+  'thicknessMap',
+  'specularIntensityMap',
+  'specularColorMap',
+  'iridescenceMap',
+  'iridescenceThicknessMap',
+];
+
+/**
+ * Проверяет, что значение переживёт JSON без потерь: в extras попадают только простые данные,
+ * а не текстуры и материалы из служебных полей userData.
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+function isPlainData(value) {
+  if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) {
+    return true;
+  }
+  if (Array.isArray(value)) {
+    return value.every(isPlainData);
+  }
+  return (
+    typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype && Object.values(value).every(isPlainData)
+  );
+}
+
+/**
+ * Оставляет в userData только данные для glTF extras: служебные ключи `__*` и рабочие поля редактора отбрасываются.
+ * @param {Record<string, unknown> | undefined} userData
+ * @returns {Record<string, unknown>}
+ */
+function toExtras(userData) {
+  return Object.fromEntries(
+    Object.entries(userData ?? {}).filter(
+      ([key, value]) => !key.startsWith('__') && key !== 'alphaMode' && key !== 'source' && isPlainData(value),
+    ),
+  );
+}
+
+/**
+ * Группа битов квантования Draco, в которую попадает атрибут three.
+ * @param {string} name
+ * @returns {keyof import('./glbCompression.js').DracoQuantization}
+ */
+function dracoQuantizationKey(name) {
+  if (name === 'position' || name === 'normal' || name === 'color') {
+    return name;
+  }
+  return name.startsWith('uv') ? 'texcoord' : 'generic';
+}
+
+/**
+ * Проверяет, что изображение текстуры можно нарисовать на холсте как есть.
+ * @param {any} image
+ * @returns {boolean}
+ */
+function isDrawableImage(image) {
+  return (
+    (typeof HTMLImageElement !== 'undefined' && image instanceof HTMLImageElement) ||
+    (typeof HTMLCanvasElement !== 'undefined' && image instanceof HTMLCanvasElement) ||
+    (typeof OffscreenCanvas !== 'undefined' && image instanceof OffscreenCanvas) ||
+    (typeof ImageBitmap !== 'undefined' && image instanceof ImageBitmap)
+  );
+}
+
+/**
+ * Переводит данные RGBA DataTexture в 8 бит на канал. Значения с плавающей точкой обрезаются до [0, 1].
+ * @param {import('three').Texture} texture
+ * @returns {Uint8ClampedArray | null} null, если формат данных не RGBA или тип компонент не поддерживается.
+ */
+function readDataTexturePixels(texture) {
+  const image = /** @type {any} */ (texture.image);
+  if (!image?.data || texture.format !== RGBAFormat) {
+    return null;
+  }
+  const pixels = new Uint8ClampedArray(image.width * image.height * 4);
+  if (texture.type === UnsignedByteType) {
+    pixels.set(image.data.subarray(0, pixels.length));
+  } else if (texture.type === FloatType) {
+    for (let index = 0; index < pixels.length; index += 1) {
+      pixels[index] = image.data[index] * 255;
+    }
+  } else if (texture.type === HalfFloatType) {
+    for (let index = 0; index < pixels.length; index += 1) {
+      pixels[index] = DataUtils.fromHalfFloat(image.data[index]) * 255;
+    }
+  } else {
+    return null;
+  }
+  return pixels;
+}
+
+/**
+ * @param {Uint8ClampedArray} pixels
+ * @param {number} width
+ * @param {number} height
+ * @returns {HTMLCanvasElement}
+ */
+function createPixelCanvas(pixels, width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext('2d')?.putImageData(new ImageData(pixels, width, height), 0, 0);
+  return canvas;
+}
+
+/**
+ * Переносит на новую текстуру имя, ориентацию, повтор и смещение исходной.
+ * @template {import('three').Texture} T
+ * @param {import('three').Texture} source
+ * @param {T} target
+ * @returns {T}
+ */
+function copyTextureSettings(source, target) {
+  target.name = source.name;
+  target.flipY = source.flipY;
+  target.wrapS = source.wrapS;
+  target.wrapT = source.wrapT;
+  target.offset.copy(source.offset);
+  target.repeat.copy(source.repeat);
+  target.rotation = source.rotation;
+  target.channel = source.channel;
+  return target;
+}
+
+/**
+ * Рисует изображение текстуры на холсте указанного размера, при необходимости отражая его по вертикали.
+ * @param {CanvasRenderingContext2D} context
+ * @param {any} image Изображение, холст, ImageBitmap или данные DataTexture.
+ * @param {number} width
+ * @param {number} height
+ * @param {boolean} flip
+ */
+function drawTextureImage(context, image, width, height, flip) {
+  let source = image;
+  if (image?.data) {
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const pixels = new Uint8ClampedArray(image.width * image.height * 4);
+    pixels.set(image.data.subarray(0, pixels.length));
+    canvas.getContext('2d')?.putImageData(new ImageData(pixels, image.width, image.height), 0, 0);
+    source = canvas;
+  }
+  context.save();
+  if (flip) {
+    context.translate(0, height);
+    context.scale(1, -1);
+  }
+  context.drawImage(source, 0, 0, width, height);
+  context.restore();
+}
+
+/**
+ * Размер текстуры после ограничения наибольшей стороны и округления до степени двойки. Пропорции сохраняются,
+ * пока их не меняет округление.
+ * @param {number} width
+ * @param {number} height
+ * @param {TextureSettings} settings
+ * @returns {{ width: number; height: number }}
+ */
+function fitTextureSize(width, height, { maxSize, powerOfTwo }) {
+  const scale = maxSize > 0 ? Math.min(1, maxSize / Math.max(width, height)) : 1;
+  const fit = (size) => {
+    const scaled = Math.max(1, Math.round(size * scale));
+    if (!powerOfTwo) {
+      return scaled;
+    }
+    const power = 2 ** Math.round(Math.log2(scaled));
+    return maxSize > 0 ? Math.min(power, MathUtils.floorPowerOfTwo(maxSize)) : power;
+  };
+  return { width: fit(width), height: fit(height) };
+}
+
+/**
+ * @param {CanvasRenderingContext2D} context
+ * @param {number} width
+ * @param {number} height
+ * @returns {boolean} На холсте есть хотя бы один не полностью непрозрачный пиксель.
+ */
+function canvasHasAlpha(context, width, height) {
+  const { data } = context.getImageData(0, 0, width, height);
+  for (let offset = 3; offset < data.length; offset += 4) {
+    if (data[offset] < 255) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Выгружает отредактированную сцену в файлы для каталога.
+ * Экспортируются верхние объекты `SceneManager.meshRegistry`; скрытые кнопкой Hide объекты и их потомки пропускаются.
+ * Модели пишутся в исходной позе, а клипы из AnimationManager попадают в GLB как анимации glTF.
+ * На время разбора сцены материалы мешей подменяются копиями, приведёнными к glTF:
+ * прозрачность по `userData.alphaMode`, карта прозрачности — в альфа-канале базового цвета,
+ * без нейтральной нормал-карты редактора и без служебных полей userData.
+ */
+export class ExportManager {
+  /**
+   * @param {import('./sceneManager.js').SceneManager} sceneManager
+   * @param {import('./animationManager.js').AnimationManager} animationManager
+   */
+  constructor(sceneManager, animationManager) {
+    this.sceneManager = sceneManager;
+    this.animationManager = animationManager;
+    this.compressor = new WorkerCompressor(ASSETS.dracoEncoderUrl);
+    /**
+     * Модуль энкодера Draco для сжатия в основном потоке, если воркер недоступен.
+     * Загружается при первом сжатии и остаётся в памяти до закрытия страницы.
+     * @type {Promise<{ module: any }> | null}
+     */
+    this.dracoEncoder = null;
+  }
+
+  /**
+   * Собирает сцену в GLB со сжатием геометрии и текстур.
+   * @param {import('./glbCompression.js').GeometryCompression} [compression]
+   * @param {TextureSettings} [textureSettings]
+   * @returns {Promise<ExportResult>}
+   */
+  async exportGLB(compression = { method: 'none' }, textureSettings = TEXTURE_SETTINGS_DEFAULTS) {
+    return this.compressGLB(await this.buildGLB(textureSettings), compression);
+  }
+
+  /**
+   * Сжимает собранный GLB в воркере. Исходная сборка не меняется, поэтому из неё можно получить несколько вариантов.
+   * Если воркер запустить не удалось, сжатие идёт в основном потоке, и на время кодирования Draco
+   * страница перестаёт отвечать.
+   * @param {GlbBuild} build
+   * @param {import('./glbCompression.js').GeometryCompression} compression
+   * @returns {Promise<ExportResult>}
+   */
+  async compressGLB(build, compression) {
+    const { buffer, warnings } = await this.#compress(build.buffer, compression);
+    return { blob: new Blob([buffer], { type: 'model/gltf-binary' }), warnings: [...build.warnings, ...warnings] };
+  }
+
+  /**
+   * Оценивает размер GLB по геометрии и текстурам сцены, не собирая файл.
+   * Для Draco, JPEG и WebP это грубая оценка: настоящий размер зависит от формы модели и содержимого текстур.
+   * @param {import('./glbCompression.js').GeometryCompression} compression
+   * @param {TextureSettings} [textureSettings]
+   * @returns {number} Байты.
+   */
+  estimateGLBSize(compression, textureSettings = TEXTURE_SETTINGS_DEFAULTS) {
+    /** @type {Set<import('three').BufferGeometry>} */
+    const geometries = new Set();
+    /** @type {Map<import('three').Texture, boolean>} Текстуры и признак карты базового цвета. */
+    const textures = new Map();
+    let size = GLB_JSON_BASE_BYTES;
+    this.#collectRoots().forEach((root) => {
+      root.traverseVisible((object) => {
+        const mesh = /** @type {import('three').Mesh} */ (object);
+        if (!mesh.isMesh) {
+          return;
+        }
+        size += GLB_JSON_MESH_BYTES;
+        geometries.add(mesh.geometry);
+        (Array.isArray(mesh.material) ? mesh.material : [mesh.material]).forEach((material) => {
+          GLB_TEXTURE_PROPS.forEach((prop) => {
+            const texture = /** @type {any} */ (material)[prop];
+            if (texture?.isTexture && texture.userData?.__isUploaded !== false) {
+              textures.set(texture, textures.get(texture) || prop === 'map');
+            }
+          });
+        });
+      });
+    });
+    geometries.forEach((geometry) => {
+      size += this.#estimateGeometrySize(geometry, compression);
+    });
+    textures.forEach((isBaseColor, texture) => {
+      const image = /** @type {any} */ (texture.image);
+      if (!image?.width || !image?.height) {
+        return;
+      }
+      const { width, height } = fitTextureSize(image.width, image.height, textureSettings);
+      let format = texture.userData?.mimeType === 'image/jpeg' ? 'jpeg' : 'png';
+      if (isBaseColor && textureSettings.baseColorFormat !== 'png' && texture.userData?.__hasAlpha !== true) {
+        format = textureSettings.baseColorFormat;
+      }
+      const quality = format === 'png' ? 1 : textureSettings.quality / IMAGE_REFERENCE_QUALITY;
+      size += width * height * IMAGE_BYTES_PER_PIXEL[format] * quality;
+    });
+    return Math.round(size);
+  }
+
+  /**
+   * Собирает сцену в GLB без сжатия геометрии. Текстуры уменьшаются по настройкам, а карты базового цвета
+   * без прозрачности перекодируются в JPEG или WebP уже в готовом файле: GLTFExporter не принимает качество
+   * сжатия и сохраняет WebP как PNG.
+   * @param {TextureSettings} [textureSettings]
+   * @returns {Promise<GlbBuild>}
+   */
+  async buildGLB(textureSettings = TEXTURE_SETTINGS_DEFAULTS) {
+    const roots = this.#collectRoots();
+    const exporter = new GLTFExporter();
+    /** @type {string[]} */
+    const warnings = [];
+    /** @type {TextureExport} */
+    const textures = { settings: textureSettings, copies: new Map(), encodings: new Map() };
+    /** @type {Map<number, ImageEncoding>} Холсты для перекодирования по индексу изображения в GLB. */
+    const images = new Map();
+    const animated = roots.flatMap((root) => this.animationManager.getModelsWithin(root));
+    exporter.register((writer) => ({
+      writeTexture: (map, textureDef) => {
+        const encoding = textures.encodings.get(map);
+        if (encoding) {
+          images.set(textureDef.source, encoding);
+        }
+      },
+      // Опция animations разрешает треки только относительно первого корня, поэтому клипы пишутся здесь,
+      // относительно корня своей модели, когда все узлы уже записаны.
+      afterParse: () => {
+        animated.forEach(({ root, clips }) => {
+          clips.forEach((clip) => this.#writeAnimation(writer, clip, root, warnings));
+        });
+      },
+    }));
+    const restore = this.#prepareScene(roots, 'glb', warnings, textures);
+    /** @type {Promise<ArrayBuffer | { [key: string]: any }>} */
+    let result;
+    try {
+      // GLTFExporter обходит сцену синхронно в начале parseAsync, дальше только кодирует изображения,
+      // поэтому подменённые материалы и веса возвращаются сразу и не успевают попасть во вьюпорт.
+      // Размер текстур уже подобран в #prepareTexture: maxTextureSize GLTFExporter ограничивает каждую сторону
+      // отдельно и исказил бы пропорции.
+      result = exporter.parseAsync(roots, {
+        binary: true,
+        onlyVisible: true,
+        // Анимация glTF меняет только трансформации TRS, а не матрицы узлов.
+        trs: animated.length > 0,
+      });
+    } finally {
+      restore();
+    }
+    const buffer = /** @type {ArrayBuffer} */ (await result);
+    const encoded = await this.#encodeImages(images, textureSettings.quality, warnings);
+    return { buffer: replaceGLBImages(buffer, encoded), warnings };
+  }
+
+  /**
+   * Собирает сцену в USDZ для AR Quick Look. Тип размещения записывается в метаданные привязки сцены.
+   * USDZExporter читает сцену до первой асинхронной операции, как и GLTFExporter.
+   * @param {keyof typeof USDZ_PLANE_ALIGNMENTS} [placement]
+   * @returns {Promise<ExportResult>}
+   */
+  async exportUSDZ(placement = 'floor') {
+    const roots = this.#collectRoots();
+    const exporter = new USDZExporter();
+    /** @type {string[]} */
+    const warnings = [];
+    const animated = roots.flatMap((root) => this.animationManager.getModelsWithin(root));
+    if (animated.length > 0) {
+      const names = animated.map(({ name }) => name).join(', ');
+      warnings.push(`Animations of ${names} are not included: USDZ is exported in the rest pose.`);
+    }
+    if (placement === 'ceiling') {
+      warnings.push(
+        'AR Quick Look cannot anchor models to ceilings: the model will be placed on a horizontal surface such as the floor.',
+      );
+    }
+    const restore = this.#prepareScene(roots, 'usdz', warnings);
+    roots.forEach((root) => root.updateMatrixWorld(true));
+    /** @type {Promise<Uint8Array>} */
+    let result;
+    try {
+      // USDZExporter обходит один объект; корни сцены передаются без переноса в общую группу.
+      const scene = /** @type {any} */ ({
+        traverseVisible: (callback) => roots.forEach((root) => root.traverseVisible(callback)),
+      });
+      result = exporter.parse(scene, {
+        ar: {
+          anchoring: { type: 'plane' },
+          planeAnchoring: { alignment: USDZ_PLANE_ALIGNMENTS[placement] ?? 'horizontal' },
+        },
+        quickLookCompatible: true,
+      });
+    } finally {
+      restore();
+    }
+    const bytes = await result;
+    return { blob: new Blob([bytes], { type: 'model/vnd.usdz+zip' }), warnings };
+  }
+
+  /**
+   * @param {import('three').BufferGeometry} geometry
+   * @param {import('./glbCompression.js').GeometryCompression} compression
+   * @returns {number} Байты вершин и индексов в бинарном блоке.
+   */
+  #estimateGeometrySize(geometry, compression) {
+    const vertexCount = geometry.attributes.position?.count ?? 0;
+    const indexCount = geometry.index?.count ?? vertexCount;
+    const hasMorphs = Object.keys(geometry.morphAttributes).length > 0;
+    const isSkinned = Boolean(geometry.attributes.skinIndex);
+    let size = Object.values(geometry.morphAttributes)
+      .flat()
+      .reduce((total, attribute) => total + attribute.count * attribute.itemSize * 4, 0);
+
+    if (compression.method === 'draco' && !hasMorphs) {
+      const { quantization } = compression;
+      const bitsPerVertex = Object.entries(geometry.attributes).reduce(
+        (total, [name, attribute]) => total + quantization[dracoQuantizationKey(name)] * attribute.itemSize,
+        0,
+      );
+      const attributeBytes = (vertexCount * bitsPerVertex * DRACO_ATTRIBUTE_RATIO) / 8;
+      return size + attributeBytes + (indexCount / 3) * DRACO_BYTES_PER_TRIANGLE;
+    }
+
+    Object.entries(geometry.attributes).forEach(([name, attribute]) => {
+      const { array } = /** @type {any} */ (attribute);
+      let itemBytes = array.BYTES_PER_ELEMENT * attribute.itemSize;
+      if (compression.method === 'quantize' && array instanceof Float32Array) {
+        if (name === 'position' && !hasMorphs && !isSkinned) {
+          itemBytes = 8;
+        } else if (name === 'normal' || name === 'tangent' || name.startsWith('uv')) {
+          itemBytes = 4;
+        }
+      }
+      size += attribute.count * itemBytes;
+    });
+    return size + indexCount * (geometry.index?.array.BYTES_PER_ELEMENT ?? (vertexCount > 0xffff ? 4 : 2));
+  }
+
+  /**
+   * @param {ArrayBuffer} buffer
+   * @param {import('./glbCompression.js').GeometryCompression} compression
+   * @returns {Promise<{ buffer: ArrayBuffer; warnings: string[] }>}
+   */
+  async #compress(buffer, compression) {
+    if (compression.method === 'none') {
+      return { buffer, warnings: [] };
+    }
+    if (this.compressor.available) {
+      try {
+        return await this.compressor.compress(buffer, compression);
+      } catch (error) {
+        if (this.compressor.available) {
+          throw error;
+        }
+        console.warn('Compression worker is unavailable, compressing on the main thread', error);
+      }
+    }
+    const draco = compression.method === 'draco' ? (await this.#loadDracoEncoder()).module : undefined;
+    return compressGLB(buffer, compression, draco);
+  }
+
+  /**
+   * Загружает draco_encoder.js обычным скриптом: сборка asm.js объявляет глобальную фабрику DracoEncoderModule.
+   * У модуля Emscripten есть метод then, поэтому он возвращается в обёртке: промис, разрешённый самим модулем,
+   * снова и снова ждал бы его как thenable.
+   * @returns {Promise<{ module: any }>}
+   */
+  async #loadDracoEncoder() {
+    this.dracoEncoder ??= new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = ASSETS.dracoEncoderUrl;
+      script.onload = () => {
+        const factory = /** @type {any} */ (globalThis).DracoEncoderModule;
+        if (typeof factory !== 'function') {
+          reject(new Error(`${ASSETS.dracoEncoderUrl} does not define DracoEncoderModule`));
+          return;
+        }
+        // Сборка asm.js готова сразу после вызова фабрики, ждать onModuleLoaded не нужно.
+        resolve({ module: factory() });
+      };
+      script.onerror = () => {
+        script.remove();
+        reject(new Error(`Failed to load Draco encoder ${ASSETS.dracoEncoderUrl}`));
+      };
+      document.head.append(script);
+    });
+    try {
+      return await this.dracoEncoder;
+    } catch (error) {
+      // Следующая попытка экспорта загрузит энкодер заново, например после восстановления сети.
+      this.dracoEncoder = null;
+      throw error;
+    }
+  }
+
+  /**
+   * Возвращает видимые верхние объекты сцены.
+   * @returns {import('three').Object3D[]}
+   */
+  #collectRoots() {
+    const roots = Array.from(this.sceneManager.meshRegistry).filter((object) => object.visible);
+    let meshCount = 0;
+    roots.forEach((root) => {
+      root.traverseVisible((object) => {
+        meshCount += /** @type {import('three').Mesh} */ (object).isMesh ? 1 : 0;
+      });
+    });
+    if (meshCount === 0) {
+      throw new Error('There is nothing to export: the scene has no visible meshes.');
+    }
+    return roots;
+  }
+
+  /**
+   * Подменяет материалы, userData и веса морфинга на значения для экспорта.
+   * @param {import('three').Object3D[]} roots
+   * @param {ExportTarget} target
+   * @param {string[]} warnings Сюда добавляются предупреждения о потерях при экспорте.
+   * @param {TextureExport | null} [textures] Настройки текстур GLB; без них текстуры остаются как есть.
+   * @returns {() => void} Возвращает сцену в исходное состояние.
+   */
+  #prepareScene(roots, target, warnings, textures = null) {
+    // Клип останавливается первым и возвращается последним: веса по умолчанию ниже пишутся поверх исходной позы.
+    /** @type {(() => void)[]} */
+    const restorers = [this.animationManager.holdRestPose()];
+    /** @type {Map<import('three').Material, import('three').Material>} */
+    const materials = new Map();
+    const prepareMaterial = (material) => {
+      if (!materials.has(material)) {
+        materials.set(material, this.#prepareMaterial(material, target, warnings, textures));
+      }
+      return materials.get(material);
+    };
+
+    // Оба экспортёра пропускают скрытые объекты, поэтому готовить их не нужно.
+    roots.forEach((root) => {
+      root.traverseVisible((object) => {
+        const { userData } = object;
+        object.userData = toExtras(userData);
+        restorers.push(() => {
+          object.userData = userData;
+        });
+
+        const mesh = /** @type {import('three').Mesh} */ (object);
+        if (!mesh.isMesh) {
+          return;
+        }
+        const { material } = mesh;
+        mesh.material = Array.isArray(material) ? material.map(prepareMaterial) : prepareMaterial(material);
+        restorers.push(() => {
+          mesh.material = material;
+        });
+
+        if (target === 'usdz') {
+          if (Array.isArray(material)) {
+            warnings.push(
+              `${mesh.name || 'Mesh'} has several materials and was skipped: USDZ needs one material per mesh. ` +
+                'Import the model without "Keep multi-material meshes whole".',
+            );
+          }
+          if (mesh.morphTargetInfluences?.some((weight) => weight > 0)) {
+            warnings.push(`${mesh.name || 'Mesh'} is exported in its base shape: USDZ does not support shape keys.`);
+          }
+        }
+
+        const defaults = userData?.[MORPH_DEFAULTS_KEY];
+        if (Array.isArray(defaults) && mesh.morphTargetInfluences) {
+          // Массив весов меняется на месте: на него ссылаются привязки AnimationMixer.
+          const weights = mesh.morphTargetInfluences;
+          const influences = weights.slice();
+          defaults.forEach((weight, index) => {
+            if (typeof weight === 'number' && index < weights.length) {
+              weights[index] = weight;
+            }
+          });
+          restorers.push(() => {
+            influences.forEach((weight, index) => {
+              weights[index] = weight;
+            });
+          });
+        }
+      });
+    });
+
+    return () => {
+      restorers.reverse().forEach((restore) => restore());
+      materials.forEach((copy) => copy.dispose());
+    };
+  }
+
+  /**
+   * Записывает клип в GLB. Треки скрытых и отсутствующих узлов и свойств, которых нет в glTF, отбрасываются
+   * с предупреждением: GLTFExporter из-за одного такого трека пропустил бы весь клип.
+   * @param {any} writer GLTFWriter текущего экспорта.
+   * @param {import('three').AnimationClip} clip
+   * @param {import('three').Object3D} root Узел, относительно которого треки ищут объекты.
+   * @param {string[]} warnings
+   */
+  #writeAnimation(writer, clip, root, warnings) {
+    const name = clip.name || 'Clip';
+    const tracks = clip.tracks.filter((track) => {
+      const { nodeName, objectName, objectIndex, propertyName } = PropertyBinding.parseTrackName(track.name);
+      let node = PropertyBinding.findNode(root, nodeName);
+      if (objectName === 'bones') {
+        node = node?.isSkinnedMesh ? node.skeleton.getBoneByName(objectIndex) : undefined;
+      }
+      return GLTF_ANIMATED_PROPERTIES.includes(propertyName) && writer.nodeMap.has(node);
+    });
+    if (tracks.length === 0) {
+      warnings.push(`Animation ${name} was left out: it does not animate any exported object.`);
+      return;
+    }
+    if (tracks.length < clip.tracks.length) {
+      const skipped = clip.tracks.length - tracks.length;
+      warnings.push(`Animation ${name} lost ${skipped} track(s) for hidden objects or properties glTF cannot animate.`);
+    }
+    const exported = clip.clone();
+    exported.tracks = tracks;
+    if (writer.processAnimation(exported, root) === null) {
+      warnings.push(`Animation ${name} could not be written to GLB.`);
+    }
+  }
+
+  /**
+   * Создаёт копию материала в виде, который экспортёр переведёт в файл без потерь.
+   * @param {import('three').Material} material
+   * @param {ExportTarget} target
+   * @param {string[]} warnings
+   * @param {TextureExport | null} textures
+   * @returns {import('three').Material}
+   */
+  #prepareMaterial(material, target, warnings, textures) {
+    const source = /** @type {any} */ (material);
+    // Material.copy клонирует userData через JSON, что сериализовало бы текстуры из служебных полей.
+    const { userData } = source;
+    source.userData = {};
+    const copy = /** @type {any} */ (source.clone());
+    source.userData = userData;
+    copy.userData = toExtras(userData);
+
+    // Нейтральную нормал-карту редактор ставит сам; в файле она только добавила бы лишнюю текстуру.
+    if (copy.normalMap?.userData?.__isUploaded === false) {
+      copy.normalMap = null;
+    }
+
+    // В glTF нет отдельной карты прозрачности: она переносится в альфа-канал базового цвета.
+    if (copy.alphaMap) {
+      copy.map = this.#bakeAlphaMap(copy.map, copy.alphaMap);
+      copy.alphaMap = null;
+    }
+
+    const alphaMode = userData?.alphaMode;
+    if (alphaMode === 'OPAQUE') {
+      copy.transparent = false;
+      copy.alphaTest = 0;
+      copy.opacity = 1;
+    } else if (alphaMode === 'MASK') {
+      copy.transparent = false;
+      copy.alphaTest = copy.alphaTest > 0 ? copy.alphaTest : 0.5;
+    } else if (alphaMode === 'BLEND') {
+      copy.transparent = true;
+    }
+
+    if (textures) {
+      GLB_TEXTURE_PROPS.forEach((prop) => {
+        if (copy[prop]?.isTexture) {
+          copy[prop] = this.#prepareTexture(copy[prop], prop === 'map', textures, warnings);
+        }
+      });
+    }
+
+    if (target === 'usdz') {
+      const name = copy.name || 'Unnamed material';
+      if (!copy.isMeshStandardMaterial) {
+        warnings.push(`${name} was skipped: USDZ supports only PBR materials.`);
+      }
+      if (copy.side === DoubleSide) {
+        warnings.push(`${name} is double-sided; AR Quick Look renders only the front faces.`);
+      }
+      USDZ_TEXTURE_PROPS.forEach((prop) => {
+        if (copy[prop]) {
+          copy[prop] = this.#toUsdzTexture(copy[prop], `${name} (${prop})`, warnings);
+        }
+      });
+    }
+    return copy;
+  }
+
+  /**
+   * Рисует текстуру на холсте размера из настроек экспорта. Карта базового цвета без прозрачности
+   * отмечается для перекодирования в JPEG или WebP. Наличие прозрачности берётся из `userData.__hasAlpha`,
+   * который MaterialPanel считает при загрузке; если признака нет, проверяются пиксели холста.
+   * Сжатые текстуры распаковываются, а данные с плавающей точкой переводятся в 8 бит, чтобы и их размер
+   * подчинялся настройкам; текстуры в других форматах в GLB не попадают.
+   * @param {import('three').Texture} texture
+   * @param {boolean} isBaseColor
+   * @param {TextureExport} textures
+   * @param {string[]} warnings
+   * @returns {import('three').Texture | null}
+   */
+  #prepareTexture(texture, isBaseColor, textures, warnings) {
+    const key = `${texture.uuid}:${isBaseColor ? 'baseColor' : 'data'}`;
+    const cached = textures.copies.get(key);
+    if (cached !== undefined) {
+      return cached;
+    }
+    const { settings } = textures;
+    const readable = this.#toReadableTexture(texture, warnings);
+    const image = /** @type {any} */ (readable?.image);
+    if (!readable || !image?.width || !image?.height) {
+      textures.copies.set(key, readable);
+      return readable;
+    }
+
+    const { width, height } = fitTextureSize(image.width, image.height, settings);
+    const hasAlpha = typeof texture.userData?.__hasAlpha === 'boolean' ? texture.userData.__hasAlpha : null;
+    const reencode = isBaseColor && settings.baseColorFormat !== 'png' && hasAlpha !== true;
+    if (width === image.width && height === image.height && !reencode) {
+      textures.copies.set(key, readable);
+      return readable;
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = /** @type {CanvasRenderingContext2D} */ (
+      canvas.getContext('2d', { willReadFrequently: reencode && hasAlpha === null })
+    );
+    drawTextureImage(context, image, width, height, false);
+    const copy = copyTextureSettings(readable, new CanvasTexture(canvas));
+    copy.colorSpace = texture.colorSpace;
+    if (texture.userData?.mimeType) {
+      copy.userData.mimeType = texture.userData.mimeType;
+    }
+    if (reencode && (hasAlpha === false || !canvasHasAlpha(context, width, height))) {
+      const mimeType = `image/${settings.baseColorFormat}`;
+      textures.encodings.set(copy, { canvas, mimeType });
+      // Изображение всё равно будет заменено, поэтому GLTFExporter пишет промежуточный JPEG: он кодируется быстрее PNG.
+      copy.userData.mimeType = 'image/jpeg';
+    }
+    textures.copies.set(key, copy);
+    return copy;
+  }
+
+  /**
+   * Возвращает текстуру, изображение которой можно нарисовать на холсте: саму текстуру, если это изображение
+   * или данные RGBA8, иначе её копию на холсте. Сжатые текстуры распаковываются через WebGL.
+   * @param {import('three').Texture} texture
+   * @param {string[]} warnings
+   * @returns {import('three').Texture | null} null, если формат изображения не поддерживается.
+   */
+  #toReadableTexture(texture, warnings) {
+    const image = /** @type {any} */ (texture.image);
+    const label = texture.name || 'A texture';
+    if (/** @type {any} */ (texture).isCompressedTexture) {
+      // decompress рисует текстуру на экранном quad, поэтому строки холста идут сверху вниз, как у изображений.
+      const decompressed = copyTextureSettings(texture, decompress(texture));
+      decompressed.flipY = true;
+      decompressed.colorSpace = texture.colorSpace;
+      return decompressed;
+    }
+    if (isDrawableImage(image) || (image?.data && texture.type === UnsignedByteType && texture.format === RGBAFormat)) {
+      return texture;
+    }
+    const pixels = readDataTexturePixels(texture);
+    if (!pixels) {
+      warnings.push(`${label} was left out: its image format cannot be stored in GLB.`);
+      return null;
+    }
+    warnings.push(`${label} has high dynamic range data and was reduced to 8 bits per channel.`);
+    const canvas = createPixelCanvas(pixels, image.width, image.height);
+    const converted = copyTextureSettings(texture, new CanvasTexture(canvas));
+    converted.colorSpace = texture.colorSpace;
+    return converted;
+  }
+
+  /**
+   * Кодирует отмеченные карты базового цвета с заданным качеством.
+   * Если браузер не умеет кодировать формат (Safari и WebP), `toBlob` возвращает PNG, и он остаётся в файле.
+   * @param {Map<number, ImageEncoding>} images
+   * @param {number} quality
+   * @param {string[]} warnings
+   * @returns {Promise<Map<number, { bytes: Uint8Array; mimeType: string }>>}
+   */
+  async #encodeImages(images, quality, warnings) {
+    /** @type {Map<number, { bytes: Uint8Array; mimeType: string }>} */
+    const encoded = new Map();
+    /** @type {Set<string>} */
+    const unsupported = new Set();
+    for (const [index, { canvas, mimeType }] of images) {
+      const blob = await new Promise((resolve) => {
+        canvas.toBlob(resolve, mimeType, quality);
+      });
+      if (!blob) {
+        throw new Error(`Could not encode a texture as ${mimeType}`);
+      }
+      if (blob.type !== mimeType) {
+        unsupported.add(mimeType);
+      }
+      encoded.set(index, { bytes: new Uint8Array(await blob.arrayBuffer()), mimeType: blob.type });
+    }
+    unsupported.forEach((mimeType) => {
+      const format = mimeType.replace('image/', '').toUpperCase();
+      warnings.push(`This browser cannot encode ${format}; base color textures were saved as PNG instead.`);
+    });
+    return encoded;
+  }
+
+  /**
+   * Приводит текстуру к виду, который USDZExporter сохранит в PNG: изображение, холст, ImageBitmap
+   * или сжатая текстура, которую он распакует сам. Данные DataTexture переносятся на холст
+   * (значения с плавающей точкой обрезаются до 8 бит); текстуры без пригодного изображения отбрасываются.
+   * @param {import('three').Texture} texture
+   * @param {string} label Название карты для предупреждений.
+   * @param {string[]} warnings
+   * @returns {import('three').Texture | null}
+   */
+  #toUsdzTexture(texture, label, warnings) {
+    const image = /** @type {any} */ (texture.image);
+    if (/** @type {any} */ (texture).isCompressedTexture || isDrawableImage(image)) {
+      return texture;
+    }
+    const pixels = readDataTexturePixels(texture);
+    if (!pixels) {
+      warnings.push(`${label} was left out: its image format cannot be stored in USDZ.`);
+      return null;
+    }
+    if (texture.type !== UnsignedByteType) {
+      warnings.push(`${label} has high dynamic range data and was reduced to 8 bits per channel.`);
+    }
+    const canvas = createPixelCanvas(pixels, image.width, image.height);
+    const converted = copyTextureSettings(texture, new CanvasTexture(canvas));
+    converted.colorSpace = texture.colorSpace;
+    return converted;
+  }
+
+  /**
+   * Складывает цвет базовой карты и прозрачность из карты прозрачности (зелёный канал, как в three) в одну текстуру.
+   * @param {import('three').Texture | null} map
+   * @param {import('three').Texture} alphaMap
+   * @returns {import('three').Texture}
+   */
+  #bakeAlphaMap(map, alphaMap) {
+    const template = map ?? alphaMap;
+    const width = template.image?.width ?? 1;
+    const height = template.image?.height ?? 1;
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = /** @type {CanvasRenderingContext2D} */ (canvas.getContext('2d', { willReadFrequently: true }));
+
+    if (map?.image) {
+      drawTextureImage(context, map.image, width, height, false);
+    } else {
+      context.fillStyle = '#ffffff';
+      context.fillRect(0, 0, width, height);
+    }
+    const color = context.getImageData(0, 0, width, height);
+    context.clearRect(0, 0, width, height);
+    drawTextureImage(context, alphaMap.image, width, height, alphaMap.flipY !== template.flipY);
+    const alpha = context.getImageData(0, 0, width, height).data;
+    for (let offset = 0; offset < color.data.length; offset += 4) {
+      color.data[offset + 3] = alpha[offset + 1];
+    }
+    context.putImageData(color, 0, 0);
+
+    const texture = copyTextureSettings(template, new CanvasTexture(canvas));
+    texture.colorSpace = SRGBColorSpace;
+    texture.userData.__hasAlpha = true;
+    return texture;
+  }
+}
@@ -0,0 +1,221 @@
+import { Vector3 } from 'three';
+
+/**
+ * Проблема геометрии меша.
+ * `error` — меш почти наверняка отрисуется неверно (чёрные или невидимые грани), `warning` — стоит проверить.
+ * @typedef {{
+ *   code: 'invalid-positions' | 'degenerate-triangles' | 'missing-normals' | 'missing-uvs'
+ *     | 'missing-map-uvs' | 'non-manifold-edges' | 'flipped-normals',
+ *   severity: 'error' | 'warning',
+ *   message: string,
+ * }} GeometryIssue
+ */
+
+/**
+ * Отчёт по одному мешу; в отчёт попадают только меши с проблемами.
+ * @typedef {{ uuid: string; name: string; issues: GeometryIssue[] }} GeometryReport
+ */
+
+/** Карты материала, которым нужны UV, и их названия в отчёте. */
+const UV_MAPS = [
+  ['map', 'base color'],
+  ['aoMap', 'ambient occlusion'],
+  ['normalMap', 'normal'],
+  ['emissiveMap', 'emissive'],
+  ['roughnessMap', 'roughness'],
+  ['metalnessMap', 'metalness'],
+  ['alphaMap', 'alpha'],
+  ['clearcoatMap', 'clearcoat'],
+  ['clearcoatRoughnessMap', 'clearcoat roughness'],
+  ['clearcoatNormalMap', 'clearcoat normal'],
+  ['sheenColorMap', 'sheen color'],
+  ['sheenRoughnessMap', 'sheen roughness'],
+  ['transmissionMap', 'transmission'],
+  ['thicknessMap', 'thickness'],
+];
+
+/** Доля квадрата диагонали bounding box, ниже которой удвоенная площадь треугольника считается нулевой. */
+const DEGENERATE_AREA_EPSILON = 1e-12;
+
+/** Число знаков, до которого округляются координаты при склейке вершин для поиска рёбер. */
+const WELD_PRECISION = 1e5;
+
+/**
+ * Проверяет геометрию меша: NaN/Infinity в позициях, вырожденные треугольники, отсутствие нормалей и UV
+ * (в том числе нужных картам материала), неманифолдные рёбра и нормали, направленные против обхода граней.
+ * @param {import('three').Mesh} mesh
+ * @returns {GeometryIssue[]}
+ */
+export function validateMesh(mesh) {
+  /** @type {GeometryIssue[]} */
+  const issues = [];
+  const geometry = mesh.geometry;
+  const position = geometry?.getAttribute('position');
+  if (!position) {
+    return issues;
+  }
+
+  let invalidVertices = 0;
+  for (let index = 0; index < position.count; index += 1) {
+    if (![position.getX(index), position.getY(index), position.getZ(index)].every(Number.isFinite)) {
+      invalidVertices += 1;
+    }
+  }
+  if (invalidVertices > 0) {
+    issues.push({
+      code: 'invalid-positions',
+      severity: 'error',
+      message: `${invalidVertices} vertices have NaN or infinite positions`,
+    });
+  }
+
+  const normal = geometry.getAttribute('normal');
+  if (!normal) {
+    issues.push({ code: 'missing-normals', severity: 'error', message: 'No vertex normals; faces render black' });
+  }
+
+  const materials = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+  const missingMapUvs = new Set();
+  materials.forEach((material) => {
+    UV_MAPS.forEach(([key, label]) => {
+      const texture = material?.[key];
+      if (!texture?.isTexture) {
+        return;
+      }
+      const channel = texture.channel ?? 0;
+      const attribute = channel === 0 ? 'uv' : `uv${channel}`;
+      if (!geometry.getAttribute(attribute)) {
+        missingMapUvs.add(`${label} map needs ${attribute}`);
+      }
+    });
+  });
+  if (missingMapUvs.size > 0) {
+    issues.push({
+      code: 'missing-map-uvs',
+      severity: 'error',
+      message: `Missing UVs: ${Array.from(missingMapUvs).join(', ')}`,
+    });
+  } else if (!geometry.getAttribute('uv')) {
+    issues.push({ code: 'missing-uvs', severity: 'warning', message: 'No UVs; textures cannot be applied' });
+  }
+
+  if (invalidVertices === 0) {
+    issues.push(...checkTriangles(geometry, position, normal));
+  }
+  return issues;
+}
+
+/**
+ * Проверки по треугольникам: вырожденные грани, неманифолдные рёбра и перевёрнутые нормали.
+ * Вершины склеиваются по позиции, чтобы швы UV и нормалей не разрывали рёбра.
+ * @param {import('three').BufferGeometry} geometry
+ * @param {import('three').BufferAttribute | import('three').InterleavedBufferAttribute} position
+ * @param {import('three').BufferAttribute | import('three').InterleavedBufferAttribute | undefined} normal
+ * @returns {GeometryIssue[]}
+ */
+function checkTriangles(geometry, position, normal) {
+  /** @type {GeometryIssue[]} */
+  const issues = [];
+  const index = geometry.getIndex();
+  const start = Math.max(0, geometry.drawRange.start);
+  const available = index ? index.count : position.count;
+  const end = Math.min(available, start + geometry.drawRange.count);
+  const vertexAt = index ? (offset) => index.getX(offset) : (offset) => offset;
+
+  if (!geometry.boundingBox) {
+    geometry.computeBoundingBox();
+  }
+  const size = geometry.boundingBox ? geometry.boundingBox.getSize(new Vector3()).lengthSq() : 1;
+  const areaEpsilon = Math.max(size, Number.MIN_VALUE) * DEGENERATE_AREA_EPSILON;
+
+  /** @type {Map<string, number>} */
+  const welded = new Map();
+  const weld = (vertex) => {
+    const key = [position.getX(vertex), position.getY(vertex), position.getZ(vertex)]
+      .map((value) => Math.round(value * WELD_PRECISION))
+      .join(',');
+    let id = welded.get(key);
+    if (id === undefined) {
+      id = welded.size;
+      welded.set(key, id);
+    }
+    return id;
+  };
+
+  const a = new Vector3();
+  const b = new Vector3();
+  const c = new Vector3();
+  const faceNormal = new Vector3();
+  const vertexNormal = new Vector3();
+  /** @type {Map<string, number>} */
+  const edgeFaces = new Map();
+  let degenerate = 0;
+  let flipped = 0;
+
+  for (let offset = start; offset + 2 < end; offset += 3) {
+    const ia = vertexAt(offset);
+    const ib = vertexAt(offset + 1);
+    const ic = vertexAt(offset + 2);
+    a.fromBufferAttribute(position, ia);
+    b.fromBufferAttribute(position, ib);
+    c.fromBufferAttribute(position, ic);
+    faceNormal.subVectors(c, b).cross(a.sub(b));
+    const doubleArea = faceNormal.length();
+    if (doubleArea <= areaEpsilon) {
+      degenerate += 1;
+      continue;
+    }
+
+    if (normal) {
+      vertexNormal.fromBufferAttribute(normal, ia);
+      vertexNormal.x += normal.getX(ib) + normal.getX(ic);
+      vertexNormal.y += normal.getY(ib) + normal.getY(ic);
+      vertexNormal.z += normal.getZ(ib) + normal.getZ(ic);
+      if (vertexNormal.dot(faceNormal) < 0) {
+        flipped += 1;
+      }
+    }
+
+    const wa = weld(ia);
+    const wb = weld(ib);
+    const wc = weld(ic);
+    [
+      [wa, wb],
+      [wb, wc],
+      [wc, wa],
+    ].forEach(([from, to]) => {
+      const key = from < to ? `${from}_${to}` : `${to}_${from}`;
+      edgeFaces.set(key, (edgeFaces.get(key) ?? 0) + 1);
+    });
+  }
+
+  let nonManifold = 0;
+  edgeFaces.forEach((faces) => {
+    if (faces > 2) {
+      nonManifold += 1;
+    }
+  });
+
+  if (degenerate > 0) {
+    issues.push({
+      code: 'degenerate-triangles',
+      severity: 'warning',
+      message: `${degenerate} degenerate or zero-area triangles`,
+    });
+  }
+  if (nonManifold > 0) {
+    issues.push({
+      code: 'non-manifold-edges',
+      severity: 'warning',
+      message: `${nonManifold} non-manifold edges (shared by more than two faces)`,
+    });
+  }
+  if (flipped > 0) {
+    issues.push({
+      code: 'flipped-normals',
+      severity: 'error',
+      message: `${flipped} triangles have normals pointing against their winding; they render dark or invisible`,
+    });
+  }
+  return issues;
+}
@@ -0,0 +1,668 @@
+/**
+ * Сжатие готового GLB: геометрия в KHR_draco_mesh_compression или KHR_mesh_quantization
+ * и замена изображений перекодированными данными.
+ * GLTFExporter пишет вершины без сжатия, поэтому файл разбирается, аксессоры примитивов перекодируются,
+ * а бинарный блок собирается заново только из bufferView, на которые остались ссылки.
+ * Модуль не зависит от three: на вход приходит только ArrayBuffer файла и модуль энкодера Draco.
+ */
+
+const GLB_MAGIC = 0x46546c67;
+const GLB_VERSION = 2;
+const CHUNK_JSON = 0x4e4f534a;
+const CHUNK_BIN = 0x004e4942;
+
+const BYTE = 5120;
+const UNSIGNED_BYTE = 5121;
+const SHORT = 5122;
+const UNSIGNED_SHORT = 5123;
+const UNSIGNED_INT = 5125;
+const FLOAT = 5126;
+
+const ARRAY_BUFFER = 34962;
+const TRIANGLES = 4;
+
+/** Конструкторы массивов по componentType glTF. */
+const COMPONENT_ARRAYS = {
+  [BYTE]: Int8Array,
+  [UNSIGNED_BYTE]: Uint8Array,
+  [SHORT]: Int16Array,
+  [UNSIGNED_SHORT]: Uint16Array,
+  [UNSIGNED_INT]: Uint32Array,
+  [FLOAT]: Float32Array,
+};
+
+/** Число компонент по типу аксессора. */
+const TYPE_SIZES = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16 };
+
+/** Методы MeshBuilder, которыми атрибут с данным componentType добавляется в меш Draco. */
+const DRACO_ATTRIBUTE_METHODS = {
+  [BYTE]: 'AddInt8Attribute',
+  [UNSIGNED_BYTE]: 'AddUInt8Attribute',
+  [SHORT]: 'AddInt16Attribute',
+  [UNSIGNED_SHORT]: 'AddUInt16Attribute',
+  [UNSIGNED_INT]: 'AddUInt32Attribute',
+  [FLOAT]: 'AddFloatAttributeToMesh',
+};
+
+/** Скорость кодирования и декодирования Draco: 0 — лучшее сжатие, 10 — быстрее всего. Как в DRACOExporter. */
+const DRACO_SPEED = 5;
+
+/**
+ * Биты квантования Draco по типам атрибутов, как в gltf-pipeline.
+ * @type {Readonly<DracoQuantization>}
+ */
+export const DRACO_QUANTIZATION_DEFAULTS = Object.freeze({
+  position: 14,
+  normal: 10,
+  texcoord: 12,
+  color: 8,
+  generic: 12,
+});
+
+/** Допустимые значения битов квантования Draco. */
+export const DRACO_QUANTIZATION_RANGE = Object.freeze({ min: 1, max: 30 });
+
+/**
+ * Биты квантования атрибутов Draco: позиции, нормали, UV, цвета вершин и остальные атрибуты (веса, индексы костей).
+ * @typedef {{ position: number; normal: number; texcoord: number; color: number; generic: number }} DracoQuantization
+ */
+
+/**
+ * Способ сжатия геометрии.
+ * `none` — как пишет GLTFExporter, `draco` — KHR_draco_mesh_compression, `quantize` — KHR_mesh_quantization.
+ * @typedef {(
+ *   { method: 'none' } | { method: 'draco'; quantization: DracoQuantization } | { method: 'quantize' }
+ * )} GeometryCompression
+ */
+
+/**
+ * Разобранный GLB. Каждый bufferView хранит свои байты отдельно, поэтому их можно добавлять
+ * и забрасывать, не пересчитывая смещения до сборки файла.
+ * @typedef {{ json: any; views: Uint8Array[] }} GlbDocument
+ */
+
+/**
+ * Данные аксессора, развёрнутые в плотный массив.
+ * @typedef {{ array: ArrayLike<number>; itemSize: number; count: number }} AccessorData
+ */
+
+/**
+ * Сжимает геометрию GLB.
+ * @param {ArrayBuffer} buffer Файл GLB без расширений сжатия.
+ * @param {GeometryCompression} compression
+ * @param {any} [draco] Модуль энкодера Draco (`DracoEncoderModule()`), обязателен для `draco`.
+ * @returns {{ buffer: ArrayBuffer; warnings: string[] }}
+ */
+export function compressGLB(buffer, compression, draco) {
+  /** @type {string[]} */
+  const warnings = [];
+  if (compression.method === 'none') {
+    return { buffer, warnings };
+  }
+  const document = readGLB(buffer);
+  if (compression.method === 'draco') {
+    if (!draco) {
+      throw new Error('Draco encoder is not loaded');
+    }
+    encodeDraco(document, draco, compression.quantization, warnings);
+  } else {
+    quantizeMeshes(document, warnings);
+  }
+  pruneAccessors(document.json);
+  return { buffer: writeGLB(document), warnings };
+}
+
+/**
+ * Заменяет данные изображений GLB. Изображения WebP подключаются через EXT_texture_webp:
+ * текстура ссылается на них из расширения, и без запасного PNG расширение становится обязательным.
+ * @param {ArrayBuffer} buffer
+ * @param {Map<number, { bytes: Uint8Array; mimeType: string }>} images Новые данные по индексу изображения.
+ * @returns {ArrayBuffer}
+ */
+export function replaceGLBImages(buffer, images) {
+  if (images.size === 0) {
+    return buffer;
+  }
+  const document = readGLB(buffer);
+  const { json } = document;
+  /** @type {Set<number>} */
+  const webpImages = new Set();
+  images.forEach(({ bytes, mimeType }, index) => {
+    json.images[index].bufferView = addView(document, bytes);
+    json.images[index].mimeType = mimeType;
+    if (mimeType === 'image/webp') {
+      webpImages.add(index);
+    }
+  });
+  if (webpImages.size > 0) {
+    (json.textures ?? []).forEach((texture) => {
+      if (webpImages.has(texture.source)) {
+        texture.extensions = { ...texture.extensions, EXT_texture_webp: { source: texture.source } };
+        delete texture.source;
+      }
+    });
+    addExtension(json, 'EXT_texture_webp', true);
+  }
+  return writeGLB(document);
+}
+
+/**
+ * @param {ArrayBuffer} buffer
+ * @returns {GlbDocument}
+ */
+function readGLB(buffer) {
+  const view = new DataView(buffer);
+  if (buffer.byteLength < 20 || view.getUint32(0, true) !== GLB_MAGIC || view.getUint32(4, true) !== GLB_VERSION) {
+    throw new Error('Not a glTF 2.0 binary file');
+  }
+  let json = null;
+  /** @type {Uint8Array} */
+  let bin = new Uint8Array(0);
+  for (let offset = 12; offset + 8 <= buffer.byteLength; ) {
+    const length = view.getUint32(offset, true);
+    const type = view.getUint32(offset + 4, true);
+    const chunk = new Uint8Array(buffer, offset + 8, length);
+    if (type === CHUNK_JSON) {
+      json = JSON.parse(new TextDecoder().decode(chunk));
+    } else if (type === CHUNK_BIN) {
+      bin = chunk;
+    }
+    offset += 8 + length;
+  }
+  if (!json) {
+    throw new Error('GLB has no JSON chunk');
+  }
+  const views = (json.bufferViews ?? []).map((bufferView) =>
+    bin.subarray(bufferView.byteOffset ?? 0, (bufferView.byteOffset ?? 0) + bufferView.byteLength),
+  );
+  return { json, views };
+}
+
+/**
+ * Собирает GLB, оставляя в бинарном блоке только bufferView, на которые есть ссылки.
+ * @param {GlbDocument} document
+ * @returns {ArrayBuffer}
+ */
+function writeGLB({ json, views }) {
+  /** @type {Map<number, number>} */
+  const remap = new Map();
+  const remapView = (index) => {
+    if (!remap.has(index)) {
+      remap.set(index, remap.size);
+    }
+    return remap.get(index);
+  };
+  (json.accessors ?? []).forEach((accessor) => {
+    if (accessor.bufferView !== undefined) {
+      accessor.bufferView = remapView(accessor.bufferView);
+    }
+    if (accessor.sparse) {
+      accessor.sparse.indices.bufferView = remapView(accessor.sparse.indices.bufferView);
+      accessor.sparse.values.bufferView = remapView(accessor.sparse.values.bufferView);
+    }
+  });
+  (json.images ?? []).forEach((image) => {
+    if (image.bufferView !== undefined) {
+      image.bufferView = remapView(image.bufferView);
+    }
+  });
+  (json.meshes ?? []).forEach((mesh) => {
+    mesh.primitives.forEach((primitive) => {
+      const draco = primitive.extensions?.KHR_draco_mesh_compression;
+      if (draco) {
+        draco.bufferView = remapView(draco.bufferView);
+      }
+    });
+  });
+
+  const order = Array.from(remap.keys());
+  let byteLength = 0;
+  const bufferViews = order.map((index) => {
+    const length = views[index].byteLength;
+    const bufferView = { ...json.bufferViews[index], buffer: 0, byteOffset: byteLength, byteLength: length };
+    byteLength = align4(byteLength + length);
+    return bufferView;
+  });
+  const bin = new Uint8Array(byteLength);
+  order.forEach((index, position) => bin.set(views[index], bufferViews[position].byteOffset));
+
+  if (bufferViews.length > 0) {
+    json.bufferViews = bufferViews;
+    json.buffers = [{ byteLength }];
+  } else {
+    delete json.bufferViews;
+    delete json.buffers;
+  }
+
+  const jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+  const jsonLength = align4(jsonBytes.byteLength);
+  const total = 12 + 8 + jsonLength + (byteLength > 0 ? 8 + byteLength : 0);
+  const output = new ArrayBuffer(total);
+  const view = new DataView(output);
+  const bytes = new Uint8Array(output);
+  view.setUint32(0, GLB_MAGIC, true);
+  view.setUint32(4, GLB_VERSION, true);
+  view.setUint32(8, total, true);
+  view.setUint32(12, jsonLength, true);
+  view.setUint32(16, CHUNK_JSON, true);
+  bytes.set(jsonBytes, 20);
+  // JSON-блок дополняется пробелами, двоичный — нулями.
+  bytes.fill(0x20, 20 + jsonBytes.byteLength, 20 + jsonLength);
+  if (byteLength > 0) {
+    view.setUint32(20 + jsonLength, byteLength, true);
+    view.setUint32(24 + jsonLength, CHUNK_BIN, true);
+    bytes.set(bin, 28 + jsonLength);
+  }
+  return output;
+}
+
+/**
+ * Убирает аксессоры, на которые больше не ссылаются примитивы, скины и анимации, и перенумеровывает остальные.
+ * @param {any} json
+ */
+function pruneAccessors(json) {
+  if (!json.accessors) {
+    return;
+  }
+  /** @type {{ owner: any; key: string | number }[]} */
+  const references = [];
+  (json.meshes ?? []).forEach((mesh) => {
+    mesh.primitives.forEach((primitive) => {
+      Object.keys(primitive.attributes).forEach((name) => references.push({ owner: primitive.attributes, key: name }));
+      if (primitive.indices !== undefined) {
+        references.push({ owner: primitive, key: 'indices' });
+      }
+      (primitive.targets ?? []).forEach((target) => {
+        Object.keys(target).forEach((name) => references.push({ owner: target, key: name }));
+      });
+    });
+  });
+  (json.skins ?? []).forEach((skin) => {
+    if (skin.inverseBindMatrices !== undefined) {
+      references.push({ owner: skin, key: 'inverseBindMatrices' });
+    }
+  });
+  (json.animations ?? []).forEach((animation) => {
+    animation.samplers.forEach((sampler) => {
+      references.push({ owner: sampler, key: 'input' }, { owner: sampler, key: 'output' });
+    });
+  });
+
+  /** @type {Map<number, number>} */
+  const remap = new Map();
+  references.forEach(({ owner, key }) => {
+    if (!remap.has(owner[key])) {
+      remap.set(owner[key], remap.size);
+    }
+  });
+  const accessors = Array.from(remap.keys(), (index) => json.accessors[index]);
+  references.forEach(({ owner, key }) => {
+    owner[key] = remap.get(owner[key]);
+  });
+  json.accessors = accessors;
+}
+
+/**
+ * Разворачивает аксессор в плотный массив его componentType с учётом byteStride.
+ * @param {GlbDocument} document
+ * @param {number} index
+ * @returns {AccessorData}
+ */
+function readAccessor({ json, views }, index) {
+  const accessor = json.accessors[index];
+  const ArrayType = COMPONENT_ARRAYS[accessor.componentType];
+  const itemSize = TYPE_SIZES[accessor.type];
+  const elementSize = itemSize * ArrayType.BYTES_PER_ELEMENT;
+  const bytes = new Uint8Array(accessor.count * elementSize);
+  if (accessor.bufferView !== undefined) {
+    const source = views[accessor.bufferView];
+    const stride = json.bufferViews[accessor.bufferView].byteStride ?? elementSize;
+    const start = accessor.byteOffset ?? 0;
+    for (let item = 0; item < accessor.count; item += 1) {
+      const offset = start + item * stride;
+      bytes.set(source.subarray(offset, offset + elementSize), item * elementSize);
+    }
+  }
+  return { array: new ArrayType(bytes.buffer), itemSize, count: accessor.count };
+}
+
+/**
+ * Добавляет bufferView с данными и возвращает его индекс.
+ * @param {GlbDocument} document
+ * @param {Uint8Array} bytes
+ * @param {Record<string, number>} [properties] `target`, `byteStride`.
+ * @returns {number}
+ */
+function addView({ json, views }, bytes, properties = {}) {
+  json.bufferViews ??= [];
+  json.bufferViews.push({ buffer: 0, byteLength: bytes.byteLength, ...properties });
+  views.push(bytes);
+  return views.length - 1;
+}
+
+/**
+ * Добавляет аксессор и возвращает его индекс.
+ * @param {GlbDocument} document
+ * @param {Record<string, any>} accessor
+ * @returns {number}
+ */
+function addAccessor({ json }, accessor) {
+  json.accessors.push(accessor);
+  return json.accessors.length - 1;
+}
+
+/**
+ * @param {any} json
+ * @param {string} name
+ * @param {boolean} required
+ */
+function addExtension(json, name, required) {
+  json.extensionsUsed = Array.from(new Set([...(json.extensionsUsed ?? []), name]));
+  if (required) {
+    json.extensionsRequired = Array.from(new Set([...(json.extensionsRequired ?? []), name]));
+  }
+}
+
+/**
+ * Кодирует треугольные примитивы в Draco. Примитивы с морф-таргетами остаются как есть:
+ * их смещения должны совпадать по порядку вершин с несжатой геометрией, а Draco вершины переставляет.
+ * @param {GlbDocument} document
+ * @param {any} draco
+ * @param {DracoQuantization} quantization
+ * @param {string[]} warnings
+ */
+function encodeDraco(document, draco, quantization, warnings) {
+  const { json } = document;
+  /** @type {Map<string, { attributes: Record<string, number>; indices: number; extension: any }>} */
+  const encoded = new Map();
+  (json.meshes ?? []).forEach((mesh, meshIndex) => {
+    const name = meshLabel(json, meshIndex);
+    mesh.primitives.forEach((primitive) => {
+      if ((primitive.mode ?? TRIANGLES) !== TRIANGLES) {
+        warnings.push(`${name} is not made of triangles and was left without Draco compression.`);
+        return;
+      }
+      if (primitive.targets?.length) {
+        warnings.push(`${name} has shape keys and was left without Draco compression.`);
+        return;
+      }
+      // GLTFExporter переиспользует аксессоры общей геометрии, поэтому одинаковые примитивы кодируются один раз.
+      const key = JSON.stringify([primitive.attributes, primitive.indices]);
+      if (!encoded.has(key)) {
+        encoded.set(key, encodeDracoPrimitive(document, primitive, draco, quantization));
+      }
+      const { attributes, indices, extension } = encoded.get(key);
+      primitive.attributes = { ...attributes };
+      primitive.indices = indices;
+      primitive.extensions = { ...primitive.extensions, KHR_draco_mesh_compression: structuredClone(extension) };
+    });
+  });
+  if (encoded.size > 0) {
+    addExtension(json, 'KHR_draco_mesh_compression', true);
+  }
+}
+
+/**
+ * Кодирует один примитив. Аксессоры результата не ссылаются на bufferView, как требует расширение:
+ * в них остаются только тип и число вершин после кодирования.
+ * @param {GlbDocument} document
+ * @param {any} primitive
+ * @param {any} draco
+ * @param {DracoQuantization} quantization
+ * @returns {{ attributes: Record<string, number>; indices: number; extension: any }}
+ */
+function encodeDracoPrimitive(document, primitive, draco, quantization) {
+  const { json } = document;
+  const vertexCount = json.accessors[primitive.attributes.POSITION].count;
+  const indices =
+    primitive.indices !== undefined
+      ? Uint32Array.from(readAccessor(document, primitive.indices).array)
+      : Uint32Array.from({ length: vertexCount }, (_, index) => index);
+
+  const encoder = new draco.Encoder();
+  const builder = new draco.MeshBuilder();
+  const mesh = new draco.Mesh();
+  const output = new draco.DracoInt8Array();
+  try {
+    builder.AddFacesToMesh(mesh, indices.length / 3, indices);
+    /** @type {Record<string, number>} */
+    const attributeIds = {};
+    Object.entries(primitive.attributes).forEach(([name, index]) => {
+      const accessor = json.accessors[index];
+      const { array, itemSize, count } = readAccessor(document, /** @type {number} */ (index));
+      const method = DRACO_ATTRIBUTE_METHODS[accessor.componentType];
+      attributeIds[name] = builder[method](mesh, dracoAttributeType(draco, name), count, itemSize, array);
+    });
+
+    encoder.SetAttributeQuantization(draco.POSITION, quantization.position);
+    encoder.SetAttributeQuantization(draco.NORMAL, quantization.normal);
+    encoder.SetAttributeQuantization(draco.TEX_COORD, quantization.texcoord);
+    encoder.SetAttributeQuantization(draco.COLOR, quantization.color);
+    encoder.SetAttributeQuantization(draco.GENERIC, quantization.generic);
+    encoder.SetSpeedOptions(DRACO_SPEED, DRACO_SPEED);
+    encoder.SetEncodingMethod(draco.MESH_EDGEBREAKER_ENCODING);
+    // Без этого флага энкодер не считает вершины и грани, а они нужны аксессорам примитива.
+    encoder.SetTrackEncodedProperties(true);
+
+    const length = encoder.EncodeMeshToDracoBuffer(mesh, output);
+    if (length <= 0) {
+      throw new Error('Draco encoder failed to compress the geometry');
+    }
+    const bytes = new Uint8Array(length);
+    for (let index = 0; index < length; index += 1) {
+      bytes[index] = output.GetValue(index);
+    }
+    const view = addView(document, bytes);
+
+    const pointCount = encoder.GetNumberOfEncodedPoints();
+    const faceCount = encoder.GetNumberOfEncodedFaces();
+    return {
+      attributes: Object.fromEntries(
+        Object.entries(primitive.attributes).map(([name, index]) => {
+          const { bufferView, byteOffset, count, ...accessor } = json.accessors[index];
+          return [name, addAccessor(document, { ...accessor, count: pointCount })];
+        }),
+      ),
+      indices: addAccessor(document, {
+        componentType: pointCount > 0xffff ? UNSIGNED_INT : UNSIGNED_SHORT,
+        type: 'SCALAR',
+        count: faceCount * 3,
+      }),
+      extension: { bufferView: view, attributes: attributeIds },
+    };
+  } finally {
+    draco.destroy(output);
+    draco.destroy(mesh);
+    draco.destroy(builder);
+    draco.destroy(encoder);
+  }
+}
+
+/**
+ * @param {any} draco
+ * @param {string} name Имя атрибута glTF.
+ * @returns {number}
+ */
+function dracoAttributeType(draco, name) {
+  if (name === 'POSITION') {
+    return draco.POSITION;
+  }
+  if (name === 'NORMAL') {
+    return draco.NORMAL;
+  }
+  if (name.startsWith('TEXCOORD_')) {
+    return draco.TEX_COORD;
+  }
+  if (name.startsWith('COLOR_')) {
+    return draco.COLOR;
+  }
+  return draco.GENERIC;
+}
+
+/**
+ * Переводит атрибуты с плавающей точкой в целые типы KHR_mesh_quantization:
+ * позиции — SHORT с масштабом и сдвигом в матрице узла, нормали и касательные — нормализованный BYTE,
+ * UV в пределах [0, 1] — нормализованный UNSIGNED_SHORT.
+ * Позиции скинированных мешей и мешей с морф-таргетами не квантуются: матрица узла не влияет на скиннинг,
+ * а смещения морфинга пришлось бы масштабировать вместе с позициями.
+ * @param {GlbDocument} document
+ * @param {string[]} warnings
+ */
+function quantizeMeshes(document, warnings) {
+  const { json } = document;
+  const nodes = json.nodes ?? [];
+  const skinnedMeshes = new Set(nodes.filter((node) => node.skin !== undefined).map((node) => node.mesh));
+  /** @type {Map<string, number>} */
+  const converted = new Map();
+  /** @type {Map<number, number[]>} */
+  const meshMatrices = new Map();
+  let changed = false;
+
+  (json.meshes ?? []).forEach((mesh, meshIndex) => {
+    const name = meshLabel(json, meshIndex);
+    const hasTargets = mesh.primitives.some((primitive) => primitive.targets?.length);
+    const positions = mesh.primitives.map((primitive) => json.accessors[primitive.attributes.POSITION]);
+    const quantizePositions =
+      !skinnedMeshes.has(meshIndex) &&
+      !hasTargets &&
+      positions.every((accessor) => accessor?.componentType === FLOAT && accessor.min && accessor.max);
+    if (!quantizePositions && (skinnedMeshes.has(meshIndex) || hasTargets)) {
+      warnings.push(`${name} keeps full-precision positions: skinned meshes and shape keys cannot be quantized.`);
+    }
+
+    let bounds = null;
+    if (quantizePositions) {
+      const min = [0, 1, 2].map((axis) => Math.min(...positions.map((accessor) => accessor.min[axis])));
+      const max = [0, 1, 2].map((axis) => Math.max(...positions.map((accessor) => accessor.max[axis])));
+      const center = min.map((value, axis) => (value + max[axis]) / 2);
+      // Масштаб общий для всех осей, чтобы матрица узла не искажала нормали.
+      const extent = Math.max(...max.map((value, axis) => value - min[axis])) / 2 || 1;
+      bounds = { center, scale: extent / 32767 };
+      const { scale } = bounds;
+      meshMatrices.set(meshIndex, [scale, 0, 0, 0, 0, scale, 0, 0, 0, 0, scale, 0, center[0], center[1], center[2], 1]);
+    }
+
+    mesh.primitives.forEach((primitive) => {
+      primitive.attributes = Object.fromEntries(
+        Object.entries(primitive.attributes).map(([attribute, index]) => {
+          const key = attribute === 'POSITION' ? `${attribute}:${index}:${meshIndex}` : `${attribute}:${index}`;
+          if (!converted.has(key)) {
+            const result = quantizeAttribute(document, attribute, /** @type {number} */ (index), bounds);
+            converted.set(key, result);
+            changed ||= result !== index;
+          }
+          return [attribute, converted.get(key)];
+        }),
+      );
+    });
+  });
+
+  // Меш с квантованными позициями переносится в дочерний узел, матрица которого восстанавливает размеры.
+  const nodeCount = nodes.length;
+  for (let nodeIndex = 0; nodeIndex < nodeCount; nodeIndex += 1) {
+    const node = nodes[nodeIndex];
+    const matrix = meshMatrices.get(node.mesh);
+    if (node.mesh === undefined || !matrix) {
+      continue;
+    }
+    nodes.push({ name: node.name, mesh: node.mesh, matrix });
+    delete node.mesh;
+    node.children = [...(node.children ?? []), nodes.length - 1];
+  }
+
+  if (changed) {
+    addExtension(json, 'KHR_mesh_quantization', true);
+  }
+}
+
+/**
+ * @param {GlbDocument} document
+ * @param {string} name Имя атрибута glTF.
+ * @param {number} index
+ * @param {{ center: number[]; scale: number } | null} bounds Преобразование позиций меша или `null`.
+ * @returns {number} Индекс нового аксессора или исходный, если атрибут не квантуется.
+ */
+function quantizeAttribute(document, name, index, bounds) {
+  const accessor = document.json.accessors[index];
+  if (accessor.componentType !== FLOAT || accessor.sparse) {
+    return index;
+  }
+  if (name === 'POSITION') {
+    if (!bounds) {
+      return index;
+    }
+    const { array, count } = readAccessor(document, index);
+    const data = new Int16Array(count * 4);
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let item = 0; item < count; item += 1) {
+      for (let axis = 0; axis < 3; axis += 1) {
+        const value = Math.round((array[item * 3 + axis] - bounds.center[axis]) / bounds.scale);
+        data[item * 4 + axis] = value;
+        min[axis] = Math.min(min[axis], value);
+        max[axis] = Math.max(max[axis], value);
+      }
+    }
+    return addQuantizedAccessor(document, accessor, data, { componentType: SHORT, byteStride: 8, min, max });
+  }
+  if (name === 'NORMAL' || name === 'TANGENT') {
+    const { array, itemSize, count } = readAccessor(document, index);
+    const data = new Int8Array(count * 4);
+    for (let item = 0; item < count; item += 1) {
+      for (let component = 0; component < itemSize; component += 1) {
+        data[item * 4 + component] = Math.round(Math.max(-1, Math.min(1, array[item * itemSize + component])) * 127);
+      }
+    }
+    return addQuantizedAccessor(document, accessor, data, { componentType: BYTE, byteStride: 4, normalized: true });
+  }
+  if (name.startsWith('TEXCOORD_')) {
+    const { array } = readAccessor(document, index);
+    if (Array.prototype.some.call(array, (value) => value < 0 || value > 1)) {
+      return index;
+    }
+    const data = Uint16Array.from(array, (value) => Math.round(value * 65535));
+    return addQuantizedAccessor(document, accessor, data, {
+      componentType: UNSIGNED_SHORT,
+      byteStride: 4,
+      normalized: true,
+    });
+  }
+  return index;
+}
+
+/**
+ * @param {GlbDocument} document
+ * @param {any} source Исходный аксессор: из него берутся имя, тип и число элементов.
+ * @param {Int8Array | Int16Array | Uint16Array} data Данные с выравниванием элементов до byteStride.
+ * @param {{ componentType: number; byteStride: number; normalized?: boolean; min?: number[]; max?: number[] }} options
+ * @returns {number}
+ */
+function addQuantizedAccessor(document, source, data, { byteStride, ...options }) {
+  const view = addView(document, new Uint8Array(data.buffer), { byteStride, target: ARRAY_BUFFER });
+  return addAccessor(document, {
+    ...(source.name ? { name: source.name } : {}),
+    bufferView: view,
+    type: source.type,
+    count: source.count,
+    ...options,
+  });
+}
+
+/**
+ * Имя меша для предупреждений. GLTFExporter не всегда пишет имя меша, а имя узла есть почти всегда.
+ * @param {any} json
+ * @param {number} meshIndex
+ * @returns {string}
+ */
+function meshLabel(json, meshIndex) {
+  const node = (json.nodes ?? []).find((item) => item.mesh === meshIndex);
+  return json.meshes[meshIndex].name || node?.name || `Mesh ${meshIndex + 1}`;
+}
+
+/**
+ * @param {number} value
+ * @returns {number}
+ */
+function align4(value) {
+  return Math.ceil(value / 4) * 4;
+}
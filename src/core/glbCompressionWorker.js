@@ -0,0 +1,67 @@
+import { compressGLB } from './glbCompression.js';
+
+/**
+ * Воркер сжатия GLB. Энкодер Draco собран в asm.js и кодирует синхронно, поэтому на больших моделях
+ * он надолго занял бы основной поток. Сборка энкодера — обычный скрипт, а не модуль: он загружается
+ * по адресу из запроса и выполняется через Function, которая возвращает его глобальную фабрику.
+ */
+
+/** @type {Map<string, Promise<{ module: any }>>} Модули энкодера по адресу скрипта. */
+const encoders = new Map();
+
+self.addEventListener('message', (event) => {
+  const message = event.data;
+  if (message?.type === 'compress') {
+    handleCompress(message);
+  }
+});
+
+/**
+ * Сжимает GLB и отправляет результат обратно; буфер передаётся без копирования.
+ * @param {{
+ *   id: number;
+ *   buffer: ArrayBuffer;
+ *   compression: import('./glbCompression.js').GeometryCompression;
+ *   encoderUrl: string;
+ * }} message
+ */
+async function handleCompress({ id, buffer, compression, encoderUrl }) {
+  try {
+    const draco = compression.method === 'draco' ? (await loadEncoder(encoderUrl)).module : undefined;
+    const result = compressGLB(buffer, compression, draco);
+    self.postMessage({ type: 'result', id, buffer: result.buffer, warnings: result.warnings }, [result.buffer]);
+  } catch (error) {
+    self.postMessage({ type: 'error', id, message: error instanceof Error ? error.message : String(error) });
+  }
+}
+
+/**
+ * Загружает draco_encoder.js. У модуля Emscripten есть метод then, поэтому он возвращается в обёртке:
+ * промис, разрешённый самим модулем, снова и снова ждал бы его как thenable.
+ * @param {string} url
+ * @returns {Promise<{ module: any }>}
+ */
+function loadEncoder(url) {
+  let encoder = encoders.get(url);
+  if (!encoder) {
+    encoder = fetch(url)
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`Failed to load Draco encoder ${url}: HTTP ${response.status}`);
+        }
+        return response.text();
+      })
+      .then((source) => {
+        const factory = new Function(`${source}\nreturn DracoEncoderModule;`)();
+        if (typeof factory !== 'function') {
+          throw new Error(`${url} does not define DracoEncoderModule`);
+        }
+        // Сборка asm.js готова сразу после вызова фабрики, ждать onModuleLoaded не нужно.
+        return { module: factory() };
+      });
+    // Следующая попытка загрузит энкодер заново, например после восстановления сети.
+    encoder.catch(() => encoders.delete(url));
+    encoders.set(url, encoder);
+  }
+  return encoder;
+}
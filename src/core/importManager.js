@@ -1,18 +1,50 @@
+import { ColladaLoader } from 'ColladaLoader';
 import { DRACOLoader } from 'DRACOLoader';
 import { FBXLoader } from 'FBXLoader';
 import { GLTFLoader } from 'GLTFLoader';
+import { KTX2Loader } from 'KTX2Loader';
+import { MTLLoader } from 'MTLLoader';
+import { MeshoptDecoder } from 'MeshoptDecoder';
 import { OBJLoader } from 'OBJLoader';
+import { PLYLoader } from 'PLYLoader';
+import { STLLoader } from 'STLLoader';
+import { TDSLoader } from 'TDSLoader';
+import { USDZLoader } from 'USDZLoader';
+import { strFromU8, strToU8, unzip, unzipSync, zipSync } from 'fflate';
 import {
+  Bone,
   BufferAttribute,
   BufferGeometry,
+  CanvasTexture,
+  Group,
+  LinearMipmapLinearFilter,
+  LinearSRGBColorSpace,
+  LoadingManager,
   Matrix4,
+  Mesh,
+  MeshPhongMaterial,
   MeshStandardMaterial,
   NoBlending,
   NormalBlending,
+  PropertyBinding,
   Quaternion,
+  RGBAFormat,
+  Skeleton,
   SRGBColorSpace,
+  Texture,
   Vector3,
 } from 'three';
+import { ASSETS, resolveModuleUrl } from '../config.js';
+import { validateMesh } from './geometryValidator.js';
+import { ModelParsers, WORKER_MODEL_EXTENSIONS } from './modelParsers.js';
+import { RESOURCE_MIME_TYPES, ResourceResolver } from './resourceResolver.js';
+import { LENGTH_UNITS, SOURCE_UNITS_KEY, createSourceUnits } from './sourceUnits.js';
+import {
+  SPECULAR_GLOSSINESS_KEY,
+  convertSpecularGlossiness,
+  convertSpecularGlossinessPixels,
+} from './specularGlossiness.js';
+import { WorkerParser } from './workerParser.js';
 
 /**
  * Ограничивает значение указанными границами.
@@ -36,25 +68,189 @@ function clamp(value, min, max) {
 const UNSUPPORTED_TEXTURE_PROPS = [
   'bumpMap',
   'displacementMap',
-  'emissiveMap',
   'lightMap',
   'specularMap',
   'envMap',
   'gradientMap',
-  'clearcoatMap',
-  'clearcoatNormalMap',
-  'clearcoatRoughnessMap',
-  'sheenColorMap',
-  'sheenRoughnessMap',
-  'transmissionMap',
-  'thicknessMap',
   'iridescenceMap',
   'iridescenceThicknessMap',
   'anisotropyMap',
 ];
 
+/** Значение IOR по умолчанию в glTF и MeshPhysicalMaterial. */
+const DEFAULT_IOR = 1.5;
+
+/** Допустимые диапазоны параметров MeshPhysicalMaterial, которые поддерживает редактор. */
+const PHYSICAL_SCALAR_RANGES = [
+  ['clearcoat', 0, 1],
+  ['clearcoatRoughness', 0, 1],
+  ['sheen', 0, 1],
+  ['sheenRoughness', 0, 1],
+  ['transmission', 0, 1],
+  ['ior', 1, 2.333],
+  ['thickness', 0, Number.POSITIVE_INFINITY],
+];
+
+/**
+ * Проверяет, использует ли физический материал слои, которых нет в MeshStandardMaterial:
+ * лак (KHR_materials_clearcoat), ткань (KHR_materials_sheen), пропускание (KHR_materials_transmission) или IOR.
+ * @param {import('three').MeshPhysicalMaterial} material
+ * @returns {boolean}
+ */
+function usesPhysicalFeatures(material) {
+  return (
+    material.clearcoat > 0 ||
+    material.sheen > 0 ||
+    material.transmission > 0 ||
+    (Number.isFinite(material.ior) && Math.abs(material.ior - DEFAULT_IOR) > 1e-3)
+  );
+}
+
 const INITIAL_TRANSFORM_KEY = '__initialTransform';
 
+const MODEL_EXTENSIONS = ['gltf', 'glb', 'fbx', 'obj', 'dae', '3ds', 'stl', 'ply', 'usdz'];
+
+const ARCHIVE_EXTENSIONS = ['zip'];
+
+/**
+ * Модули для воркера разбора: адреса берутся из importmap страницы, как и в основном потоке.
+ */
+const WORKER_MODULES = [
+  'three',
+  'GLTFLoader',
+  'DRACOLoader',
+  'KTX2Loader',
+  'MeshoptDecoder',
+  'FBXLoader',
+  'MTLLoader',
+  'OBJLoader',
+  'PLYLoader',
+  'STLLoader',
+  'TDSLoader',
+  'USDZLoader',
+  'fflate',
+];
+
+/** Сколько миллисекунд синхронной работы допускается до того, как управление вернётся браузеру. */
+const YIELD_INTERVAL_MS = 32;
+
+/**
+ * Этапы импорта в порядке выполнения.
+ * @typedef {'reading' | 'parsing' | 'converting' | 'splitting' | 'validating' | 'sanitizing'} ImportStage
+ */
+
+/**
+ * @typedef {{
+ *   fileName: string,
+ *   fileIndex: number,
+ *   fileCount: number,
+ *   stage: ImportStage,
+ *   progress: number | null,
+ *   cancellable: boolean,
+ * }} ImportProgress
+ * `progress` — доля выполнения этапа от 0 до 1 или null, если её нельзя оценить.
+ * `cancellable` — false, пока модель разбирается в основном потоке: этот этап нельзя прервать.
+ */
+
+/**
+ * Настройки импорта, выбираемые пользователем.
+ * @typedef {{
+ *   preserveHierarchy?: boolean,
+ *   keepMultiMaterial?: boolean,
+ *   units?: 'auto' | keyof typeof LENGTH_UNITS,
+ *   upAxis?: 'auto' | 'Y' | 'Z',
+ * }} ImportOptions
+ * `preserveHierarchy` — сохранить дерево узлов модели вместо плоского списка мешей.
+ * Модели с анимациями или скелетом всегда импортируются с иерархией: треки и кости ссылаются на узлы.
+ * `keepMultiMaterial` — оставить меш с несколькими материалами целым (массив материалов и группы геометрии)
+ * вместо разбиения на части `_partN`.
+ * `units` и `upAxis` заменяют единицы и ось, указанные в файле (для файлов с неверными метаданными).
+ */
+
+/**
+ * Итог импорта одного файла: единицы, из которых модель переведена в метры и Y-up,
+ * внешние ресурсы, которые не нашлись среди переданных файлов,
+ * отчёты проверки геометрии по мешам с проблемами
+ * и предупреждения о том, что удалось импортировать лишь приближённо
+ * (например, о материалах, карты которых не пересчитались).
+ * @typedef {{
+ *   fileName: string,
+ *   units: import('./sourceUnits.js').SourceUnits,
+ *   missingResources: string[],
+ *   validation: import('./geometryValidator.js').GeometryReport[],
+ *   warnings: string[],
+ * }} ImportSummary
+ */
+
+/**
+ * Файл модели, который не удалось импортировать. `files` — набор для повторной попытки:
+ * сам файл и все переданные вместе с ним ресурсы.
+ * @typedef {{ fileName: string, error: unknown, files: File[] }} ImportFailure
+ */
+
+/**
+ * @typedef {{ summaries: ImportSummary[], failures: ImportFailure[] }} ImportResult
+ */
+
+/**
+ * Итог замены модели новой версией файла.
+ * `source` — модель, меши которой заменялись (`userData.source`); `replaced` — число мешей,
+ * получивших новую геометрию с сохранением материала, трансформации и видимости.
+ * `added` — новые меши, которых не было в сцене; `removed` — меши, которых нет в новой версии (удалены из сцены).
+ * `unmatched` — меши, правки которых перенести не удалось: одноимённых мешей несколько
+ * (новые добавлены рядом со старыми) или изменилось число слотов материала (меш получил материалы из файла).
+ * @typedef {{
+ *   fileName: string,
+ *   source: string,
+ *   replaced: number,
+ *   added: string[],
+ *   removed: string[],
+ *   unmatched: string[],
+ *   missingResources: string[],
+ *   validation: import('./geometryValidator.js').GeometryReport[],
+ *   warnings: string[],
+ * }} ReplaceSummary
+ */
+
+/**
+ * Модель, разобранная и подготовленная к добавлению в сцену.
+ * `roots` — верхние узлы, если модель импортируется с иерархией, иначе `null`.
+ * @typedef {{
+ *   units: import('./sourceUnits.js').SourceUnits,
+ *   missingResources: string[],
+ *   validation: import('./geometryValidator.js').GeometryReport[],
+ *   warnings: string[],
+ *   roots: import('three').Object3D[] | null,
+ *   meshes: import('three').Mesh[],
+ *   clips: import('three').AnimationClip[],
+ *   isAnimated: boolean,
+ * }} LoadedModel
+ */
+
+/**
+ * @typedef {{
+ *   signal?: AbortSignal,
+ *   options: ImportOptions,
+ *   report: (stage: ImportStage, progress: number | null, cancellable?: boolean) => void,
+ *   lastYield: number,
+ * }} ImportContext
+ */
+
+/**
+ * Возвращает управление браузеру, если синхронная работа длится дольше YIELD_INTERVAL_MS,
+ * и прерывает импорт, если он был отменён.
+ * @param {ImportContext} context
+ * @returns {Promise<void>}
+ */
+async function yieldToBrowser(context) {
+  if (performance.now() - context.lastYield < YIELD_INTERVAL_MS) {
+    return;
+  }
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  context.lastYield = performance.now();
+  context.signal?.throwIfAborted();
+}
+
 /**
  * Отвечает за загрузку файлов и добавление новых мешей в сцену и UI.
  */
@@ -63,182 +259,713 @@ export class ImportManager {
    * @param {import('./sceneManager.js').SceneManager} sceneManager
    * @param {import('./selectionManager.js').SelectionManager} selectionManager
    * @param {import('../ui/panel.js').Panel} panel
+   * @param {import('./animationManager.js').AnimationManager} animationManager
    */
-  constructor(sceneManager, selectionManager, panel) {
+  constructor(sceneManager, selectionManager, panel, animationManager) {
     this.sceneManager = sceneManager;
     this.selectionManager = selectionManager;
     this.panel = panel;
-    this.gltfLoader = new GLTFLoader();
-    /** @type {import('three/examples/jsm/loaders/DRACOLoader.js').DRACOLoader | null} */
-    this.dracoLoader = null;
-    this.fbxLoader = new FBXLoader();
-    this.objLoader = new OBJLoader();
+    this.animationManager = animationManager;
+    const decoderPaths = { draco: ASSETS.dracoDecoderPath, ktx2: ASSETS.ktx2TranscoderPath };
+    /** Парсеры основного потока — запасной путь, если воркер недоступен. */
+    this.parsers = new ModelParsers(
+      {
+        Mesh,
+        MeshPhongMaterial,
+        MeshStandardMaterial,
+        SRGBColorSpace,
+        LinearSRGBColorSpace,
+        Texture,
+        RGBAFormat,
+        LinearMipmapLinearFilter,
+        GLTFLoader,
+        DRACOLoader,
+        KTX2Loader,
+        MeshoptDecoder,
+        FBXLoader,
+        MTLLoader,
+        OBJLoader,
+        PLYLoader,
+        STLLoader,
+        TDSLoader,
+        USDZLoader,
+        unzipSync,
+        zipSync,
+        strFromU8,
+        strToU8,
+      },
+      decoderPaths,
+    );
+    this.workerParser = new WorkerParser({
+      modules: Object.fromEntries(WORKER_MODULES.map((name) => [name, resolveModuleUrl(name)])),
+      decoderPaths,
+    });
+    /** @type {WeakMap<import('three').Texture, import('three').Texture | null>} */
+    this.bumpNormalCache = new WeakMap();
+    /** @type {WeakMap<import('three').Material, { map: import('three').Texture; orm: import('three').Texture; occlusion: boolean } | null>} */
+    this.specularGlossinessCache = new WeakMap();
   }
 
   /**
-   * Загружает модель из файла и добавляет её меши в сцену.
-   * @param {File} file
-   * @returns {Promise<void>}
+   * Загружает модели из набора файлов и добавляет их меши в сцену.
+   * Файлы, не являющиеся моделями (.bin, текстуры), используются как внешние ресурсы моделей.
+   * Импорт можно отменить через `signal`; меши файла добавляются в сцену только после всех его этапов.
+   * Ошибка в одном файле не прерывает импорт остальных: такие файлы возвращаются в `failures`.
+   * @param {File | File[]} input
+   * @param {ImportOptions & { signal?: AbortSignal, onProgress?: (progress: ImportProgress) => void }} [options]
+   * @returns {Promise<ImportResult>}
    */
-  async importModel(file) {
-    const extension = this.#getExtension(file.name);
-    if (!extension) {
-      throw new Error('Unsupported file format');
-    }
-
-    const arrayBuffer = await file.arrayBuffer();
-    const root = await this.#parseByExtension(extension, arrayBuffer);
-    const meshes = this.#extractMeshes(root, file.name || 'Mesh');
-    meshes.forEach((mesh) => {
-      mesh.visible = true;
-      mesh.matrixAutoUpdate = true;
-      if (!mesh.userData) {
-        mesh.userData = {};
-      }
-      if (!mesh.userData[INITIAL_TRANSFORM_KEY]) {
-        mesh.userData[INITIAL_TRANSFORM_KEY] = {
-          position: mesh.position.clone(),
-          rotation: mesh.rotation.clone(),
-          scale: mesh.scale.clone(),
+  async importModel(input, { signal, onProgress, ...options } = {}) {
+    const files = Array.isArray(input) ? input : [input];
+    const modelFiles = this.#findModelFiles(files);
+    const resourceFiles = files.filter((file) => !modelFiles.includes(file));
+
+    const resolver = new ResourceResolver(this.#collectResources(files), new LoadingManager());
+    /** @type {ImportSummary[]} */
+    const summaries = [];
+    /** @type {ImportFailure[]} */
+    const failures = [];
+    try {
+      for (const [fileIndex, file] of modelFiles.entries()) {
+        signal?.throwIfAborted();
+        /** @type {ImportContext} */
+        const context = {
+          signal,
+          options,
+          report: (stage, progress, cancellable = true) => {
+            onProgress?.({
+              fileName: file.name,
+              fileIndex,
+              fileCount: modelFiles.length,
+              stage,
+              progress,
+              cancellable,
+            });
+          },
+          lastYield: performance.now(),
         };
+        try {
+          summaries.push(await this.#importFile(file, resolver, context));
+        } catch (error) {
+          if (signal?.aborted) {
+            throw error;
+          }
+          console.error(`Failed to import ${file.name}`, error);
+          resolver.missing.clear();
+          failures.push({ fileName: file.name, error, files: [file, ...resourceFiles] });
+        }
       }
-      this.sceneManager.addMesh(mesh);
-      const li = this.panel.createMeshRow({
-        name: mesh.name,
-        onClick: (event) => {
-          const additive = event.ctrlKey || event.metaKey;
-          this.selectionManager.selectFromList(mesh.uuid, additive);
-        },
-        onDoubleClick: () => {
-          this.sceneManager.focusMesh(mesh);
-        },
-        onHide: () => {
-          mesh.visible = !mesh.visible;
-          return mesh.visible;
-        },
-        onDelete: () => {
-          this.sceneManager.removeMesh(mesh);
-          this.selectionManager.unregisterMesh(mesh.uuid);
-          this.panel.removeMeshRow(mesh.uuid);
-        },
+    } finally {
+      resolver.dispose();
+    }
+    return { summaries, failures };
+  }
+
+  /**
+   * Заменяет ранее импортированную модель новой версией файла, сохраняя правки мешей.
+   * Меши сопоставляются по имени (`mesh.name`) среди мешей модели с `userData.source === source`:
+   * совпавшие получают новую геометрию, но сохраняют материал, трансформацию, видимость и место в списке.
+   * Новые меши добавляются в сцену, отсутствующие в новой версии — удаляются.
+   * Модели с анимациями или скелетом не заменяются: треки и кости ссылаются на прежние узлы.
+   * @param {File | File[]} input Файл модели и его внешние ресурсы.
+   * @param {ImportOptions & { source?: string, signal?: AbortSignal, onProgress?: (progress: ImportProgress) => void }} [options]
+   * `source` — заменяемая модель; по умолчанию модель с тем же именем файла.
+   * @returns {Promise<ReplaceSummary>}
+   */
+  async replaceModel(input, { source, signal, onProgress, ...options } = {}) {
+    const files = Array.isArray(input) ? input : [input];
+    const modelFiles = this.#findModelFiles(files);
+    if (modelFiles.length > 1) {
+      throw new Error('Choose a single model file to replace the model with.');
+    }
+    const [file] = modelFiles;
+    const sourceName = source ?? file.name;
+    const existing = this.#collectSourceMeshes(sourceName);
+    if (existing.length === 0) {
+      throw new Error(`There are no meshes from ${sourceName} in the scene to replace.`);
+    }
+    if (existing.some((mesh) => mesh.isSkinnedMesh)) {
+      throw new Error(`${sourceName} has a skeleton and cannot be replaced. Import the new version instead.`);
+    }
+
+    const resolver = new ResourceResolver(this.#collectResources(files), new LoadingManager());
+    /** @type {ImportContext} */
+    const context = {
+      signal,
+      // Новая версия всегда извлекается плоским списком: совпавшие меши остаются на своих местах в иерархии.
+      options: { ...options, preserveHierarchy: false },
+      report: (stage, progress, cancellable = true) => {
+        onProgress?.({ fileName: file.name, fileIndex: 0, fileCount: 1, stage, progress, cancellable });
+      },
+      lastYield: performance.now(),
+    };
+    try {
+      // Безымянные меши называются по имени модели, поэтому новая версия именуется по заменяемой модели.
+      const loaded = await this.#loadFile(file, sourceName, resolver, context);
+      if (loaded.isAnimated) {
+        throw new Error(`${file.name} has animations or a skeleton and cannot replace a model. Import it instead.`);
+      }
+      return {
+        fileName: file.name,
+        source: sourceName,
+        missingResources: loaded.missingResources,
+        warnings: loaded.warnings,
+        ...this.#replaceMeshes(existing, loaded),
+      };
+    } finally {
+      resolver.dispose();
+    }
+  }
+
+  /**
+   * Отбирает из набора файлы моделей и архивы; остальные файлы служат их ресурсами.
+   * @param {File[]} files
+   * @returns {File[]}
+   */
+  #findModelFiles(files) {
+    const modelFiles = files.filter((file) => {
+      const extension = this.#getExtension(file.name) ?? '';
+      return MODEL_EXTENSIONS.includes(extension) || ARCHIVE_EXTENSIONS.includes(extension);
+    });
+    if (modelFiles.length === 0) {
+      const supported = [...MODEL_EXTENSIONS, ...ARCHIVE_EXTENSIONS].map((extension) => `.${extension}`);
+      throw new Error(`Unsupported file format. Supported formats: ${supported.join(', ')}`);
+    }
+    return modelFiles;
+  }
+
+  /**
+   * Возвращает зарегистрированные меши модели в порядке строк списка.
+   * @param {string} source Значение `userData.source` мешей модели.
+   * @returns {import('three').Mesh[]}
+   */
+  #collectSourceMeshes(source) {
+    /** @type {import('three').Mesh[]} */
+    const meshes = [];
+    this.selectionManager.meshMap.forEach(({ mesh }) => {
+      if (/** @type {import('three').Mesh} */ (mesh).isMesh && mesh.userData?.source === source) {
+        meshes.push(/** @type {import('three').Mesh} */ (mesh));
+      }
+    });
+    return meshes;
+  }
+
+  /**
+   * Сопоставляет меши новой версии с мешами сцены по имени и переносит геометрию.
+   * Имена, встречающиеся несколько раз с любой стороны, не сопоставляются: старые меши остаются как есть,
+   * новые добавляются рядом.
+   * @param {import('three').Mesh[]} existing
+   * @param {LoadedModel} loaded
+   * @returns {Omit<ReplaceSummary, 'fileName' | 'source' | 'missingResources' | 'warnings'>}
+   */
+  #replaceMeshes(existing, loaded) {
+    /**
+     * @param {import('three').Mesh[]} meshes
+     * @returns {Map<string, import('three').Mesh[]>}
+     */
+    const groupByName = (meshes) => {
+      const groups = new Map();
+      meshes.forEach((mesh) => {
+        groups.set(mesh.name, [...(groups.get(mesh.name) ?? []), mesh]);
+      });
+      return groups;
+    };
+    const existingByName = groupByName(existing);
+    const incomingByName = groupByName(loaded.meshes);
+    const incomingReports = new Map(loaded.validation.map((report) => [report.uuid, report]));
+
+    /** @type {import('three').Mesh[]} */
+    const added = [];
+    /** @type {string[]} */
+    const unmatched = [];
+    /** @type {import('./geometryValidator.js').GeometryReport[]} */
+    const validation = [];
+    let replaced = 0;
+
+    incomingByName.forEach((incoming, name) => {
+      const current = existingByName.get(name) ?? [];
+      existingByName.delete(name);
+      if (current.length === 0) {
+        added.push(...incoming);
+        return;
+      }
+      if (current.length > 1 || incoming.length > 1) {
+        unmatched.push(name);
+        added.push(...incoming);
+        return;
+      }
+      const [target] = current;
+      const [source] = incoming;
+      const keepMaterial = this.#countMaterialSlots(target.material) === this.#countMaterialSlots(source.material);
+      this.#swapGeometry(target, source, keepMaterial);
+      if (keepMaterial) {
+        replaced += 1;
+      } else {
+        unmatched.push(name);
+      }
+      this.panel.removeValidationReport(target.uuid);
+      const issues = validateMesh(target);
+      if (issues.length > 0) {
+        validation.push({ uuid: target.uuid, name: target.name || 'Mesh', issues });
+      }
+    });
+
+    // В карте остались только имена, которых нет в новой версии.
+    /** @type {string[]} */
+    const removed = [];
+    existingByName.forEach((meshes) => {
+      meshes.forEach((mesh) => {
+        removed.push(mesh.name || 'Mesh');
+        this.#removeObject(mesh);
       });
-      this.selectionManager.registerMesh(mesh, li);
     });
 
-    if (meshes.length > 0) {
-      this.sceneManager.frameMeshes(meshes);
+    added.forEach((mesh) => {
+      this.sceneManager.addMesh(mesh);
+      this.#registerObject(mesh, null);
+      const report = incomingReports.get(mesh.uuid);
+      if (report) {
+        validation.push(report);
+      }
+    });
+    return { replaced, added: added.map((mesh) => mesh.name || 'Mesh'), removed, unmatched, validation };
+  }
+
+  /**
+   * @param {import('three').Material | import('three').Material[]} material
+   * @returns {number}
+   */
+  #countMaterialSlots(material) {
+    return Array.isArray(material) ? material.length : 1;
+  }
+
+  /**
+   * Переносит геометрию нового меша в существующий. Трансформация, видимость и строка списка
+   * остаются прежними; веса морфинга переносятся по именам целей.
+   * @param {import('three').Mesh} target
+   * @param {import('three').Mesh} source
+   * @param {boolean} keepMaterial Сохранить материал сцены; иначе меш получает материал из файла.
+   */
+  #swapGeometry(target, source, keepMaterial) {
+    const influences = new Map(
+      Object.entries(target.morphTargetDictionary ?? {}).map(([name, index]) => [
+        name,
+        target.morphTargetInfluences?.[index] ?? 0,
+      ]),
+    );
+    target.geometry.dispose();
+    target.geometry = source.geometry;
+    target.updateMorphTargets();
+    Object.entries(target.morphTargetDictionary ?? {}).forEach(([name, index]) => {
+      if (target.morphTargetInfluences && influences.has(name)) {
+        target.morphTargetInfluences[index] = /** @type {number} */ (influences.get(name));
+      }
+    });
+
+    const discarded = keepMaterial ? source.material : target.material;
+    if (keepMaterial) {
+      // Карты сохранённого материала могут не подходить новой геометрии (например, без UV).
+      this.#sanitizeMaterial(target.material, target.geometry);
+    } else {
+      target.material = source.material;
     }
+    (Array.isArray(discarded) ? discarded : [discarded]).forEach((material) => material?.dispose());
   }
 
   /**
-   * Разбирает GLTF/GLB-содержимое из ArrayBuffer.
-   * @param {ArrayBuffer} buffer
-   * @returns {Promise<import('three/examples/jsm/loaders/GLTFLoader.js').GLTF>}
-   */
-  #parseGLTF(buffer, extension) {
-    return new Promise((resolve, reject) => {
-      const loader = this.gltfLoader;
-      if (this.#bufferUsesDraco(buffer, extension)) {
-        loader.setDRACOLoader(this.#getDracoLoader());
-      }
-      loader.parse(
-        buffer,
-        '',
-        (gltf) => resolve(gltf),
-        (error) => reject(error),
-      );
+   * Загружает одну модель, разрешая её внешние ссылки через resolver.
+   * @param {File} file
+   * @param {ResourceResolver} resolver
+   * @param {ImportContext} context
+   * @returns {Promise<ImportSummary>}
+   */
+  async #importFile(file, resolver, context) {
+    const { units, missingResources, validation, warnings, roots, meshes, clips } = await this.#loadFile(
+      file,
+      file.name,
+      resolver,
+      context,
+    );
+    if (roots) {
+      roots.forEach((node) => {
+        this.sceneManager.addMesh(node);
+        this.#registerTree(node, null);
+        this.animationManager.addModel(node, clips, file.name);
+      });
+    } else {
+      meshes.forEach((mesh) => {
+        this.sceneManager.addMesh(mesh);
+        this.#registerObject(mesh, null);
+      });
+    }
+
+    const framed = roots ?? meshes;
+    if (framed.length > 0) {
+      this.sceneManager.frameMeshes(framed);
+    }
+    return { fileName: file.name, units, missingResources, validation, warnings };
+  }
+
+  /**
+   * Читает и разбирает файл модели, извлекает, проверяет и очищает её меши, не добавляя их в сцену.
+   * @param {File} file
+   * @param {string} sourceName Имя модели: записывается в `userData.source` и служит основой имён безымянных мешей.
+   * @param {ResourceResolver} resolver
+   * @param {ImportContext} context
+   * @returns {Promise<LoadedModel>}
+   */
+  async #loadFile(file, sourceName, resolver, context) {
+    const extension = this.#getExtension(file.name);
+    context.report('reading', 0);
+    const arrayBuffer = await this.#readFile(file, context);
+    context.report('parsing', null);
+    const root = await this.#parseByExtension(extension, arrayBuffer, resolver, context);
+    await resolver.whenIdle();
+    context.signal?.throwIfAborted();
+    const missingResources = Array.from(resolver.missing);
+    if (missingResources.length > 0) {
+      console.warn(`Missing resources for ${file.name}`, missingResources);
+      resolver.missing.clear();
+    }
+    const units = this.#normalizeUnits(root, context.options);
+    const warnings = await this.#convertSpecularGlossinessMaterials(root, context);
+    const clips = root.animations ?? [];
+    let isRigged = false;
+    root.traverse((child) => {
+      isRigged = isRigged || Boolean(child.isSkinnedMesh);
     });
+    const isAnimated = clips.length > 0 || isRigged;
+    if (isAnimated && !context.options.preserveHierarchy) {
+      warnings.push('The model has animations or a skeleton, so its node hierarchy was kept.');
+    }
+    const { roots, meshes } = context.options.preserveHierarchy || isAnimated
+      ? await this.#extractHierarchy(root, sourceName || 'Mesh', context, isAnimated)
+      : { roots: null, meshes: await this.#extractMeshes(root, sourceName || 'Mesh', context) };
+    // Проверка идёт до санитизации: она молча убирает карты без UV, а пользователь должен о них узнать.
+    context.report('validating', 0);
+    /** @type {import('./geometryValidator.js').GeometryReport[]} */
+    const validation = [];
+    for (const [index, mesh] of meshes.entries()) {
+      const issues = validateMesh(mesh);
+      if (issues.length > 0) {
+        validation.push({ uuid: mesh.uuid, name: mesh.name || 'Mesh', issues });
+      }
+      context.report('validating', (index + 1) / meshes.length);
+      await yieldToBrowser(context);
+    }
+    context.report('sanitizing', 0);
+    for (const [index, mesh] of meshes.entries()) {
+      this.#sanitizeMaterial(mesh.material, mesh.geometry);
+      context.report('sanitizing', (index + 1) / meshes.length);
+      await yieldToBrowser(context);
+    }
+    context.signal?.throwIfAborted();
+    return { units, missingResources, validation, warnings, roots, meshes, clips, isAnimated };
   }
 
   /**
-   * Лениво создаёт и настраивает DRACOLoader для распаковки сжатых мешей.
-   * @returns {import('three/examples/jsm/loaders/DRACOLoader.js').DRACOLoader}
+   * Переводит модель в метры и Y-up, домножая трансформацию корня на масштаб и поворот.
+   * Трансформация корня затем запекается в меши в #extractMeshes (или остаётся на верхнем узле иерархии).
+   * Единицы берутся из метаданных, записанных парсером, либо из ручного выбора пользователя.
+   * @param {import('three').Object3D} root
+   * @param {ImportOptions} options
+   * @returns {import('./sourceUnits.js').SourceUnits} Применённые единицы.
    */
-  #getDracoLoader() {
-    if (!this.dracoLoader) {
-      this.dracoLoader = new DRACOLoader();
-      this.dracoLoader.setDecoderPath(
-        'https://cdn.jsdelivr.net/npm/three@0.160.0/examples/jsm/libs/draco/',
-      );
+  #normalizeUnits(root, options) {
+    /** @type {import('./sourceUnits.js').SourceUnits} */
+    const units = {
+      ...(root.userData?.[SOURCE_UNITS_KEY] ?? createSourceUnits(null, null, { metersPerUnit: 1, upAxis: 'Y' })),
+    };
+    if (options.units && options.units !== 'auto') {
+      units.metersPerUnit = LENGTH_UNITS[options.units];
+      units.unitSource = 'override';
+    }
+    if (options.upAxis && options.upAxis !== 'auto') {
+      units.upAxis = options.upAxis;
+      units.axisSource = 'override';
+    }
+
+    const scale = units.metersPerUnit;
+    const conversion = new Matrix4().makeScale(scale, scale, scale);
+    if (units.upAxis === 'Z') {
+      conversion.premultiply(new Matrix4().makeRotationX(-Math.PI / 2));
+    } else if (units.upAxis === 'X') {
+      conversion.premultiply(new Matrix4().makeRotationZ(Math.PI / 2));
     }
-    return this.dracoLoader;
+    root.applyMatrix4(conversion);
+    root.updateMatrixWorld(true);
+    return units;
   }
 
   /**
-   * Проверяет, содержит ли GLTF/GLB описание расширения KHR_draco_mesh_compression.
-   * @param {ArrayBuffer} buffer
-   * @param {'gltf' | 'glb'} extension
-   * @returns {boolean}
+   * Регистрирует узел и всех его потомков в списке, сохраняя вложенность строк.
+   * Кости в список не попадают: их двигает анимация, а не пользователь.
+   * Меши, прикреплённые к костям, показываются под ближайшим видимым в списке предком.
+   * @param {import('three').Object3D} node
+   * @param {HTMLLIElement | null} parentRow
+   */
+  #registerTree(node, parentRow) {
+    const row = node.isBone ? parentRow : this.#registerObject(node, parentRow);
+    node.children.forEach((child) => this.#registerTree(child, row));
+  }
+
+  /**
+   * Создаёт строку списка для меша или группы и регистрирует объект в менеджере выбора.
+   * @param {import('three').Object3D} object
+   * @param {HTMLLIElement | null} parentRow
+   * @returns {HTMLLIElement}
    */
-  #bufferUsesDraco(buffer, extension) {
+  #registerObject(object, parentRow) {
+    object.visible = true;
+    object.matrixAutoUpdate = true;
+    if (!object.userData) {
+      object.userData = {};
+    }
+    if (!object.userData[INITIAL_TRANSFORM_KEY]) {
+      object.userData[INITIAL_TRANSFORM_KEY] = {
+        position: object.position.clone(),
+        rotation: object.rotation.clone(),
+        scale: object.scale.clone(),
+      };
+    }
+    const li = this.panel.createMeshRow({
+      name: object.name,
+      parent: parentRow,
+      isGroup: object.children.some((child) => !child.isBone),
+      onClick: (event) => {
+        const additive = event.ctrlKey || event.metaKey;
+        this.selectionManager.selectFromList(object.uuid, additive);
+      },
+      onDoubleClick: () => {
+        this.sceneManager.focusMesh(object);
+      },
+      onHide: () => {
+        object.visible = !object.visible;
+        return object.visible;
+      },
+      onDelete: () => {
+        this.#removeObject(object);
+      },
+    });
+    this.selectionManager.registerMesh(object, li);
+    return li;
+  }
+
+  /**
+   * Удаляет объект из сцены вместе со строками списка. Вместе с группой удаляются строки всех её потомков.
+   * @param {import('three').Object3D} object
+   */
+  #removeObject(object) {
+    const registered = [];
+    object.traverse((node) => {
+      if (this.selectionManager.findRegisteredMesh(node) === node) {
+        registered.push(node);
+      }
+    });
+    this.sceneManager.removeMesh(object);
+    this.animationManager.removeModelsWithin(object);
+    registered.forEach((node) => {
+      this.selectionManager.unregisterMesh(node.uuid);
+      this.panel.removeMeshRow(node.uuid);
+    });
+  }
+
+  /**
+   * Собирает переданные файлы в карту ресурсов по относительному пути.
+   * @param {File[]} files
+   * @returns {Map<string, Blob>}
+   */
+  #collectResources(files) {
+    const resources = new Map();
+    files.forEach((file) => {
+      const path = file.webkitRelativePath || file.name;
+      resources.set(path, file);
+    });
+    return resources;
+  }
+
+  /**
+   * Читает файл порциями, сообщая долю прочитанного, чтобы большие модели не выглядели зависшими.
+   * @param {File} file
+   * @param {ImportContext} context
+   * @returns {Promise<ArrayBuffer>}
+   */
+  async #readFile(file, context) {
+    if (typeof file.stream !== 'function' || file.size === 0) {
+      return file.arrayBuffer();
+    }
+    const bytes = new Uint8Array(file.size);
+    const reader = file.stream().getReader();
+    let offset = 0;
     try {
-      if (extension === 'gltf') {
-        const text = new TextDecoder('utf-8').decode(buffer);
-        return text.includes('KHR_draco_mesh_compression');
-      }
-
-      const MAGIC = 0x46546c67; // glTF
-      const JSON_TYPE = 0x4e4f534a; // JSON
-      const view = new DataView(buffer);
-      const magic = view.getUint32(0, true);
-      if (magic !== MAGIC) {
-        return false;
-      }
-      const jsonByteLength = view.getUint32(12, true);
-      const chunkType = view.getUint32(16, true);
-      if (chunkType !== JSON_TYPE) {
-        return false;
-      }
-      const jsonBytes = new Uint8Array(buffer, 20, jsonByteLength);
-      const jsonText = new TextDecoder('utf-8').decode(jsonBytes);
-      return jsonText.includes('KHR_draco_mesh_compression');
+      for (;;) {
+        context.signal?.throwIfAborted();
+        const { done, value } = await reader.read();
+        if (done) {
+          break;
+        }
+        bytes.set(value, offset);
+        offset += value.byteLength;
+        context.report('reading', offset / file.size);
+      }
     } catch (error) {
-      // Не получилось определить расширения — считаем, что сжатие не используется.
-      return false;
+      reader.cancel().catch(() => {});
+      throw error;
     }
+    return bytes.buffer;
   }
 
   /**
-   * Разбирает FBX модель из ArrayBuffer.
+   * Разбирает Collada (.dae) модель из ArrayBuffer.
+   * ColladaLoader сам применяет `<unit meter>` и поворот для Z_UP; это преобразование сбрасывается,
+   * а единицы и ось записываются в userData корня, чтобы их применил #normalizeUnits (с учётом ручного выбора).
    * @param {ArrayBuffer} buffer
+   * @param {ResourceResolver} resolver
    * @returns {Promise<import('three').Object3D>}
    */
-  async #parseFBX(buffer) {
-    return this.fbxLoader.parse(buffer, '');
+  async #parseCollada(buffer, resolver) {
+    const text = new TextDecoder('utf-8').decode(buffer);
+    const collada = new ColladaLoader(resolver.manager).parse(text, '');
+    if (!collada?.scene) {
+      throw new Error('Failed to parse Collada file');
+    }
+    collada.scene.position.set(0, 0, 0);
+    collada.scene.quaternion.identity();
+    collada.scene.scale.set(1, 1, 1);
+    const upAxis = /<up_axis>\s*([XYZ])_UP\s*<\/up_axis>/i.exec(text)?.[1]?.toUpperCase();
+    const meter = /<unit\b[^>]*\bmeter\s*=\s*"([^"]+)"/i.exec(text)?.[1];
+    collada.scene.userData[SOURCE_UNITS_KEY] = createSourceUnits(
+      meter === undefined ? null : Number.parseFloat(meter),
+      /** @type {'X' | 'Y' | 'Z' | undefined} */ (upAxis) ?? null,
+      { metersPerUnit: 1, upAxis: 'Y' },
+    );
+    return collada.scene;
   }
 
   /**
-   * Разбирает OBJ модель из ArrayBuffer.
+   * Распаковывает ZIP-архив, регистрирует его содержимое как ресурсы и разбирает основной файл модели.
+   * Распаковка идёт асинхронно (fflate использует собственные воркеры).
    * @param {ArrayBuffer} buffer
+   * @param {ResourceResolver} resolver
+   * @param {ImportContext} context
    * @returns {Promise<import('three').Object3D>}
    */
-  async #parseOBJ(buffer) {
-    const text = new TextDecoder('utf-8').decode(buffer);
-    return this.objLoader.parse(text);
+  async #parseZIP(buffer, resolver, context) {
+    const entries = await new Promise((resolve, reject) => {
+      unzip(new Uint8Array(buffer), (error, result) => (error ? reject(error) : resolve(result)));
+    });
+    context.signal?.throwIfAborted();
+    /** @type {{ path: string; extension: string; data: Uint8Array } | null} */
+    let primary = null;
+    Object.entries(entries).forEach(([path, data]) => {
+      if (path.endsWith('/') || path.startsWith('__MACOSX/')) {
+        return;
+      }
+      const extension = this.#getExtension(path) ?? '';
+      const type = RESOURCE_MIME_TYPES[extension] ?? '';
+      resolver.add(path, new Blob([data], { type }));
+      if (!MODEL_EXTENSIONS.includes(extension)) {
+        return;
+      }
+      if (!primary || this.#compareArchiveModels(path, extension, primary) < 0) {
+        primary = { path, extension, data };
+      }
+    });
+    if (!primary) {
+      throw new Error('ZIP archive does not contain a supported model file');
+    }
+    const { extension, data } = primary;
+    const modelBuffer = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+    return this.#parseByExtension(extension, modelBuffer, resolver, context);
   }
 
   /**
-   * Выбирает соответствующий парсер по расширению файла.
+   * Сравнивает кандидатов на роль основной модели архива: меньшая вложенность,
+   * затем приоритет формата по порядку MODEL_EXTENSIONS.
+   * @param {string} path
    * @param {string} extension
+   * @param {{ path: string; extension: string }} current
+   * @returns {number}
+   */
+  #compareArchiveModels(path, extension, current) {
+    const depth = path.split('/').length;
+    const currentDepth = current.path.split('/').length;
+    if (depth !== currentDepth) {
+      return depth - currentDepth;
+    }
+    return MODEL_EXTENSIONS.indexOf(extension) - MODEL_EXTENSIONS.indexOf(current.extension);
+  }
+
+  /**
+   * Выбирает соответствующий парсер по расширению файла.
+   * @param {string | null} extension
    * @param {ArrayBuffer} buffer
+   * @param {ResourceResolver} resolver
+   * @param {ImportContext} context
    * @returns {Promise<import('three').Object3D>}
    */
-  async #parseByExtension(extension, buffer) {
+  async #parseByExtension(extension, buffer, resolver, context) {
+    if (extension && WORKER_MODEL_EXTENSIONS.includes(extension)) {
+      return this.#parseOffMainThread(extension, buffer, resolver, context);
+    }
     switch (extension) {
-      case 'gltf':
-      case 'glb': {
-        const gltf = await this.#parseGLTF(buffer, extension);
-        return gltf.scene;
-      }
-      case 'fbx':
-        return this.#parseFBX(buffer);
-      case 'obj':
-        return this.#parseOBJ(buffer);
+      case 'dae':
+        await this.#reportMainThreadWork(context);
+        return this.#parseCollada(buffer, resolver);
+      case 'zip':
+        return this.#parseZIP(buffer, resolver, context);
       default:
         throw new Error(`Unsupported file extension: ${extension}`);
     }
   }
 
+  /**
+   * Разбирает модель в воркере, чтобы тяжёлый разбор и Draco-декодирование не блокировали интерфейс.
+   * Если воркер запустить не удалось, модель разбирается в основном потоке.
+   * Буфер передаётся воркеру без копирования, поэтому после падения воркера на середине разбора
+   * разбирать в основном потоке нечего: импорт завершается ошибкой, а следующий импорт пойдёт без воркера.
+   * @param {string} extension
+   * @param {ArrayBuffer} buffer
+   * @param {ResourceResolver} resolver
+   * @param {ImportContext} context
+   * @returns {Promise<import('three').Object3D>}
+   */
+  async #parseOffMainThread(extension, buffer, resolver, context) {
+    if (this.workerParser.available) {
+      try {
+        return await this.workerParser.parse(extension, buffer, resolver, context.signal);
+      } catch (error) {
+        if (this.workerParser.available || context.signal?.aborted) {
+          throw error;
+        }
+        if (buffer.byteLength === 0) {
+          throw new Error('The import worker stopped while parsing the model. Import the file again.', {
+            cause: error,
+          });
+        }
+        console.warn('Import worker is unavailable, parsing on the main thread', error);
+      }
+    }
+    await this.#reportMainThreadWork(context);
+    return this.parsers.parse(extension, buffer, resolver);
+  }
+
+  /**
+   * Сообщает, что этап идёт в основном потоке и отменить его нельзя.
+   * Перед синхронной работой браузер получает кадр, чтобы успеть показать это.
+   * @param {ImportContext} context
+   * @param {ImportStage} [stage]
+   * @returns {Promise<void>}
+   */
+  async #reportMainThreadWork(context, stage = 'parsing') {
+    context.report(stage, null, false);
+    await new Promise((resolve) => {
+      requestAnimationFrame(() => setTimeout(resolve, 0));
+    });
+    context.lastYield = performance.now();
+    context.signal?.throwIfAborted();
+  }
+
   /**
    * Возвращает расширение файла в нижнем регистре.
    * @param {string} fileName
@@ -251,11 +978,13 @@ export class ImportManager {
 
   /**
    * Извлекает меши из корневого объекта модели, перенося мировые матрицы в локальные координаты.
+   * Материалы на этом этапе только клонируются; их очистка выполняется отдельным этапом импорта.
    * @param {import('three').Object3D} root
    * @param {string} fileName
-   * @returns {import('three').Object3D[]}
+   * @param {ImportContext} context
+   * @returns {Promise<import('three').Mesh[]>}
    */
-  #extractMeshes(root, fileName) {
+  async #extractMeshes(root, fileName, context) {
     const meshes = [];
     const baseName = fileName.replace(/\.[^/.]+$/, '') || 'Mesh';
     let index = 1;
@@ -265,15 +994,20 @@ export class ImportManager {
     const matrix = new Matrix4();
 
     root.updateMatrixWorld(true);
+    /** @type {import('three').Mesh[]} */
+    const sources = [];
     root.traverse((child) => {
-      if (!child.isMesh) {
-        return;
+      if (child.isMesh) {
+        sources.push(/** @type {import('three').Mesh} */ (child));
       }
+    });
 
+    context.report('splitting', 0);
+    for (const [sourceIndex, child] of sources.entries()) {
       matrix.copy(child.matrixWorld);
       matrix.decompose(position, quaternion, scale);
       const transform = { position, quaternion, scale };
-      const clones = this.#cloneAndSplitMesh(child, transform);
+      const clones = this.#cloneAndSplitMesh(child, transform, context.options.keepMultiMaterial);
 
       clones.forEach((mesh, cloneIndex) => {
         const hasMultiple = clones.length > 1;
@@ -286,22 +1020,191 @@ export class ImportManager {
         meshes.push(mesh);
         index += 1;
       });
-    });
+      context.report('splitting', (sourceIndex + 1) / sources.length);
+      await yieldToBrowser(context);
+    }
     return meshes;
   }
 
+  /**
+   * Перестраивает дерево узлов модели, сохраняя группы, имена и опорные точки (pivot).
+   * Меши клонируются и разбиваются по материалам так же, как в #extractMeshes, но сохраняют
+   * локальные трансформации; части разбитого меша собираются в группу с его именем.
+   * Ветки без мешей (камеры, источники света, пустые узлы) отбрасываются, если модель не анимирована:
+   * у анимированных моделей треки и скелеты ссылаются на узлы, поэтому сохраняются все узлы,
+   * кости остаются костями, а скелеты клонов перепривязываются к новым костям.
+   * @param {import('three').Object3D} root
+   * @param {string} fileName
+   * @param {ImportContext} context
+   * @param {boolean} [isAnimated]
+   * @returns {Promise<{ roots: import('three').Object3D[]; meshes: import('three').Mesh[] }>}
+   */
+  async #extractHierarchy(root, fileName, context, isAnimated = false) {
+    /** @type {import('three').Mesh[]} */
+    const meshes = [];
+    const baseName = fileName.replace(/\.[^/.]+$/, '') || 'Mesh';
+    let meshIndex = 1;
+    let groupIndex = 1;
+    let total = 0;
+    let processed = 0;
+    root.traverse((child) => {
+      if (child.isMesh) {
+        total += 1;
+      }
+    });
+
+    /** @type {Map<import('three').Object3D, import('three').Object3D>} */
+    const nodeMap = new Map();
+    /** @type {Map<import('three').Object3D, import('three').Mesh[]>} */
+    const splitParts = new Map();
+    /** @type {import('three').SkinnedMesh[]} */
+    const skinnedMeshes = [];
+
+    root.updateMatrixWorld(true);
+    context.report('splitting', 0);
+
+    /**
+     * @param {import('three').Object3D} source
+     * @param {boolean} isRoot
+     * @returns {Promise<import('three').Object3D | null>}
+     */
+    const build = async (source, isRoot) => {
+      const position = new Vector3();
+      const quaternion = new Quaternion();
+      const scale = new Vector3();
+      source.matrix.decompose(position, quaternion, scale);
+      const transform = { position, quaternion, scale };
+
+      /** @type {import('three').Object3D} */
+      let node;
+      if (source.isMesh) {
+        const clones = this.#cloneAndSplitMesh(
+          /** @type {import('three').Mesh} */ (source),
+          transform,
+          context.options.keepMultiMaterial,
+        );
+        const name = source.name || `${baseName}_${meshIndex}`;
+        meshIndex += 1;
+        clones.forEach((mesh, cloneIndex) => {
+          mesh.name = clones.length > 1 ? `${name}_part${cloneIndex + 1}` : name;
+          mesh.userData.source = fileName;
+          meshes.push(mesh);
+          if (mesh.isSkinnedMesh) {
+            skinnedMeshes.push(/** @type {import('three').SkinnedMesh} */ (mesh));
+          }
+        });
+        if (clones.length === 1) {
+          [node] = clones;
+        } else {
+          node = new Group();
+          node.name = name;
+          this.#applyTransform(node, transform);
+          splitParts.set(source, clones);
+          clones.forEach((mesh) => {
+            mesh.position.set(0, 0, 0);
+            mesh.quaternion.identity();
+            mesh.scale.set(1, 1, 1);
+            node.add(mesh);
+          });
+        }
+        processed += 1;
+        context.report('splitting', processed / total);
+        await yieldToBrowser(context);
+      } else {
+        node = source.isBone ? new Bone() : new Group();
+        if (source.name) {
+          node.name = source.name;
+        } else if (isRoot) {
+          node.name = baseName;
+        } else {
+          node.name = `${baseName}_group${groupIndex}`;
+          groupIndex += 1;
+        }
+        this.#applyTransform(node, transform);
+      }
+      node.userData.source = fileName;
+      nodeMap.set(source, node);
+
+      for (const child of source.children) {
+        const built = await build(child, false);
+        if (built) {
+          node.add(built);
+        }
+      }
+      if (!source.isMesh && !isAnimated && node.children.length === 0) {
+        return null;
+      }
+      return node;
+    };
+
+    const top = await build(root, true);
+    skinnedMeshes.forEach((mesh) => {
+      const { skeleton } = mesh;
+      const bones = skeleton.bones.map((bone) => /** @type {Bone} */ (nodeMap.get(bone) ?? bone));
+      const boneInverses = skeleton.boneInverses.map((matrix) => matrix.clone());
+      mesh.bind(new Skeleton(bones, boneInverses), mesh.bindMatrix);
+    });
+    if (isAnimated) {
+      this.#retargetClips(root.animations ?? [], nodeMap, splitParts);
+    }
+    return { roots: top ? [top] : [], meshes };
+  }
+
+  /**
+   * Переводит треки, ссылающиеся на узлы по uuid (Collada, безымянные узлы glTF), на перестроенные узлы.
+   * Треки, ссылающиеся по имени, продолжают работать, так как имена узлов сохраняются.
+   * Треки морфинга разбитого по материалам меша указывают на группу частей,
+   * поэтому они размножаются на каждую часть.
+   * @param {import('three').AnimationClip[]} clips
+   * @param {Map<import('three').Object3D, import('three').Object3D>} nodeMap
+   * @param {Map<import('three').Object3D, import('three').Mesh[]>} splitParts
+   */
+  #retargetClips(clips, nodeMap, splitParts) {
+    /** @type {Map<string, import('three').Object3D>} */
+    const sources = new Map();
+    nodeMap.forEach((_node, source) => {
+      sources.set(source.uuid, source);
+      if (source.name && !sources.has(source.name)) {
+        sources.set(source.name, source);
+      }
+    });
+    clips.forEach((clip) => {
+      clip.tracks = clip.tracks.flatMap((track) => {
+        const { nodeName, propertyName } = PropertyBinding.parseTrackName(track.name);
+        const source = nodeName ? sources.get(nodeName) : undefined;
+        if (!source || !track.name.startsWith(nodeName)) {
+          return [track];
+        }
+        const suffix = track.name.slice(nodeName.length);
+        const parts = splitParts.get(source);
+        if (parts && propertyName === 'morphTargetInfluences') {
+          return parts.map((part) => {
+            const copy = track.clone();
+            copy.name = part.uuid + suffix;
+            return copy;
+          });
+        }
+        if (nodeName === source.uuid) {
+          track.name = /** @type {import('three').Object3D} */ (nodeMap.get(source)).uuid + suffix;
+        }
+        return [track];
+      });
+    });
+  }
+
   /**
    * Клонирует меш и при необходимости разбивает его по материалам.
    * @param {import('three').Mesh} child
    * @param {{ position: Vector3; quaternion: Quaternion; scale: Vector3 }} transform
+   * @param {boolean} [keepMultiMaterial] Не разбивать меш с несколькими материалами.
    * @returns {import('three').Mesh[]}
    */
-  #cloneAndSplitMesh(child, transform) {
+  #cloneAndSplitMesh(child, transform, keepMultiMaterial = false) {
     const clones = [];
     const materials = Array.isArray(child.material)
       ? /** @type {import('three').Material[]} */ (child.material)
       : [/** @type {import('three').Material} */ (child.material)];
-    const hasMultipleMaterials = Array.isArray(child.material) && materials.length > 1;
+    const hasMultipleMaterials = Array.isArray(child.material) && materials.length > 1 && !keepMultiMaterial;
     const baseUserData = child.userData ? { ...child.userData } : {};
 
     if (hasMultipleMaterials) {
@@ -346,7 +1249,6 @@ export class ImportManager {
         mesh.userData = { ...baseUserData };
         mesh.castShadow = true;
         mesh.receiveShadow = true;
-        this.#sanitizeMaterial(mesh.material, mesh.geometry);
         this.#applyTransform(mesh, transform);
         clones.push(mesh);
       });
@@ -359,7 +1261,6 @@ export class ImportManager {
         mesh.userData = { ...baseUserData };
         mesh.castShadow = true;
         mesh.receiveShadow = true;
-        this.#sanitizeMaterial(mesh.material, mesh.geometry);
         this.#applyTransform(mesh, transform);
         clones.push(mesh);
       }
@@ -371,7 +1272,6 @@ export class ImportManager {
       mesh.userData = { ...baseUserData };
       mesh.castShadow = true;
       mesh.receiveShadow = true;
-      this.#sanitizeMaterial(mesh.material, mesh.geometry);
       this.#applyTransform(mesh, transform);
       clones.push(mesh);
     }
@@ -405,7 +1305,9 @@ export class ImportManager {
         newArray.set(attribute.array.subarray(start, end), offset);
         offset += range.count * itemSize;
       });
-      geometry.setAttribute(name, new BufferAttribute(newArray, itemSize, attribute.normalized));
+      const copy = new BufferAttribute(newArray, itemSize, attribute.normalized);
+      copy.name = attribute.name;
+      geometry.setAttribute(name, copy);
     });
 
     const morphAttributes = sourceGeometry.morphAttributes ?? {};
@@ -425,7 +1327,10 @@ export class ImportManager {
             newArray.set(morphAttribute.array.subarray(start, end), offset);
             offset += range.count * itemSize;
           });
-          return new BufferAttribute(newArray, itemSize, morphAttribute.normalized);
+          const copy = new BufferAttribute(newArray, itemSize, morphAttribute.normalized);
+          // По имени атрибута строится morphTargetDictionary.
+          copy.name = morphAttribute.name;
+          return copy;
         });
       });
     }
@@ -437,8 +1342,8 @@ export class ImportManager {
   }
 
   /**
-   * Копирует мировую трансформацию в меш.
-   * @param {import('three').Mesh} mesh
+   * Копирует трансформацию (мировую при плоском импорте, локальную при сохранении иерархии) в объект.
+   * @param {import('three').Object3D} mesh
    * @param {{ position: Vector3; quaternion: Quaternion; scale: Vector3 }} transform
    */
   #applyTransform(mesh, transform) {
@@ -512,6 +1417,37 @@ export class ImportManager {
       }
     }
 
+    if (material.isMeshPhysicalMaterial) {
+      const physical = /** @type {import('three').MeshPhysicalMaterial} */ (material);
+      for (const [prop, min, max] of PHYSICAL_SCALAR_RANGES) {
+        const value = clamp(physical[prop], min, max);
+        if (physical[prop] !== value) {
+          physical[prop] = value;
+          needsUpdate = true;
+        }
+      }
+      if (physical.sheenColorMap && physical.sheenColorMap.colorSpace !== SRGBColorSpace) {
+        physical.sheenColorMap.colorSpace = SRGBColorSpace;
+        physical.sheenColorMap.needsUpdate = true;
+        needsUpdate = true;
+      }
+    }
+
+    if (meshMaterial.emissiveMap && meshMaterial.emissiveMap.colorSpace !== SRGBColorSpace) {
+      meshMaterial.emissiveMap.colorSpace = SRGBColorSpace;
+      meshMaterial.emissiveMap.needsUpdate = true;
+      needsUpdate = true;
+    }
+    const emissiveIntensity = clamp(
+      typeof meshMaterial.emissiveIntensity === 'number' ? meshMaterial.emissiveIntensity : 1,
+      0,
+      Number.POSITIVE_INFINITY,
+    );
+    if (meshMaterial.emissiveIntensity !== emissiveIntensity) {
+      meshMaterial.emissiveIntensity = emissiveIntensity;
+      needsUpdate = true;
+    }
+
     const aoIntensity = clamp(
       typeof meshMaterial.aoMapIntensity === 'number' ? meshMaterial.aoMapIntensity : 1,
       0,
@@ -627,6 +1563,10 @@ export class ImportManager {
     if (!material) {
       return material;
     }
+    if (material.isMeshPhysicalMaterial && !usesPhysicalFeatures(/** @type {any} */ (material))) {
+      // GLTFLoader создаёт физический материал и для расширений, которые редактор не поддерживает (specular, iridescence).
+      return new MeshStandardMaterial().copy(/** @type {any} */ (material));
+    }
     if (material.isMeshStandardMaterial || material.isMeshPhysicalMaterial) {
       return material.clone();
     }
@@ -659,10 +1599,19 @@ export class ImportManager {
         standard.normalScale.copy(source.normalScale);
       }
     }
-    // Эмиссив часто приводит к "выбеленным" мешам после конвертации — отключаем его.
-    standard.emissive.setRGB(0, 0, 0);
-    standard.emissiveMap = null;
-    standard.emissiveIntensity = 0;
+    if (!standard.normalMap && 'bumpMap' in source && source.bumpMap) {
+      const bumpScale = 'bumpScale' in source && typeof source.bumpScale === 'number' ? source.bumpScale : 1;
+      standard.normalMap = this.#bumpToNormalMap(source.bumpMap, bumpScale);
+    }
+    if ('emissive' in source && source.emissive) {
+      standard.emissive.copy(source.emissive);
+    }
+    if ('emissiveMap' in source) {
+      standard.emissiveMap = source.emissiveMap ?? null;
+    }
+    if ('emissiveIntensity' in source && typeof source.emissiveIntensity === 'number') {
+      standard.emissiveIntensity = source.emissiveIntensity;
+    }
     if ('aoMap' in source) {
       standard.aoMap = source.aoMap ?? null;
       if ('aoMapIntensity' in source && typeof source.aoMapIntensity === 'number') {
@@ -717,6 +1666,335 @@ export class ImportManager {
       standard.metalness = 0;
     }
     standard.envMapIntensity = 1;
+    if (source.isMeshPhongMaterial && (source.userData?.[SPECULAR_GLOSSINESS_KEY] || source.specularMap)) {
+      this.#applySpecularGlossiness(/** @type {import('three').MeshPhongMaterial} */ (source), standard);
+    }
     return standard;
   }
+
+  /**
+   * Переводит блики и глянец Phong-материала (в том числе KHR_materials_pbrSpecularGlossiness) в metal-roughness.
+   * Если есть диффузная текстура или карта бликов, они попиксельно пересчитываются в карту базового цвета
+   * и упакованную ORM-карту, которая назначается и roughnessMap, и metalnessMap.
+   * @param {import('three').MeshPhongMaterial} source
+   * @param {MeshStandardMaterial} standard
+   */
+  #applySpecularGlossiness(source, standard) {
+    const glossiness = clamp(source.shininess / 100, 0, 1);
+    /** @type {[number, number, number]} */
+    const diffuseFactor = [source.color.r, source.color.g, source.color.b];
+    /** @type {[number, number, number]} */
+    const specularFactor = [source.specular.r, source.specular.g, source.specular.b];
+
+    // Карты пересчитаны заранее, в #convertSpecularGlossinessMaterials.
+    const maps = source.map || source.specularMap ? this.specularGlossinessCache.get(source) ?? null : null;
+    if (!maps) {
+      const scalar = convertSpecularGlossiness(diffuseFactor, specularFactor, glossiness);
+      standard.color.setRGB(...scalar.baseColor);
+      standard.metalness = scalar.metalness;
+      standard.roughness = scalar.roughness;
+      return;
+    }
+    standard.color.setRGB(1, 1, 1);
+    standard.map = maps.map;
+    standard.roughnessMap = maps.orm;
+    standard.metalnessMap = maps.orm;
+    standard.roughness = 1;
+    standard.metalness = 1;
+    if (maps.occlusion) {
+      standard.aoMap = maps.orm;
+    }
+  }
+
+  /**
+   * Заранее пересчитывает карты specular-glossiness Phong-материалов модели, чтобы синхронная конвертация материалов
+   * при извлечении мешей взяла готовые карты из кэша. Пиксели считываются в основном потоке (нужен canvas),
+   * а пересчитываются в воркере импорта.
+   * @param {import('three').Object3D} root
+   * @param {ImportContext} context
+   * @returns {Promise<string[]>} Предупреждения о материалах, карты которых не удалось пересчитать.
+   */
+  async #convertSpecularGlossinessMaterials(root, context) {
+    /** @type {Set<import('three').MeshPhongMaterial>} */
+    const materials = new Set();
+    root.traverse((child) => {
+      const mesh = /** @type {import('three').Mesh} */ (child);
+      if (!mesh.isMesh) {
+        return;
+      }
+      (Array.isArray(mesh.material) ? mesh.material : [mesh.material]).forEach((material) => {
+        const phong = /** @type {import('three').MeshPhongMaterial} */ (material);
+        const isSpecularGlossiness =
+          phong?.isMeshPhongMaterial && (phong.userData?.[SPECULAR_GLOSSINESS_KEY] || phong.specularMap);
+        if (isSpecularGlossiness && (phong.map || phong.specularMap) && !this.specularGlossinessCache.has(phong)) {
+          materials.add(phong);
+        }
+      });
+    });
+    /** @type {string[]} */
+    const warnings = [];
+    if (materials.size === 0) {
+      return warnings;
+    }
+    context.report('converting', 0);
+    for (const [index, material] of Array.from(materials).entries()) {
+      let result = null;
+      try {
+        result = await this.#convertSpecularGlossinessMaps(material, context);
+      } catch (error) {
+        if (context.signal?.aborted) {
+          throw error;
+        }
+        console.warn('Не удалось преобразовать specular-glossiness в metal-roughness', error);
+        const reason = error instanceof Error ? error.message : String(error);
+        warnings.push(
+          `Material "${material.name || 'Material'}" uses approximate metalness and roughness: ` +
+            `its specular and glossiness maps could not be converted (${reason}).`,
+        );
+      }
+      this.specularGlossinessCache.set(material, result);
+      context.report('converting', (index + 1) / materials.size);
+      await yieldToBrowser(context);
+    }
+    return warnings;
+  }
+
+  /**
+   * Попиксельно пересчитывает карты specular-glossiness в карту базового цвета и ORM-карту (R — затенение,
+   * G — шероховатость, B — металличность). Затенение запекается в R, только если aoMap использует тот же UV-канал.
+   * Если воркер недоступен, пересчёт идёт в основном потоке.
+   * @param {import('three').MeshPhongMaterial} source
+   * @param {ImportContext} context
+   * @returns {Promise<{ map: import('three').Texture; orm: import('three').Texture; occlusion: boolean } | null>}
+   */
+  async #convertSpecularGlossinessMaps(source, context) {
+    const template = /** @type {import('three').Texture} */ (source.map ?? source.specularMap);
+    const occlusionMap = source.aoMap && source.aoMap.channel === template.channel ? source.aoMap : null;
+    const sizes = [source.map, source.specularMap, occlusionMap]
+      .map((texture) => texture?.image)
+      .filter(Boolean)
+      .map((image) => [image.naturalWidth || image.width || 0, image.naturalHeight || image.height || 0]);
+    const width = Math.max(0, ...sizes.map(([value]) => value));
+    const height = Math.max(0, ...sizes.map(([, value]) => value));
+    if (!width || !height) {
+      return null;
+    }
+
+    // Массивы пикселей уходят в воркер без копирования, поэтому для запасного пути они считываются заново.
+    /** @type {[number, number, number]} */
+    const diffuseFactor = [source.color.r, source.color.g, source.color.b];
+    /** @type {[number, number, number]} */
+    const specularFactor = [source.specular.r, source.specular.g, source.specular.b];
+    const readInput = () => ({
+      pixelCount: width * height,
+      diffuse: this.#readTexturePixels(source.map, width, height, template.flipY),
+      diffuseFactor,
+      specular: this.#readTexturePixels(source.specularMap, width, height, template.flipY),
+      specularFactor,
+      glossinessFactor: clamp(source.shininess / 100, 0, 1),
+      glossinessFromAlpha: Boolean(source.userData?.[SPECULAR_GLOSSINESS_KEY]),
+      occlusion: this.#readTexturePixels(occlusionMap, width, height, template.flipY),
+    });
+    let pixels = null;
+    if (this.workerParser.available) {
+      try {
+        pixels = await this.workerParser.convertSpecularGlossiness(readInput(), context.signal);
+      } catch (error) {
+        if (this.workerParser.available || context.signal?.aborted) {
+          throw error;
+        }
+        console.warn('Import worker is unavailable, converting materials on the main thread', error);
+      }
+    }
+    if (!pixels) {
+      await this.#reportMainThreadWork(context, 'converting');
+      pixels = convertSpecularGlossinessPixels(readInput());
+    }
+
+    const map = this.#createPixelTexture(pixels.baseColor, width, height, template);
+    map.name = source.map?.name ? `${source.map.name}_baseColor` : 'SpecularGlossinessBaseColor';
+    map.colorSpace = SRGBColorSpace;
+    const orm = this.#createPixelTexture(pixels.orm, width, height, source.specularMap ?? template);
+    orm.name = source.specularMap?.name ? `${source.specularMap.name}_orm` : 'SpecularGlossinessORM';
+    orm.colorSpace = LinearSRGBColorSpace;
+    // Пиксели считаны в ориентации шаблона, поэтому ORM-карта переворачивается так же, как карта базового цвета.
+    orm.flipY = template.flipY;
+    return { map, orm, occlusion: Boolean(occlusionMap) };
+  }
+
+  /**
+   * Считывает пиксели изображения текстуры, растянутого до заданного размера.
+   * Изображения-данные (`{ data, width, height }`, например текстуры из воркера) поддерживаются в формате RGBA8;
+   * сжатые для GPU текстуры и другие форматы считать нельзя, о чём сообщает исключение.
+   * @param {import('three').Texture | null | undefined} texture
+   * @param {number} width
+   * @param {number} height
+   * @param {boolean} flipY Ориентация результата: текстура с другим flipY переворачивается по вертикали.
+   * @returns {Uint8ClampedArray | null}
+   */
+  #readTexturePixels(texture, width, height, flipY) {
+    const image = texture?.image;
+    if (!texture || !image || !(image.naturalWidth || image.width)) {
+      return null;
+    }
+    const name = texture.name || 'texture';
+    if (/** @type {any} */ (texture).isCompressedTexture) {
+      throw new Error(`${name} is compressed for the GPU`);
+    }
+    const source = image.data ? this.#dataImageToCanvas(image, name) : image;
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    if (!context) {
+      throw new Error('2D canvas is not available');
+    }
+    if (texture.flipY !== flipY) {
+      context.translate(0, height);
+      context.scale(1, -1);
+    }
+    context.drawImage(source, 0, 0, width, height);
+    return context.getImageData(0, 0, width, height).data;
+  }
+
+  /**
+   * Переносит изображение-данные RGBA8 на canvas, который можно масштабировать через drawImage.
+   * @param {{ data: ArrayBufferView; width: number; height: number }} image
+   * @param {string} name Имя текстуры для сообщения об ошибке.
+   * @returns {HTMLCanvasElement}
+   */
+  #dataImageToCanvas(image, name) {
+    const { data, width, height } = image;
+    const isByteData = data instanceof Uint8Array || data instanceof Uint8ClampedArray;
+    if (!isByteData || data.length !== width * height * 4) {
+      throw new Error(`${name} is not stored as 8-bit RGBA`);
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const pixels = new Uint8ClampedArray(data.buffer, data.byteOffset, data.length);
+    canvas.getContext('2d')?.putImageData(new ImageData(pixels, width, height), 0, 0);
+    return canvas;
+  }
+
+  /**
+   * Создаёт CanvasTexture из RGBA-пикселей с настройками семплирования исходной текстуры.
+   * @param {Uint8ClampedArray} pixels
+   * @param {number} width
+   * @param {number} height
+   * @param {import('three').Texture} template
+   * @returns {CanvasTexture}
+   */
+  #createPixelTexture(pixels, width, height, template) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d')?.putImageData(new ImageData(pixels, width, height), 0, 0);
+    const texture = new CanvasTexture(canvas);
+    texture.wrapS = template.wrapS;
+    texture.wrapT = template.wrapT;
+    texture.repeat.copy(template.repeat);
+    texture.offset.copy(template.offset);
+    texture.center.copy(template.center);
+    texture.rotation = template.rotation;
+    texture.channel = template.channel;
+    texture.flipY = template.flipY;
+    texture.needsUpdate = true;
+    return texture;
+  }
+
+  /**
+   * Преобразует bump-карту (карту высот, например map_Bump из MTL) в нормал-карту.
+   * Если текстура уже выглядит как нормал-карта (средний цвет около (0.5, 0.5, 1)), она используется как есть.
+   * @param {import('three').Texture} texture
+   * @param {number} bumpScale
+   * @returns {import('three').Texture | null}
+   */
+  #bumpToNormalMap(texture, bumpScale) {
+    if (this.bumpNormalCache.has(texture)) {
+      return this.bumpNormalCache.get(texture) ?? null;
+    }
+    const image = texture.image;
+    const width = image?.naturalWidth || image?.width || 0;
+    const height = image?.naturalHeight || image?.height || 0;
+    if (!image || !width || !height) {
+      return null;
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    if (!context) {
+      return null;
+    }
+
+    let result = null;
+    try {
+      context.drawImage(image, 0, 0, width, height);
+      const source = context.getImageData(0, 0, width, height).data;
+      const total = width * height;
+      const step = Math.max(1, Math.floor(total / 4096));
+      let red = 0;
+      let green = 0;
+      let blue = 0;
+      let samples = 0;
+      for (let pixel = 0; pixel < total; pixel += step) {
+        red += source[pixel * 4];
+        green += source[pixel * 4 + 1];
+        blue += source[pixel * 4 + 2];
+        samples += 1;
+      }
+      red /= samples;
+      green /= samples;
+      blue /= samples;
+
+      if (blue > 200 && Math.abs(red - 128) < 32 && Math.abs(green - 128) < 32) {
+        texture.colorSpace = LinearSRGBColorSpace;
+        texture.needsUpdate = true;
+        result = texture;
+      } else {
+        const heights = new Float32Array(total);
+        for (let pixel = 0; pixel < total; pixel += 1) {
+          const offset = pixel * 4;
+          heights[pixel] =
+            (0.2126 * source[offset] + 0.7152 * source[offset + 1] + 0.0722 * source[offset + 2]) / 255;
+        }
+        const strength = Math.max(Math.abs(bumpScale), 1e-3) * 2;
+        const output = context.createImageData(width, height);
+        const pixels = output.data;
+        for (let y = 0; y < height; y += 1) {
+          const up = (y > 0 ? y - 1 : y) * width;
+          const down = (y < height - 1 ? y + 1 : y) * width;
+          for (let x = 0; x < width; x += 1) {
+            const left = x > 0 ? x - 1 : x;
+            const right = x < width - 1 ? x + 1 : x;
+            // Строки изображения идут сверху вниз, а ось V текстуры — снизу вверх.
+            const dx = (heights[y * width + right] - heights[y * width + left]) * strength;
+            const dy = (heights[up + x] - heights[down + x]) * strength;
+            const length = Math.hypot(dx, dy, 1);
+            const offset = (y * width + x) * 4;
+            pixels[offset] = Math.round((-dx / length * 0.5 + 0.5) * 255);
+            pixels[offset + 1] = Math.round((-dy / length * 0.5 + 0.5) * 255);
+            pixels[offset + 2] = Math.round((1 / length * 0.5 + 0.5) * 255);
+            pixels[offset + 3] = 255;
+          }
+        }
+        context.putImageData(output, 0, 0);
+        const normalMap = new CanvasTexture(canvas);
+        normalMap.name = texture.name ? `${texture.name}_normal` : 'BumpNormalMap';
+        normalMap.wrapS = texture.wrapS;
+        normalMap.wrapT = texture.wrapT;
+        normalMap.repeat.copy(texture.repeat);
+        normalMap.offset.copy(texture.offset);
+        normalMap.flipY = texture.flipY;
+        normalMap.colorSpace = LinearSRGBColorSpace;
+        normalMap.needsUpdate = true;
+        result = normalMap;
+      }
+    } catch (error) {
+      console.warn('Не удалось преобразовать bump-карту в нормал-карту', error);
+    }
+    this.bumpNormalCache.set(texture, result);
+    return result;
+  }
 }
@@ -0,0 +1,335 @@
+import { ModelParsers } from './modelParsers.js';
+import { ResourceResolver } from './resourceResolver.js';
+import { convertSpecularGlossinessPixels } from './specularGlossiness.js';
+import { WorkerModuleLoader } from './workerModuleLoader.js';
+
+/**
+ * Воркер разбора моделей. importmap в воркерах не действует, поэтому three и загрузчики
+ * подключаются по URL из сообщения `init` через WorkerModuleLoader. Результат передаётся в основной поток в виде
+ * сериализованной сцены: буферы геометрии и ImageBitmap текстур передаются без копирования.
+ * Тот же воркер пересчитывает карты specular-glossiness, считанные основным потоком.
+ */
+
+/** @type {Promise<{ three: any; parsers: ModelParsers }> | null} */
+let setup = null;
+
+/**
+ * Незавершённые загрузки изображений. USDZLoader грузит текстуры через общий менеджер three,
+ * а не через менеджер ResourceResolver, поэтому конца разбора ждут и по этому набору.
+ * @type {Set<Promise<void>>}
+ */
+const pendingImages = new Set();
+
+self.addEventListener('message', (event) => {
+  const message = event.data;
+  if (message?.type === 'init') {
+    setup = initialize(message.modules, message.decoderPaths);
+    setup.then(
+      () => self.postMessage({ type: 'ready' }),
+      (error) => self.postMessage({ type: 'setup-error', message: describeError(error) }),
+    );
+    return;
+  }
+  if (message?.type === 'parse') {
+    handleParse(message);
+    return;
+  }
+  if (message?.type === 'convert-specular-glossiness') {
+    handleConvertSpecularGlossiness(message);
+  }
+});
+
+/**
+ * Загружает модули three и загрузчиков и собирает из них парсеры.
+ * Импорты `three` внутри загрузчиков направляются на `moduleUrls.three`.
+ * @param {Record<string, string>} moduleUrls
+ * @param {import('./modelParsers.js').DecoderPaths} decoderPaths
+ */
+async function initialize(moduleUrls, decoderPaths) {
+  const loader = new WorkerModuleLoader({ three: moduleUrls.three });
+  const loaded = await Promise.all(Object.values(moduleUrls).map((url) => loader.import(url)));
+  const modules = Object.assign({}, ...loaded);
+  patchImageLoader(modules);
+  return { three: modules, parsers: new ModelParsers(modules, decoderPaths) };
+}
+
+/**
+ * Подменяет ImageLoader воркерного экземпляра three: в воркере нет HTMLImageElement,
+ * поэтому изображения декодируются через createImageBitmap. TextureLoader (FBX, MTL, 3DS, USDZ) работает через него.
+ * @param {any} three
+ */
+function patchImageLoader(three) {
+  three.ImageLoader.prototype.load = function load(url, onLoad, _onProgress, onError) {
+    let resolvedUrl = this.path !== undefined ? this.path + url : url;
+    resolvedUrl = this.manager.resolveURL(resolvedUrl);
+    const manager = this.manager;
+    const credentials = this.crossOrigin === 'use-credentials' ? 'include' : 'same-origin';
+    manager.itemStart(resolvedUrl);
+    const loading = fetch(resolvedUrl, { credentials })
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status} for ${url}`);
+        }
+        return response.blob();
+      })
+      .then((blob) => createImageBitmap(blob, { premultiplyAlpha: 'none', colorSpaceConversion: 'none' }))
+      .then((bitmap) => {
+        onLoad?.(bitmap);
+        manager.itemEnd(resolvedUrl);
+      })
+      .catch((error) => {
+        onError?.(error);
+        manager.itemError(resolvedUrl);
+        manager.itemEnd(resolvedUrl);
+      })
+      .finally(() => pendingImages.delete(loading));
+    pendingImages.add(loading);
+    return undefined;
+  };
+}
+
+/**
+ * Разбирает модель и отправляет сериализованную сцену обратно.
+ * @param {{ id: number; extension: string; buffer: ArrayBuffer; resources: Map<string, Blob> }} message
+ */
+async function handleParse({ id, extension, buffer, resources }) {
+  try {
+    if (!setup) {
+      throw new Error('Import worker is not initialized');
+    }
+    const { three, parsers } = await setup;
+    const resolver = new ResourceResolver(resources, new three.LoadingManager());
+    try {
+      const root = await parsers.parse(extension, buffer, resolver);
+      await resolver.whenIdle();
+      while (pendingImages.size > 0) {
+        await Promise.all(pendingImages);
+      }
+      /** @type {Set<Transferable>} */
+      const transfer = new Set();
+      const scene = serializeScene(root, transfer);
+      self.postMessage(
+        { type: 'result', id, scene, missing: Array.from(resolver.missing) },
+        Array.from(transfer),
+      );
+    } finally {
+      resolver.dispose();
+    }
+  } catch (error) {
+    self.postMessage({ type: 'error', id, message: describeError(error) });
+  }
+}
+
+/**
+ * Пересчитывает карты specular-glossiness и отправляет карты базового цвета и ORM обратно без копирования.
+ * @param {{ id: number; input: Parameters<typeof convertSpecularGlossinessPixels>[0] }} message
+ */
+function handleConvertSpecularGlossiness({ id, input }) {
+  try {
+    const { baseColor, orm } = convertSpecularGlossinessPixels(input);
+    self.postMessage({ type: 'result', id, baseColor, orm }, [baseColor.buffer, orm.buffer]);
+  } catch (error) {
+    self.postMessage({ type: 'error', id, message: describeError(error) });
+  }
+}
+
+/**
+ * @param {unknown} error
+ * @returns {string}
+ */
+function describeError(error) {
+  return error instanceof Error ? error.message : String(error);
+}
+
+/**
+ * Превращает граф объектов в структуру, пригодную для postMessage.
+ * Узлы перечисляются в порядке обхода, родитель всегда идёт раньше потомков.
+ * @param {import('three').Object3D} root
+ * @param {Set<Transferable>} transfer
+ */
+function serializeScene(root, transfer) {
+  const nodes = [];
+  const geometries = [];
+  const materials = [];
+  const textures = [];
+  const geometryIndices = new Map();
+  const materialIndices = new Map();
+  const textureIds = new Set();
+
+  const registerTexture = (texture) => {
+    if (textureIds.has(texture.uuid)) {
+      return;
+    }
+    textureIds.add(texture.uuid);
+    const image = texture.image;
+    const isBitmap = typeof ImageBitmap !== 'undefined' && image instanceof ImageBitmap;
+    if (isBitmap) {
+      transfer.add(image);
+    }
+    textures.push({ json: texture.toJSON(), image: isBitmap || image?.data ? image : null });
+  };
+
+  const registerMaterial = (material) => {
+    if (!material) {
+      return -1;
+    }
+    if (materialIndices.has(material)) {
+      return materialIndices.get(material);
+    }
+    Object.values(material).forEach((value) => {
+      if (value?.isTexture) {
+        registerTexture(value);
+      }
+    });
+    const json = material.toJSON();
+    delete json.textures;
+    delete json.images;
+    materialIndices.set(material, materials.length);
+    materials.push(json);
+    return materialIndices.get(material);
+  };
+
+  const registerGeometry = (geometry) => {
+    if (!geometryIndices.has(geometry)) {
+      geometryIndices.set(geometry, geometries.length);
+      geometries.push(serializeGeometry(geometry, transfer));
+    }
+    return geometryIndices.get(geometry);
+  };
+
+  /** @type {Map<import('three').Object3D, number>} */
+  const nodeIndices = new Map();
+  /** @type {import('three').SkinnedMesh[]} */
+  const skinnedMeshes = [];
+
+  root.updateMatrixWorld(true);
+  const visit = (object, parent) => {
+    const index = nodes.length;
+    nodeIndices.set(object, index);
+    const node = {
+      type: getNodeType(object),
+      // Треки анимации безымянных узлов ссылаются на них по uuid.
+      uuid: object.uuid,
+      name: object.name,
+      parent,
+      matrix: object.matrix.toArray(),
+      visible: object.visible,
+      userData: cloneUserData(object.userData),
+      geometry: -1,
+      material: /** @type {number | number[]} */ (-1),
+      skin: null,
+      morphTargetInfluences: /** @type {number[] | null} */ (null),
+      morphTargetDictionary: /** @type {Record<string, number> | null} */ (null),
+    };
+    if (object.isMesh) {
+      node.geometry = registerGeometry(object.geometry);
+      node.material = Array.isArray(object.material)
+        ? object.material.map(registerMaterial)
+        : registerMaterial(object.material);
+      // Веса и имена целей морфинга (glTF хранит имена в extras, а не в атрибутах).
+      if (object.morphTargetInfluences) {
+        node.morphTargetInfluences = Array.from(object.morphTargetInfluences);
+        node.morphTargetDictionary = { ...object.morphTargetDictionary };
+      }
+    }
+    if (object.isSkinnedMesh) {
+      skinnedMeshes.push(object);
+    }
+    nodes.push(node);
+    object.children.forEach((child) => visit(child, index));
+  };
+  visit(root, -1);
+
+  // Кости скелета ссылаются на узлы по индексу, поэтому заполняются после обхода всего дерева.
+  skinnedMeshes.forEach((mesh) => {
+    const { skeleton } = mesh;
+    nodes[nodeIndices.get(mesh)].skin = {
+      bindMode: mesh.bindMode,
+      bindMatrix: mesh.bindMatrix.toArray(),
+      bones: skeleton.bones.map((bone) => nodeIndices.get(bone) ?? -1),
+      boneInverses: skeleton.boneInverses.map((matrix) => matrix.toArray()),
+    };
+  });
+
+  const animations = (root.animations ?? []).map((clip) => clip.toJSON());
+
+  return { nodes, geometries, materials, textures, animations };
+}
+
+/**
+ * @param {import('three').Object3D} object
+ * @returns {'SkinnedMesh' | 'Mesh' | 'Bone' | 'Group' | 'Object3D'}
+ */
+function getNodeType(object) {
+  if (object.isSkinnedMesh) {
+    return 'SkinnedMesh';
+  }
+  if (object.isMesh) {
+    return 'Mesh';
+  }
+  if (object.isBone) {
+    return 'Bone';
+  }
+  return object.isGroup ? 'Group' : 'Object3D';
+}
+
+/**
+ * @param {import('three').BufferGeometry} geometry
+ * @param {Set<Transferable>} transfer
+ */
+function serializeGeometry(geometry, transfer) {
+  const attributes = {};
+  Object.entries(geometry.attributes).forEach(([name, attribute]) => {
+    attributes[name] = serializeAttribute(attribute, transfer);
+  });
+  const morphAttributes = {};
+  Object.entries(geometry.morphAttributes ?? {}).forEach(([name, list]) => {
+    morphAttributes[name] = list.map((attribute) => serializeAttribute(attribute, transfer));
+  });
+  return {
+    name: geometry.name,
+    attributes,
+    morphAttributes,
+    morphTargetsRelative: geometry.morphTargetsRelative,
+    index: geometry.index ? serializeAttribute(geometry.index, transfer) : null,
+    groups: geometry.groups.map((group) => ({ ...group })),
+    userData: cloneUserData(geometry.userData),
+  };
+}
+
+/**
+ * Копирует атрибут в плотный массив; перемежающиеся (interleaved) атрибуты распаковываются.
+ * @param {import('three').BufferAttribute | import('three').InterleavedBufferAttribute} attribute
+ * @param {Set<Transferable>} transfer
+ */
+function serializeAttribute(attribute, transfer) {
+  let array = attribute.array;
+  if (attribute.isInterleavedBufferAttribute) {
+    const { data, offset, itemSize, count } = attribute;
+    array = new data.array.constructor(count * itemSize);
+    for (let index = 0; index < count; index += 1) {
+      for (let component = 0; component < itemSize; component += 1) {
+        array[index * itemSize + component] = data.array[index * data.stride + offset + component];
+      }
+    }
+  }
+  transfer.add(array.buffer);
+  return {
+    name: attribute.name,
+    array,
+    itemSize: attribute.itemSize,
+    normalized: attribute.normalized,
+  };
+}
+
+/**
+ * Оставляет в userData только то, что переживает структурное клонирование.
+ * @param {Record<string, unknown>} userData
+ */
+function cloneUserData(userData) {
+  try {
+    return JSON.parse(JSON.stringify(userData ?? {}));
+  } catch (error) {
+    return {};
+  }
+}
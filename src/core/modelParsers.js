@@ -0,0 +1,593 @@
+import { SOURCE_UNITS_KEY, createSourceUnits } from './sourceUnits.js';
+import { RESOURCE_MIME_TYPES } from './resourceResolver.js';
+import { SPECULAR_GLOSSINESS_KEY } from './specularGlossiness.js';
+
+const FBX_BINARY_MAGIC = 'Kaydara FBX Binary';
+const USD_CRATE_HEADER = 'PXR-USDC';
+
+/** Расширения glTF, для которых загрузчику нужны декодеры. */
+const GLTF_DRACO_EXTENSION = 'KHR_draco_mesh_compression';
+const GLTF_MESHOPT_EXTENSION = 'EXT_meshopt_compression';
+const GLTF_BASISU_EXTENSION = 'KHR_texture_basisu';
+/** Устаревшее расширение, которое GLTFLoader больше не поддерживает. */
+const GLTF_SPECULAR_GLOSSINESS_EXTENSION = 'KHR_materials_pbrSpecularGlossiness';
+
+/**
+ * Форматы сжатия текстур, которые KTX2Loader мог бы оставить на видеокарте. Все выключены:
+ * тогда текстуры перекодируются в несжатый RGBA, и с ними работают превью, запекание и экспорт.
+ */
+const KTX2_WORKER_CONFIG = {
+  astcSupported: false,
+  etc1Supported: false,
+  etc2Supported: false,
+  dxtSupported: false,
+  bptcSupported: false,
+  pvrtcSupported: false,
+};
+const FBX_AXES = /** @type {const} */ (['X', 'Y', 'Z']);
+
+/**
+ * Форматы, которые разбираются без DOM и поэтому могут обрабатываться в воркере.
+ * Collada сюда не входит: ColladaLoader разбирает XML через DOMParser, которого в воркере нет.
+ */
+export const WORKER_MODEL_EXTENSIONS = ['gltf', 'glb', 'fbx', 'obj', '3ds', 'stl', 'ply', 'usdz'];
+
+/**
+ * Возвращает расширение файла в нижнем регистре.
+ * @param {string} fileName
+ * @returns {string | null}
+ */
+function getExtension(fileName) {
+  const match = /\.([^.]+)$/.exec(fileName ?? '');
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Классы three и загрузчики, от которых зависят парсеры.
+ * В основном потоке они приходят из importmap, в воркере — из модулей, загруженных по URL.
+ * @typedef {{
+ *   Mesh: typeof import('three').Mesh,
+ *   MeshPhongMaterial: typeof import('three').MeshPhongMaterial,
+ *   MeshStandardMaterial: typeof import('three').MeshStandardMaterial,
+ *   SRGBColorSpace: typeof import('three').SRGBColorSpace,
+ *   LinearSRGBColorSpace: typeof import('three').LinearSRGBColorSpace,
+ *   Texture: typeof import('three').Texture,
+ *   RGBAFormat: typeof import('three').RGBAFormat,
+ *   LinearMipmapLinearFilter: typeof import('three').LinearMipmapLinearFilter,
+ *   GLTFLoader: typeof import('three/examples/jsm/loaders/GLTFLoader.js').GLTFLoader,
+ *   DRACOLoader: typeof import('three/examples/jsm/loaders/DRACOLoader.js').DRACOLoader,
+ *   KTX2Loader: typeof import('three/examples/jsm/loaders/KTX2Loader.js').KTX2Loader,
+ *   MeshoptDecoder: typeof import('three/examples/jsm/libs/meshopt_decoder.module.js').MeshoptDecoder,
+ *   FBXLoader: typeof import('three/examples/jsm/loaders/FBXLoader.js').FBXLoader,
+ *   MTLLoader: typeof import('three/examples/jsm/loaders/MTLLoader.js').MTLLoader,
+ *   OBJLoader: typeof import('three/examples/jsm/loaders/OBJLoader.js').OBJLoader,
+ *   PLYLoader: typeof import('three/examples/jsm/loaders/PLYLoader.js').PLYLoader,
+ *   STLLoader: typeof import('three/examples/jsm/loaders/STLLoader.js').STLLoader,
+ *   TDSLoader: typeof import('three/examples/jsm/loaders/TDSLoader.js').TDSLoader,
+ *   USDZLoader: typeof import('three/examples/jsm/loaders/USDZLoader.js').USDZLoader,
+ *   unzipSync: typeof import('three/examples/jsm/libs/fflate.module.js').unzipSync,
+ *   zipSync: typeof import('three/examples/jsm/libs/fflate.module.js').zipSync,
+ *   strFromU8: typeof import('three/examples/jsm/libs/fflate.module.js').strFromU8,
+ *   strToU8: typeof import('three/examples/jsm/libs/fflate.module.js').strToU8,
+ * }} ParserModules
+ */
+
+/**
+ * Абсолютные пути к каталогам декодеров (со слешем в конце).
+ * @typedef {{ draco: string; ktx2: string }} DecoderPaths
+ */
+
+/**
+ * Плагин GLTFLoader для KHR_materials_pbrSpecularGlossiness. Загрузчик three больше не поддерживает
+ * это расширение, поэтому материал собирается как Phong: `color` и `map` — диффузный цвет, `specular` и `specularMap` —
+ * бликовый цвет и текстура с глянцем в альфа-канале, `shininess` — глянец × 100. В metal-roughness его переводит
+ * ImportManager, когда конвертирует Phong-материалы.
+ */
+class GLTFSpecularGlossinessExtension {
+  /**
+   * @param {any} parser GLTFParser.
+   * @param {ParserModules} modules
+   */
+  constructor(parser, modules) {
+    this.parser = parser;
+    this.modules = modules;
+    this.name = GLTF_SPECULAR_GLOSSINESS_EXTENSION;
+  }
+
+  /**
+   * @param {number} materialIndex
+   * @returns {any}
+   */
+  #getExtension(materialIndex) {
+    return this.parser.json.materials?.[materialIndex]?.extensions?.[this.name] ?? null;
+  }
+
+  /**
+   * @param {number} materialIndex
+   */
+  getMaterialType(materialIndex) {
+    return this.#getExtension(materialIndex) ? this.modules.MeshPhongMaterial : null;
+  }
+
+  /**
+   * @param {number} materialIndex
+   * @param {Record<string, any>} materialParams
+   * @returns {Promise<unknown>}
+   */
+  extendMaterialParams(materialIndex, materialParams) {
+    const extension = this.#getExtension(materialIndex);
+    if (!extension) {
+      return Promise.resolve();
+    }
+    delete materialParams.metalness;
+    delete materialParams.roughness;
+    const { LinearSRGBColorSpace, SRGBColorSpace } = this.modules;
+    const diffuse = Array.isArray(extension.diffuseFactor) ? extension.diffuseFactor : [1, 1, 1, 1];
+    materialParams.color.setRGB(diffuse[0], diffuse[1], diffuse[2], LinearSRGBColorSpace);
+    materialParams.opacity = diffuse[3];
+    const specular = Array.isArray(extension.specularFactor) ? extension.specularFactor : [1, 1, 1];
+    materialParams.specular = materialParams.color.clone().setRGB(specular[0], specular[1], specular[2], LinearSRGBColorSpace);
+    const glossiness = typeof extension.glossinessFactor === 'number' ? extension.glossinessFactor : 1;
+    materialParams.shininess = glossiness * 100;
+    materialParams.userData = { [SPECULAR_GLOSSINESS_KEY]: true };
+
+    const pending = [];
+    if (extension.diffuseTexture !== undefined) {
+      pending.push(this.parser.assignTexture(materialParams, 'map', extension.diffuseTexture, SRGBColorSpace));
+    }
+    if (extension.specularGlossinessTexture !== undefined) {
+      pending.push(
+        this.parser.assignTexture(materialParams, 'specularMap', extension.specularGlossinessTexture, SRGBColorSpace),
+      );
+    }
+    return Promise.all(pending);
+  }
+}
+
+/**
+ * Разбирает форматы из WORKER_MODEL_EXTENSIONS. Используется воркером импорта,
+ * а в основном потоке — как запасной путь, если воркер недоступен.
+ */
+export class ModelParsers {
+  /**
+   * @param {ParserModules} modules
+   * @param {DecoderPaths} decoderPaths
+   */
+  constructor(modules, decoderPaths) {
+    this.modules = modules;
+    this.decoderPaths = decoderPaths;
+    /** @type {import('three/examples/jsm/loaders/DRACOLoader.js').DRACOLoader | null} */
+    this.dracoLoader = null;
+    /** @type {import('three/examples/jsm/loaders/KTX2Loader.js').KTX2Loader | null} */
+    this.ktx2Loader = null;
+  }
+
+  /**
+   * Разбирает модель по расширению файла.
+   * @param {string} extension
+   * @param {ArrayBuffer} buffer
+   * @param {import('./resourceResolver.js').ResourceResolver} resolver
+   * @returns {Promise<import('three').Object3D>}
+   */
+  async parse(extension, buffer, resolver) {
+    /** @type {import('three').Object3D} */
+    let root;
+    switch (extension) {
+      case 'gltf':
+      case 'glb': {
+        const gltf = await this.#parseGLTF(buffer, extension, resolver);
+        await this.#convertTranscodedTextures(gltf.scene);
+        // Анимации хранятся на корне, как у FBX и Collada.
+        gltf.scene.animations = gltf.animations;
+        // Спецификация glTF фиксирует метры и Y-up.
+        gltf.scene.userData[SOURCE_UNITS_KEY] = createSourceUnits(1, 'Y', { metersPerUnit: 1, upAxis: 'Y' });
+        return gltf.scene;
+      }
+      case 'fbx':
+        return this.#parseFBX(buffer, resolver);
+      case '3ds':
+        return this.#parseTDS(buffer, resolver);
+      case 'usdz':
+        return this.#parseUSDZ(buffer, resolver);
+      case 'obj':
+        root = await this.#parseOBJ(buffer, resolver);
+        break;
+      case 'stl':
+        root = await this.#parseSTL(buffer, resolver);
+        break;
+      case 'ply':
+        root = await this.#parsePLY(buffer, resolver);
+        break;
+      default:
+        throw new Error(`Unsupported file extension: ${extension}`);
+    }
+    // OBJ, STL и PLY не хранят единиц; считаем, что модель в метрах и Y-up.
+    root.userData[SOURCE_UNITS_KEY] = createSourceUnits(null, null, { metersPerUnit: 1, upAxis: 'Y' });
+    return root;
+  }
+
+  /**
+   * Освобождает воркеры Draco-декодера и транскодера KTX2.
+   */
+  dispose() {
+    this.dracoLoader?.dispose();
+    this.dracoLoader = null;
+    this.ktx2Loader?.dispose();
+    this.ktx2Loader = null;
+  }
+
+  /**
+   * Разбирает GLTF/GLB-содержимое из ArrayBuffer.
+   * @param {ArrayBuffer} buffer
+   * @param {'gltf' | 'glb'} extension
+   * @param {import('./resourceResolver.js').ResourceResolver} resolver
+   * @returns {Promise<import('three/examples/jsm/loaders/GLTFLoader.js').GLTF>}
+   */
+  #parseGLTF(buffer, extension, resolver) {
+    return new Promise((resolve, reject) => {
+      const loader = new this.modules.GLTFLoader(resolver.manager);
+      const json = this.#readGLTFJson(buffer, extension);
+      if (json.includes(GLTF_DRACO_EXTENSION)) {
+        loader.setDRACOLoader(this.#getDracoLoader());
+      }
+      if (json.includes(GLTF_MESHOPT_EXTENSION)) {
+        loader.setMeshoptDecoder(this.modules.MeshoptDecoder);
+      }
+      if (json.includes(GLTF_BASISU_EXTENSION)) {
+        loader.setKTX2Loader(this.#getKTX2Loader());
+      }
+      if (json.includes(GLTF_SPECULAR_GLOSSINESS_EXTENSION)) {
+        loader.register((parser) => new GLTFSpecularGlossinessExtension(parser, this.modules));
+      }
+      loader.parse(
+        buffer,
+        '',
+        (gltf) => resolve(gltf),
+        (error) => reject(error),
+      );
+    });
+  }
+
+  /**
+   * Лениво создаёт и настраивает DRACOLoader для распаковки сжатых мешей.
+   * @returns {import('three/examples/jsm/loaders/DRACOLoader.js').DRACOLoader}
+   */
+  #getDracoLoader() {
+    if (!this.dracoLoader) {
+      this.dracoLoader = new this.modules.DRACOLoader();
+      this.dracoLoader.setDecoderPath(this.decoderPaths.draco);
+    }
+    return this.dracoLoader;
+  }
+
+  /**
+   * Лениво создаёт KTX2Loader для текстур KHR_texture_basisu.
+   * @returns {import('three/examples/jsm/loaders/KTX2Loader.js').KTX2Loader}
+   */
+  #getKTX2Loader() {
+    if (!this.ktx2Loader) {
+      this.ktx2Loader = new this.modules.KTX2Loader();
+      this.ktx2Loader.setTranscoderPath(this.decoderPaths.ktx2);
+      // detectSupport требует рендерер, которого нет в воркере; конфигурация задаётся напрямую.
+      this.ktx2Loader.workerConfig = { ...KTX2_WORKER_CONFIG };
+    }
+    return this.ktx2Loader;
+  }
+
+  /**
+   * Заменяет текстуры KTX2, перекодированные в несжатый RGBA, обычными текстурами на ImageBitmap:
+   * превью, запекание и экспорт работают только с текстурами-изображениями.
+   * @param {import('three').Object3D} root
+   * @returns {Promise<void>}
+   */
+  async #convertTranscodedTextures(root) {
+    /** @type {Set<import('three').Material>} */
+    const materials = new Set();
+    root.traverse((child) => {
+      const material = /** @type {import('three').Mesh} */ (child).material;
+      (Array.isArray(material) ? material : [material]).forEach((item) => {
+        if (item) {
+          materials.add(item);
+        }
+      });
+    });
+
+    /** @type {Map<import('three').Texture, Promise<import('three').Texture>>} */
+    const converted = new Map();
+    for (const material of materials) {
+      for (const [key, value] of Object.entries(material)) {
+        if (!value?.isCompressedTexture || value.format !== this.modules.RGBAFormat) {
+          continue;
+        }
+        if (!converted.has(value)) {
+          converted.set(value, this.#toBitmapTexture(value));
+        }
+        material[key] = await converted.get(value);
+      }
+    }
+  }
+
+  /**
+   * Создаёт текстуру на ImageBitmap из старшего mip-уровня несжатой CompressedTexture.
+   * @param {import('three').CompressedTexture} texture
+   * @returns {Promise<import('three').Texture>}
+   */
+  async #toBitmapTexture(texture) {
+    const [level] = texture.mipmaps;
+    const pixels = new Uint8ClampedArray(level.data.buffer, level.data.byteOffset, level.data.byteLength);
+    const bitmap = await createImageBitmap(new ImageData(pixels, level.width, level.height), {
+      premultiplyAlpha: 'none',
+      colorSpaceConversion: 'none',
+    });
+    const result = new this.modules.Texture(bitmap);
+    result.name = texture.name;
+    result.colorSpace = texture.colorSpace;
+    result.wrapS = texture.wrapS;
+    result.wrapT = texture.wrapT;
+    result.magFilter = texture.magFilter;
+    result.minFilter = this.modules.LinearMipmapLinearFilter;
+    result.anisotropy = texture.anisotropy;
+    result.channel = texture.channel;
+    result.offset.copy(texture.offset);
+    result.repeat.copy(texture.repeat);
+    result.center.copy(texture.center);
+    result.rotation = texture.rotation;
+    result.flipY = false;
+    result.userData = { ...texture.userData };
+    result.needsUpdate = true;
+    texture.dispose();
+    return result;
+  }
+
+  /**
+   * Возвращает JSON-часть GLTF/GLB как текст, чтобы по нему определить используемые расширения.
+   * @param {ArrayBuffer} buffer
+   * @param {'gltf' | 'glb'} extension
+   * @returns {string} Пустая строка, если JSON прочитать не удалось.
+   */
+  #readGLTFJson(buffer, extension) {
+    try {
+      if (extension === 'gltf') {
+        return new TextDecoder('utf-8').decode(buffer);
+      }
+
+      const MAGIC = 0x46546c67; // glTF
+      const JSON_TYPE = 0x4e4f534a; // JSON
+      const view = new DataView(buffer);
+      const magic = view.getUint32(0, true);
+      if (magic !== MAGIC) {
+        return '';
+      }
+      const jsonByteLength = view.getUint32(12, true);
+      const chunkType = view.getUint32(16, true);
+      if (chunkType !== JSON_TYPE) {
+        return '';
+      }
+      const jsonBytes = new Uint8Array(buffer, 20, jsonByteLength);
+      return new TextDecoder('utf-8').decode(jsonBytes);
+    } catch (error) {
+      // Не получилось определить расширения — считаем, что сжатие не используется.
+      return '';
+    }
+  }
+
+  /**
+   * Разбирает FBX модель из ArrayBuffer.
+   * FBXLoader не применяет единицы и ось файла, поэтому они записываются в userData корня:
+   * `UnitScaleFactor` задаёт длину единицы в сантиметрах (по умолчанию 1 см), `UpAxis` — ось «вверх».
+   * @param {ArrayBuffer} buffer
+   * @param {import('./resourceResolver.js').ResourceResolver} resolver
+   * @returns {Promise<import('three').Object3D>}
+   */
+  async #parseFBX(buffer, resolver) {
+    const scene = new this.modules.FBXLoader(resolver.manager).parse(buffer, '');
+    const unitScaleFactor = scene.userData.unitScaleFactor;
+    scene.userData[SOURCE_UNITS_KEY] = createSourceUnits(
+      typeof unitScaleFactor === 'number' ? unitScaleFactor / 100 : null,
+      this.#readFBXUpAxis(buffer),
+      { metersPerUnit: 0.01, upAxis: 'Y' },
+    );
+    return scene;
+  }
+
+  /**
+   * Читает `UpAxis` из GlobalSettings FBX-файла (текстового или двоичного).
+   * @param {ArrayBuffer} buffer
+   * @returns {'X' | 'Y' | 'Z' | null}
+   */
+  #readFBXUpAxis(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const header = new TextDecoder('latin1').decode(bytes.subarray(0, FBX_BINARY_MAGIC.length));
+    if (header !== FBX_BINARY_MAGIC) {
+      const text = new TextDecoder('utf-8').decode(bytes);
+      const match = /"UpAxis"\s*,\s*"int"\s*,\s*"Integer"\s*,\s*"[^"]*"\s*,\s*(-?\d+)/.exec(text);
+      return match ? FBX_AXES[Number(match[1])] ?? null : null;
+    }
+
+    // В двоичном FBX свойство хранится как строки 'S' (длина + байты) и следующее за ними целое 'I'.
+    const view = new DataView(buffer);
+    const needle = [0x53, 6, 0, 0, 0, ...Array.from('UpAxis', (char) => char.charCodeAt(0))];
+    for (let offset = bytes.indexOf(0x53); offset >= 0; offset = bytes.indexOf(0x53, offset + 1)) {
+      if (!needle.every((value, index) => bytes[offset + index] === value)) {
+        continue;
+      }
+      let cursor = offset + needle.length;
+      while (cursor < bytes.length && bytes[cursor] === 0x53) {
+        cursor += 5 + view.getUint32(cursor + 1, true);
+      }
+      if (cursor + 5 <= bytes.length && bytes[cursor] === 0x49) {
+        return FBX_AXES[view.getInt32(cursor + 1, true)] ?? null;
+      }
+      return null;
+    }
+    return null;
+  }
+
+  /**
+   * Разбирает 3DS модель из ArrayBuffer.
+   * Формат 3ds Max всегда Z-up; единицы TDSLoader не читает, поэтому модель считается заданной в метрах.
+   * @param {ArrayBuffer} buffer
+   * @param {import('./resourceResolver.js').ResourceResolver} resolver
+   * @returns {Promise<import('three').Object3D>}
+   */
+  async #parseTDS(buffer, resolver) {
+    const group = new this.modules.TDSLoader(resolver.manager).parse(buffer, '');
+    group.userData[SOURCE_UNITS_KEY] = createSourceUnits(null, 'Z', { metersPerUnit: 1, upAxis: 'Z' });
+    return group;
+  }
+
+  /**
+   * Разбирает USDZ модель из ArrayBuffer.
+   * @param {ArrayBuffer} buffer
+   * @param {import('./resourceResolver.js').ResourceResolver} resolver
+   * @returns {Promise<import('three').Object3D>}
+   */
+  async #parseUSDZ(buffer, resolver) {
+    const { buffer: prepared, units } = this.#prepareUSDZ(buffer, resolver);
+    const group = new this.modules.USDZLoader(resolver.manager).parse(prepared);
+    group.userData[SOURCE_UNITS_KEY] = units;
+    return group;
+  }
+
+  /**
+   * Подготавливает USDZ-архив для USDZLoader: регистрирует вложенные файлы как ресурсы,
+   * отклоняет бинарные (USDC) сцены и переименовывает не-PNG текстуры, которые загрузчик иначе пропускает.
+   * Из метаданных корневого слоя читаются `metersPerUnit` (по умолчанию в USD — сантиметры) и `upAxis`.
+   * @param {ArrayBuffer} buffer
+   * @param {import('./resourceResolver.js').ResourceResolver} resolver
+   * @returns {{ buffer: ArrayBuffer; units: import('./sourceUnits.js').SourceUnits }}
+   */
+  #prepareUSDZ(buffer, resolver) {
+    const { unzipSync, zipSync, strFromU8, strToU8 } = this.modules;
+    const entries = unzipSync(new Uint8Array(buffer));
+    const names = Object.keys(entries);
+    const isCrate = (data) => strFromU8(data.subarray(0, USD_CRATE_HEADER.length), true) === USD_CRATE_HEADER;
+    const [stageName] = names;
+    if (!stageName || getExtension(stageName) === 'usdc' || isCrate(entries[stageName])) {
+      throw new Error('Binary USDZ (USDC) scenes are not supported; export the USDZ with ASCII (usda) layers');
+    }
+    const stageText = strFromU8(entries[stageName]);
+    const metersPerUnit = /\bmetersPerUnit\s*=\s*([\d.eE+-]+)/.exec(stageText)?.[1];
+    const upAxis = /\bupAxis\s*=\s*"([YZ])"/.exec(stageText)?.[1];
+    const units = createSourceUnits(
+      metersPerUnit === undefined ? null : Number.parseFloat(metersPerUnit),
+      /** @type {'Y' | 'Z' | undefined} */ (upAxis) ?? null,
+      { metersPerUnit: 0.01, upAxis: 'Y' },
+    );
+
+    const renamed = new Map();
+    names.forEach((name) => {
+      const extension = getExtension(name) ?? '';
+      resolver.add(name, new Blob([entries[name]], { type: RESOURCE_MIME_TYPES[extension] ?? '' }));
+      if (extension !== 'png' && RESOURCE_MIME_TYPES[extension]?.startsWith('image/')) {
+        // USDZLoader подключает только *.png; содержимое остаётся исходным, браузер определит формат сам.
+        renamed.set(name, `${name}.png`);
+      }
+    });
+    if (renamed.size === 0) {
+      return { buffer, units };
+    }
+
+    const repacked = {};
+    names.forEach((name) => {
+      const extension = getExtension(name) ?? '';
+      let data = entries[name];
+      if ((extension === 'usda' || extension === 'usd') && !isCrate(data)) {
+        let text = strFromU8(data);
+        renamed.forEach((target, source) => {
+          text = text.split(`@${source}@`).join(`@${target}@`);
+        });
+        data = strToU8(text);
+      }
+      repacked[renamed.get(name) ?? name] = [data, { level: 0 }];
+    });
+    const zipped = zipSync(repacked);
+    return { buffer: zipped.buffer.slice(zipped.byteOffset, zipped.byteOffset + zipped.byteLength), units };
+  }
+
+  /**
+   * Разбирает OBJ модель из ArrayBuffer.
+   * @param {ArrayBuffer} buffer
+   * @param {import('./resourceResolver.js').ResourceResolver} resolver
+   * @returns {Promise<import('three').Object3D>}
+   */
+  async #parseOBJ(buffer, resolver) {
+    const text = new TextDecoder('utf-8').decode(buffer);
+    const loader = new this.modules.OBJLoader(resolver.manager);
+    const materials = await this.#loadOBJMaterials(text, resolver);
+    if (materials) {
+      loader.setMaterials(materials);
+    }
+    return loader.parse(text);
+  }
+
+  /**
+   * Загружает MTL-библиотеки, на которые ссылается OBJ (`mtllib`), из переданных ресурсов.
+   * @param {string} text
+   * @param {import('./resourceResolver.js').ResourceResolver} resolver
+   * @returns {Promise<ReturnType<import('three/examples/jsm/loaders/MTLLoader.js').MTLLoader['parse']> | null>}
+   */
+  async #loadOBJMaterials(text, resolver) {
+    const libraries = Array.from(text.matchAll(/^[ \t]*mtllib[ \t]+([^\r\n]+?)[ \t\r]*$/gm), (match) => match[1]);
+    const sources = [];
+    for (const library of libraries) {
+      const blob = resolver.get(library);
+      if (!blob) {
+        resolver.missing.add(library);
+        continue;
+      }
+      sources.push(await blob.text());
+    }
+    if (sources.length === 0) {
+      return null;
+    }
+    const materials = new this.modules.MTLLoader(resolver.manager).parse(sources.join('\n'), '');
+    materials.preload();
+    return materials;
+  }
+
+  /**
+   * Разбирает STL модель из ArrayBuffer.
+   * @param {ArrayBuffer} buffer
+   * @param {import('./resourceResolver.js').ResourceResolver} resolver
+   * @returns {Promise<import('three').Object3D>}
+   */
+  async #parseSTL(buffer, resolver) {
+    const geometry = new this.modules.STLLoader(resolver.manager).parse(buffer);
+    return this.#createMeshFromGeometry(geometry);
+  }
+
+  /**
+   * Разбирает PLY модель из ArrayBuffer.
+   * @param {ArrayBuffer} buffer
+   * @param {import('./resourceResolver.js').ResourceResolver} resolver
+   * @returns {Promise<import('three').Object3D>}
+   */
+  async #parsePLY(buffer, resolver) {
+    const geometry = new this.modules.PLYLoader(resolver.manager).parse(buffer);
+    if (!geometry.index) {
+      throw new Error('PLY file contains no faces; point clouds are not supported');
+    }
+    return this.#createMeshFromGeometry(geometry);
+  }
+
+  /**
+   * Оборачивает «голую» геометрию (STL, PLY) в меш со стандартным материалом.
+   * Цвета вершин используются, если они есть в файле.
+   * @param {import('three').BufferGeometry} geometry
+   * @returns {import('three').Mesh}
+   */
+  #createMeshFromGeometry(geometry) {
+    if (!geometry.getAttribute('normal')) {
+      geometry.computeVertexNormals();
+    }
+    const hasVertexColors = Boolean(geometry.getAttribute('color'));
+    const material = new this.modules.MeshStandardMaterial({
+      color: 0xffffff,
+      metalness: 0,
+      roughness: 1,
+      vertexColors: hasVertexColors,
+    });
+    return new this.modules.Mesh(geometry, material);
+  }
+}
@@ -0,0 +1,174 @@
+/** MIME-типы ресурсов моделей по расширению: с ними Blob из архива загружается как исходный файл. */
+export const RESOURCE_MIME_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  gif: 'image/gif',
+  bmp: 'image/bmp',
+  bin: 'application/octet-stream',
+  mtl: 'text/plain',
+};
+
+/**
+ * Приводит путь ресурса к единому виду для поиска среди переданных файлов.
+ * @param {string} path
+ * @returns {string}
+ */
+function normalizePath(path) {
+  let normalized = path ?? '';
+  try {
+    normalized = decodeURIComponent(normalized);
+  } catch (error) {
+    // Некорректное экранирование — используем путь как есть.
+  }
+  normalized = normalized.split(/[?#]/)[0].replace(/\\/g, '/');
+  const segments = [];
+  for (const segment of normalized.split('/')) {
+    if (!segment || segment === '.') {
+      continue;
+    }
+    if (segment === '..') {
+      segments.pop();
+      continue;
+    }
+    segments.push(segment);
+  }
+  return segments.join('/').toLowerCase();
+}
+
+/**
+ * Возвращает имя файла без каталогов.
+ * @param {string} path
+ * @returns {string}
+ */
+function getBaseName(path) {
+  const index = path.lastIndexOf('/');
+  return index >= 0 ? path.slice(index + 1) : path;
+}
+
+/**
+ * Разрешает внешние ссылки загрузчиков (буферы, текстуры, материалы) на переданные пользователем файлы.
+ * Ссылки подменяются на object URL через URL-модификатор LoadingManager.
+ * Модуль не импортирует three, чтобы его можно было использовать и в воркере разбора.
+ */
+export class ResourceResolver {
+  /**
+   * @param {Map<string, Blob>} resources Файлы по относительному пути.
+   * @param {import('three').LoadingManager} manager Менеджер загрузки, через который работают загрузчики.
+   */
+  constructor(resources, manager) {
+    /** @type {Map<string, Blob>} */
+    this.resources = new Map();
+    /** @type {Map<string, Blob>} */
+    this.resourcesByName = new Map();
+    /** @type {Map<Blob, string>} */
+    this.objectUrls = new Map();
+    /** @type {Set<string>} */
+    this.missing = new Set();
+    this.pending = 0;
+    /** @type {Array<() => void>} */
+    this.idleWaiters = [];
+
+    resources.forEach((blob, path) => this.add(path, blob));
+
+    this.manager = manager;
+    this.manager.setURLModifier((url) => this.resolve(url));
+    this.manager.onStart = (_url, loaded, total) => {
+      this.pending = total - loaded;
+    };
+    this.manager.onProgress = (_url, loaded, total) => {
+      this.pending = total - loaded;
+    };
+    this.manager.onLoad = () => {
+      this.pending = 0;
+      const waiters = this.idleWaiters.splice(0);
+      waiters.forEach((resolve) => resolve());
+    };
+  }
+
+  /**
+   * Добавляет ресурс в набор доступных файлов.
+   * @param {string} path
+   * @param {Blob} blob
+   */
+  add(path, blob) {
+    const normalized = normalizePath(path);
+    if (!normalized) {
+      return;
+    }
+    this.resources.set(normalized, blob);
+    const baseName = getBaseName(normalized);
+    if (!this.resourcesByName.has(baseName)) {
+      this.resourcesByName.set(baseName, blob);
+    }
+  }
+
+  /**
+   * Ищет ресурс по ссылке из файла модели: сначала по полному пути, затем по имени файла.
+   * @param {string} url
+   * @returns {Blob | null}
+   */
+  get(url) {
+    const normalized = normalizePath(url);
+    if (!normalized) {
+      return null;
+    }
+    const exact = this.resources.get(normalized);
+    if (exact) {
+      return exact;
+    }
+    for (const [path, blob] of this.resources) {
+      if (path.endsWith(`/${normalized}`) || normalized.endsWith(`/${path}`)) {
+        return blob;
+      }
+    }
+    return this.resourcesByName.get(getBaseName(normalized)) ?? null;
+  }
+
+  /**
+   * URL-модификатор для LoadingManager.
+   * @param {string} url
+   * @returns {string}
+   */
+  resolve(url) {
+    if (!url || /^(data|blob|https?):/i.test(url)) {
+      return url;
+    }
+    const blob = this.get(url);
+    if (!blob) {
+      this.missing.add(url);
+      return url;
+    }
+    let objectUrl = this.objectUrls.get(blob);
+    if (!objectUrl) {
+      objectUrl = URL.createObjectURL(blob);
+      this.objectUrls.set(blob, objectUrl);
+    }
+    return objectUrl;
+  }
+
+  /**
+   * Дожидается завершения всех загрузок, запущенных через менеджер.
+   * Нужна для форматов, которые догружают текстуры уже после parse (например, FBX).
+   * @returns {Promise<void>}
+   */
+  whenIdle() {
+    if (this.pending <= 0) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      this.idleWaiters.push(resolve);
+    });
+  }
+
+  /**
+   * Освобождает созданные object URL.
+   */
+  dispose() {
+    this.objectUrls.forEach((objectUrl) => URL.revokeObjectURL(objectUrl));
+    this.objectUrls.clear();
+    const waiters = this.idleWaiters.splice(0);
+    waiters.forEach((resolve) => resolve());
+  }
+}
@@ -3,6 +3,7 @@ import {
   Box3,
   BufferGeometry,
   CanvasTexture,
+  Clock,
   Color,
   Float32BufferAttribute,
   Group,
@@ -22,8 +23,7 @@ import {
 } from 'three';
 import { OrbitControls } from 'OrbitControls';
 import { RGBELoader } from 'RGBELoader';
-
-const HDR_URL = 'https://vizbl.com/hdr/neutral.hdr';
+import { ASSETS } from '../config.js';
 
 /**
  * Управляет созданием сцены, камеры и рендера Three.js, а также загрузкой HDR-окружения.
@@ -58,6 +58,9 @@ export class SceneManager {
     this.pointer = new Vector2();
 
     this._animationFrame = null;
+    this.clock = new Clock();
+    /** @type {Set<(delta: number) => void>} */
+    this.frameCallbacks = new Set();
 
     /** @type {Set<import('three').Object3D>} */
     this.meshRegistry = new Set();
@@ -112,50 +115,51 @@ export class SceneManager {
   }
 
   /**
-   * Загружает HDR окружение и запускает цикл рендеринга.
+   * Запускает цикл рендеринга и загружает HDR окружение.
+   * Сцена рисуется и без окружения, поэтому ошибка загрузки HDR не останавливает рендер.
    * @returns {Promise<void>}
    */
   async init() {
-    await this.#loadHDR();
     this.#startRendering();
     window.addEventListener('resize', () => this.#onResize());
+    await this.loadEnvironment();
   }
 
   /**
-   * @private
    * Загружает HDR-карту и устанавливает её как окружение сцены.
    * Используется RGBELoader + PMREMGenerator для корректного освещения.
+   * Если карты нет по основному адресу, пробует запасной. Можно вызвать повторно, если предыдущая загрузка не удалась.
    * @returns {Promise<void>}
    */
-  async #loadHDR() {
-    const pmremGenerator = new PMREMGenerator(this.renderer);
-    pmremGenerator.compileEquirectangularShader();
-
-    await new Promise((resolve, reject) => {
-      new RGBELoader().load(
-        HDR_URL,
-        (texture) => {
-          const envMap = pmremGenerator.fromEquirectangular(texture).texture;
-          this.scene.environment = envMap;
-          texture.dispose();
-          pmremGenerator.dispose();
-          resolve();
-        },
-        undefined,
-        (error) => {
-          pmremGenerator.dispose();
-          reject(error);
-        },
-      );
-    });
+  async loadEnvironment() {
+    const urls = [ASSETS.hdrUrl, ASSETS.hdrFallbackUrl].filter(Boolean);
+    let lastError = null;
+    for (const url of urls) {
+      try {
+        const texture = await new RGBELoader().loadAsync(url);
+        const pmremGenerator = new PMREMGenerator(this.renderer);
+        pmremGenerator.compileEquirectangularShader();
+        this.scene.environment = pmremGenerator.fromEquirectangular(texture).texture;
+        texture.dispose();
+        pmremGenerator.dispose();
+        return;
+      } catch (error) {
+        console.warn(`HDR environment is unavailable at ${url}`, error);
+        lastError = new Error(`Failed to load HDR environment ${url}`, { cause: error });
+      }
+    }
+    throw lastError;
   }
 
   /**
    * @private
-   * Запускает requestAnimationFrame-цикл, обновляя камеры и управление.
+   * Запускает requestAnimationFrame-цикл: вызывает подписчиков кадра, обновляет управление и рендерит сцену.
    */
   #startRendering() {
+    this.clock.start();
     const renderLoop = () => {
+      const delta = this.clock.getDelta();
+      this.frameCallbacks.forEach((callback) => callback(delta));
       this.controls.update();
       this.renderer.render(this.scene, this.camera);
       this._animationFrame = window.requestAnimationFrame(renderLoop);
@@ -163,6 +167,18 @@ export class SceneManager {
     renderLoop();
   }
 
+  /**
+   * Подписывает обработчик, вызываемый перед рендером каждого кадра с временем от прошлого кадра в секундах.
+   * @param {(delta: number) => void} callback
+   * @returns {() => void} Функция отписки.
+   */
+  onFrame(callback) {
+    this.frameCallbacks.add(callback);
+    return () => {
+      this.frameCallbacks.delete(callback);
+    };
+  }
+
   /**
    * Корректирует матрицы камеры и размер рендера при ресайзе окна.
    * @private
@@ -211,11 +227,11 @@ export class SceneManager {
   }
 
   /**
-   * Удаляет меш из сцены.
+   * Удаляет меш из сцены. Вложенные узлы иерархии отсоединяются от своего родителя.
    * @param {import('three').Object3D} mesh
    */
   removeMesh(mesh) {
-    this.scene.remove(mesh);
+    mesh.removeFromParent();
     this.meshRegistry.delete(mesh);
     if (this.dimensionState.enabled) {
       if (this.dimensionState.useSelection) {
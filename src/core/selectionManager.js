@@ -213,18 +213,25 @@ export class SelectionManager extends EventTarget {
 
   /**
    * Находит зарегистрированный меш, поднимаясь по иерархии родителей.
+   * Если строка найденного объекта скрыта свёрнутой группой, выбирается ближайший
+   * зарегистрированный предок с видимой строкой — так выбор в сцене захватывает весь узел сборки.
    * @param {import('three').Object3D} object
    * @returns {import('three').Object3D | null}
    */
   #findRegisteredMesh(object) {
     let current = object;
+    let found = null;
     while (current) {
-      if (this.meshMap.has(current.uuid)) {
-        return current;
+      const record = this.meshMap.get(current.uuid);
+      if (record) {
+        found = found ?? current;
+        if (!record.li?.classList.contains('is-hidden')) {
+          return current;
+        }
       }
       current = current.parent;
     }
-    return null;
+    return found;
   }
 
   /**
@@ -0,0 +1,58 @@
+/**
+ * Единицы и ось «вверх» исходного файла. Модуль не зависит от three, чтобы его могли использовать
+ * и парсеры воркера, и основной поток.
+ */
+
+/** Ключ userData корня разобранной модели, под которым парсеры сохраняют единицы файла. */
+export const SOURCE_UNITS_KEY = '__sourceUnits';
+
+/**
+ * Длина единицы в метрах для единиц, которые можно выбрать вручную.
+ * @type {Record<'mm' | 'cm' | 'm' | 'in', number>}
+ */
+export const LENGTH_UNITS = {
+  mm: 0.001,
+  cm: 0.01,
+  m: 1,
+  in: 0.0254,
+};
+
+/**
+ * `unitSource` и `axisSource`: `file` — значение прочитано из файла, `default` — принято по умолчанию
+ * для формата, `override` — выбрано пользователем при импорте.
+ * @typedef {{
+ *   metersPerUnit: number,
+ *   upAxis: 'X' | 'Y' | 'Z',
+ *   unitSource: 'file' | 'default' | 'override',
+ *   axisSource: 'file' | 'default' | 'override',
+ * }} SourceUnits
+ */
+
+/**
+ * Создаёт описание единиц файла.
+ * @param {number | null | undefined} metersPerUnit Значение из файла или null, если его там нет.
+ * @param {'X' | 'Y' | 'Z' | null | undefined} upAxis Значение из файла или null, если его там нет.
+ * @param {{ metersPerUnit: number; upAxis: 'X' | 'Y' | 'Z' }} fallback Значения по умолчанию для формата.
+ * @returns {SourceUnits}
+ */
+export function createSourceUnits(metersPerUnit, upAxis, fallback) {
+  const hasScale = typeof metersPerUnit === 'number' && Number.isFinite(metersPerUnit) && metersPerUnit > 0;
+  return {
+    metersPerUnit: hasScale ? /** @type {number} */ (metersPerUnit) : fallback.metersPerUnit,
+    upAxis: upAxis ?? fallback.upAxis,
+    unitSource: hasScale ? 'file' : 'default',
+    axisSource: upAxis ? 'file' : 'default',
+  };
+}
+
+/**
+ * Подписывает длину единицы: именем известной единицы или числом метров.
+ * @param {number} metersPerUnit
+ * @returns {string}
+ */
+export function describeLengthUnit(metersPerUnit) {
+  const match = Object.entries(LENGTH_UNITS).find(
+    ([, meters]) => Math.abs(meters - metersPerUnit) <= meters * 1e-6,
+  );
+  return match ? match[0] : `${Number(metersPerUnit.toPrecision(4))} m`;
+}
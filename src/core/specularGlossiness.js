@@ -0,0 +1,185 @@
+/**
+ * Перевод материалов specular-glossiness (KHR_materials_pbrSpecularGlossiness, Phong с картой бликов)
+ * в metal-roughness. Модуль не зависит от three, чтобы его могли использовать и парсеры воркера, и основной поток.
+ * Формулы повторяют конвертер Khronos: шероховатость — инвертированный глянец, металличность подбирается так,
+ * чтобы яркость диффузного и бликового цвета совпала с яркостью эквивалентного metal-roughness материала.
+ */
+
+/**
+ * Ключ userData материала Phong, полученного из KHR_materials_pbrSpecularGlossiness.
+ * У такого материала `specularMap` хранит цвет блика в RGB и глянец в альфа-канале, а `shininess` — глянец × 100.
+ */
+export const SPECULAR_GLOSSINESS_KEY = '__specularGlossiness';
+
+/** Отражательная способность (F0) диэлектриков в модели metal-roughness. */
+const DIELECTRIC_SPECULAR = 0.04;
+
+const EPSILON = 1e-6;
+
+/**
+ * Линейные компоненты цвета в диапазоне [0, 1].
+ * @typedef {[number, number, number]} LinearColor
+ */
+
+/**
+ * Параметры metal-roughness, эквивалентные паре диффузного и бликового цвета.
+ * @typedef {{ baseColor: LinearColor; metalness: number; roughness: number }} MetalRoughness
+ */
+
+/** sRGB → линейная компонента для каждого из 256 значений байта. */
+const SRGB_TO_LINEAR = new Float64Array(256).map((_, value) => {
+  const normalized = value / 255;
+  return normalized <= 0.04045 ? normalized / 12.92 : ((normalized + 0.055) / 1.055) ** 2.4;
+});
+
+/**
+ * Результат convertPixel: R, G, B базового цвета, металличность и шероховатость.
+ * Один буфер на весь модуль, чтобы попиксельный пересчёт не создавал объектов.
+ */
+const converted = new Float64Array(5);
+
+/**
+ * Переводит один набор specular-glossiness в metal-roughness.
+ * @param {LinearColor} diffuse
+ * @param {LinearColor} specular
+ * @param {number} glossiness
+ * @returns {MetalRoughness}
+ */
+export function convertSpecularGlossiness(diffuse, specular, glossiness) {
+  convertPixel(diffuse[0], diffuse[1], diffuse[2], specular[0], specular[1], specular[2], glossiness);
+  return {
+    baseColor: [converted[0], converted[1], converted[2]],
+    metalness: converted[3],
+    roughness: converted[4],
+  };
+}
+
+/**
+ * Попиксельно переводит карты specular-glossiness в карту базового цвета и упакованную ORM-карту
+ * (R — затенение, G — шероховатость, B — металличность), как в glTF.
+ * Все массивы — RGBA одного размера; отсутствующая карта заменяется своим множителем.
+ * Пересчёт не выделяет память на пиксель, поэтому годится и для карт 8K; вызывается из воркера импорта.
+ * @param {{
+ *   pixelCount: number,
+ *   diffuse: Uint8ClampedArray | null,
+ *   diffuseFactor: LinearColor,
+ *   specular: Uint8ClampedArray | null,
+ *   specularFactor: LinearColor,
+ *   glossinessFactor: number,
+ *   glossinessFromAlpha: boolean,
+ *   occlusion: Uint8ClampedArray | null,
+ * }} input `glossinessFromAlpha` — глянец берется из альфа-канала карты бликов (glTF), иначе из `glossinessFactor`.
+ * @returns {{ baseColor: Uint8ClampedArray; orm: Uint8ClampedArray }} Альфа базового цвета копируется из диффузной карты.
+ */
+export function convertSpecularGlossinessPixels(input) {
+  const { pixelCount, diffuse, diffuseFactor, specular, specularFactor, glossinessFactor, glossinessFromAlpha, occlusion } =
+    input;
+  const baseColor = new Uint8ClampedArray(pixelCount * 4);
+  const orm = new Uint8ClampedArray(pixelCount * 4);
+  const [diffuseR, diffuseG, diffuseB] = diffuseFactor;
+  const [specularR, specularG, specularB] = specularFactor;
+  const glossinessFromMap = glossinessFromAlpha && specular;
+  for (let offset = 0; offset < pixelCount * 4; offset += 4) {
+    convertPixel(
+      diffuse ? diffuseR * SRGB_TO_LINEAR[diffuse[offset]] : diffuseR,
+      diffuse ? diffuseG * SRGB_TO_LINEAR[diffuse[offset + 1]] : diffuseG,
+      diffuse ? diffuseB * SRGB_TO_LINEAR[diffuse[offset + 2]] : diffuseB,
+      specular ? specularR * SRGB_TO_LINEAR[specular[offset]] : specularR,
+      specular ? specularG * SRGB_TO_LINEAR[specular[offset + 1]] : specularG,
+      specular ? specularB * SRGB_TO_LINEAR[specular[offset + 2]] : specularB,
+      glossinessFromMap ? (glossinessFactor * specular[offset + 3]) / 255 : glossinessFactor,
+    );
+    baseColor[offset] = linearToSrgb(converted[0]);
+    baseColor[offset + 1] = linearToSrgb(converted[1]);
+    baseColor[offset + 2] = linearToSrgb(converted[2]);
+    baseColor[offset + 3] = diffuse ? diffuse[offset + 3] : 255;
+    orm[offset] = occlusion ? occlusion[offset] : 255;
+    orm[offset + 1] = Math.round(converted[4] * 255);
+    orm[offset + 2] = Math.round(converted[3] * 255);
+    orm[offset + 3] = 255;
+  }
+  return { baseColor, orm };
+}
+
+/**
+ * Переводит линейные диффузный и бликовый цвета и глянец в metal-roughness и записывает результат в `converted`.
+ * @param {number} diffuseR
+ * @param {number} diffuseG
+ * @param {number} diffuseB
+ * @param {number} specularR
+ * @param {number} specularG
+ * @param {number} specularB
+ * @param {number} glossiness
+ */
+function convertPixel(diffuseR, diffuseG, diffuseB, specularR, specularG, specularB, glossiness) {
+  const oneMinusSpecularStrength = 1 - Math.max(specularR, specularG, specularB);
+  const metalness = solveMetalness(
+    perceivedBrightness(diffuseR, diffuseG, diffuseB),
+    perceivedBrightness(specularR, specularG, specularB),
+    oneMinusSpecularStrength,
+  );
+  const diffuseScale = oneMinusSpecularStrength / (1 - DIELECTRIC_SPECULAR) / Math.max(1 - metalness, EPSILON);
+  const specularScale = 1 / Math.max(metalness, EPSILON);
+  const specularOffset = DIELECTRIC_SPECULAR * (1 - metalness);
+  const blend = metalness * metalness;
+  converted[0] = blendComponent(diffuseR * diffuseScale, (specularR - specularOffset) * specularScale, blend);
+  converted[1] = blendComponent(diffuseG * diffuseScale, (specularG - specularOffset) * specularScale, blend);
+  converted[2] = blendComponent(diffuseB * diffuseScale, (specularB - specularOffset) * specularScale, blend);
+  converted[3] = metalness;
+  converted[4] = 1 - clamp01(glossiness);
+}
+
+/**
+ * @param {number} fromDiffuse
+ * @param {number} fromSpecular
+ * @param {number} blend
+ * @returns {number}
+ */
+function blendComponent(fromDiffuse, fromSpecular, blend) {
+  return clamp01(fromDiffuse + (fromSpecular - fromDiffuse) * blend);
+}
+
+/**
+ * Подбирает металличность по яркости диффузного и бликового цвета.
+ * @param {number} diffuse
+ * @param {number} specular
+ * @param {number} oneMinusSpecularStrength
+ * @returns {number}
+ */
+function solveMetalness(diffuse, specular, oneMinusSpecularStrength) {
+  if (specular < DIELECTRIC_SPECULAR) {
+    return 0;
+  }
+  const a = DIELECTRIC_SPECULAR;
+  const b = (diffuse * oneMinusSpecularStrength) / (1 - DIELECTRIC_SPECULAR) + specular - 2 * DIELECTRIC_SPECULAR;
+  const c = DIELECTRIC_SPECULAR - specular;
+  const discriminant = Math.max(b * b - 4 * a * c, 0);
+  return clamp01((-b + Math.sqrt(discriminant)) / (2 * a));
+}
+
+/**
+ * @param {number} red
+ * @param {number} green
+ * @param {number} blue
+ * @returns {number}
+ */
+function perceivedBrightness(red, green, blue) {
+  return Math.sqrt(0.299 * red * red + 0.587 * green * green + 0.114 * blue * blue);
+}
+
+/**
+ * @param {number} value Линейная компонента в диапазоне [0, 1].
+ * @returns {number} Компонента sRGB в диапазоне [0, 255].
+ */
+function linearToSrgb(value) {
+  const encoded = value <= 0.0031308 ? value * 12.92 : 1.055 * value ** (1 / 2.4) - 0.055;
+  return Math.round(clamp01(encoded) * 255);
+}
+
+/**
+ * @param {number} value
+ * @returns {number}
+ */
+function clamp01(value) {
+  return Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : 0;
+}
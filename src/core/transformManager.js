@@ -123,8 +123,9 @@ export class TransformManager extends EventTarget {
       return;
     }
 
-    if (this.currentSelection.size === 1) {
-      const mesh = [...this.currentSelection][0];
+    const roots = this.#getTransformRoots();
+    if (roots.length === 1) {
+      const [mesh] = roots;
       mesh.updateMatrixWorld(true);
       const position = new Vector3();
       const quaternion = new Quaternion();
@@ -140,7 +141,7 @@ export class TransformManager extends EventTarget {
       const size = new Vector3();
       const accumulated = new Vector3();
       let totalWeight = 0;
-      this.currentSelection.forEach((mesh) => {
+      roots.forEach((mesh) => {
         mesh.updateMatrixWorld(true);
         box.setFromObject(mesh);
         box.getCenter(center);
@@ -180,6 +181,24 @@ export class TransformManager extends EventTarget {
     }
   }
 
+  /**
+   * Возвращает выбранные объекты без тех, чей предок тоже выбран:
+   * вложенные узлы сборки перемещаются вместе с родителем и не должны трансформироваться дважды.
+   * @returns {import('three').Object3D[]}
+   */
+  #getTransformRoots() {
+    return [...this.currentSelection].filter((object) => {
+      let parent = object.parent;
+      while (parent) {
+        if (this.currentSelection.has(parent)) {
+          return false;
+        }
+        parent = parent.parent;
+      }
+      return true;
+    });
+  }
+
   /**
    * Сохраняет относительные матрицы мешей относительно anchor перед трансформацией.
    * @private
@@ -192,7 +211,7 @@ export class TransformManager extends EventTarget {
     const anchorMatrix = new Matrix4().copy(this.anchor.matrixWorld);
     const anchorInverse = new Matrix4().copy(anchorMatrix).invert();
     const meshStates = new Map();
-    this.currentSelection.forEach((mesh) => {
+    this.#getTransformRoots().forEach((mesh) => {
       mesh.updateMatrixWorld(true);
       const relative = new Matrix4().multiplyMatrices(anchorInverse, mesh.matrixWorld);
       meshStates.set(mesh.uuid, { mesh, relative });
@@ -202,6 +221,7 @@ export class TransformManager extends EventTarget {
 
   /**
    * Применяет текущую матрицу anchor к каждому выбранному мешу.
+   * Мировая матрица переводится в пространство родителя, чтобы вложенные узлы иерархии сохраняли своё место.
    * @private
    */
   #applyAnchorTransform() {
@@ -213,8 +233,14 @@ export class TransformManager extends EventTarget {
     const position = new Vector3();
     const quaternion = new Quaternion();
     const scale = new Vector3();
+    const parentInverse = new Matrix4();
     this.dragState.meshStates.forEach(({ mesh, relative }) => {
       const worldMatrix = new Matrix4().multiplyMatrices(anchorMatrix, relative);
+      if (mesh.parent) {
+        mesh.parent.updateMatrixWorld(true);
+        parentInverse.copy(mesh.parent.matrixWorld).invert();
+        worldMatrix.premultiply(parentInverse);
+      }
       worldMatrix.decompose(position, quaternion, scale);
       mesh.position.copy(position);
       mesh.quaternion.copy(quaternion);
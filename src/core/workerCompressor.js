@@ -0,0 +1,93 @@
+/**
+ * Сжимает GLB в отдельном воркере, чтобы кодирование Draco не останавливало интерфейс.
+ * Воркер создаётся при первом запросе и обрабатывает запросы по очереди.
+ */
+export class WorkerCompressor {
+  /**
+   * @param {string} encoderUrl Абсолютный адрес draco_encoder.js.
+   */
+  constructor(encoderUrl) {
+    this.encoderUrl = encoderUrl;
+    /** Становится false, если воркер не удалось запустить; тогда сжатие идёт в основном потоке. */
+    this.available = typeof Worker !== 'undefined';
+    /** @type {Worker | null} */
+    this.worker = null;
+    this.nextId = 1;
+    /** @type {Map<number, { resolve: (value: any) => void; reject: (error: Error) => void }>} */
+    this.requests = new Map();
+  }
+
+  /**
+   * Сжимает геометрию GLB. Исходный буфер не меняется: воркеру передаётся его копия.
+   * @param {ArrayBuffer} buffer
+   * @param {import('./glbCompression.js').GeometryCompression} compression
+   * @returns {Promise<{ buffer: ArrayBuffer; warnings: string[] }>}
+   */
+  async compress(buffer, compression) {
+    const worker = this.#getWorker();
+    const id = this.nextId;
+    this.nextId += 1;
+    const copy = buffer.slice(0);
+    return new Promise((resolve, reject) => {
+      this.requests.set(id, { resolve, reject });
+      worker.postMessage({ type: 'compress', id, buffer: copy, compression, encoderUrl: this.encoderUrl }, [copy]);
+    });
+  }
+
+  /**
+   * Останавливает воркер.
+   */
+  dispose() {
+    this.#terminate(new Error('Compression worker disposed'));
+  }
+
+  /**
+   * Возвращает воркер, при необходимости создавая его.
+   * Ошибка создания (нет поддержки модульных воркеров, запрет политикой CSP) отключает воркер насовсем.
+   * @returns {Worker}
+   */
+  #getWorker() {
+    if (this.worker) {
+      return this.worker;
+    }
+    let worker;
+    try {
+      worker = new Worker(new URL('./glbCompressionWorker.js', import.meta.url), { type: 'module' });
+    } catch (error) {
+      this.available = false;
+      throw error;
+    }
+    worker.addEventListener('error', (event) => {
+      event.preventDefault();
+      this.available = false;
+      this.#terminate(new Error(event.message || 'Compression worker failed'));
+    });
+    worker.addEventListener('message', (event) => {
+      const { type, id, buffer, warnings, message } = event.data;
+      const request = this.requests.get(id);
+      if (!request) {
+        return;
+      }
+      this.requests.delete(id);
+      if (type === 'result') {
+        request.resolve({ buffer, warnings });
+      } else {
+        request.reject(new Error(message));
+      }
+    });
+    this.worker = worker;
+    return worker;
+  }
+
+  /**
+   * Завершает воркер и отклоняет незавершённые запросы.
+   * @param {Error} reason
+   */
+  #terminate(reason) {
+    this.worker?.terminate();
+    this.worker = null;
+    const requests = Array.from(this.requests.values());
+    this.requests.clear();
+    requests.forEach((request) => request.reject(reason));
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * Статические импорты и реэкспорты вида `from '...'`, а также `import '...'` и `import('...')`.
+ * Совпадения в комментариях безвредны: заменяются только спецификаторы, которые удалось загрузить.
+ */
+const IMPORT_PATTERN = /(\bfrom\s*|\bimport\s*\(?\s*)(['"])([^'"\n]+)\2/g;
+
+/**
+ * Загружает ES-модули в воркере, где importmap не действует. Исходник модуля скачивается,
+ * голые спецификаторы из `imports` и относительные пути заменяются на blob-URL уже загруженных
+ * зависимостей, и модуль подключается из blob. Каждый адрес загружается один раз, поэтому
+ * все загрузчики получают один и тот же экземпляр three. Циклические импорты не поддерживаются,
+ * в модулях three их нет.
+ */
+export class WorkerModuleLoader {
+  /**
+   * @param {Record<string, string>} imports Абсолютные адреса голых спецификаторов, например `three`.
+   */
+  constructor(imports) {
+    this.imports = imports;
+    /** @type {Map<string, Promise<string>>} */
+    this.blobUrls = new Map();
+  }
+
+  /**
+   * Подключает модуль по адресу.
+   * @param {string} url
+   * @returns {Promise<Record<string, any>>}
+   */
+  async import(url) {
+    return import(await this.#load(new URL(url, self.location.href).href));
+  }
+
+  /**
+   * @param {string} url Абсолютный адрес модуля.
+   * @returns {Promise<string>} blob-URL переписанного модуля.
+   */
+  #load(url) {
+    let blobUrl = this.blobUrls.get(url);
+    if (!blobUrl) {
+      blobUrl = this.#rewrite(url);
+      this.blobUrls.set(url, blobUrl);
+    }
+    return blobUrl;
+  }
+
+  /**
+   * @param {string} url
+   * @returns {Promise<string>}
+   */
+  async #rewrite(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} for module ${url}`);
+    }
+    const source = await response.text();
+
+    /** @type {Map<string, string>} */
+    const targets = new Map();
+    for (const [, , , specifier] of source.matchAll(IMPORT_PATTERN)) {
+      const target = this.imports[specifier] ?? (/^\.{1,2}\//.test(specifier) ? new URL(specifier, url).href : null);
+      if (target) {
+        targets.set(specifier, target);
+      }
+    }
+    /** @type {Map<string, string>} */
+    const replacements = new Map();
+    await Promise.all(
+      Array.from(targets, async ([specifier, target]) => {
+        replacements.set(specifier, await this.#load(target));
+      }),
+    );
+
+    const rewritten = source.replace(IMPORT_PATTERN, (match, prefix, quote, specifier) => {
+      const replacement = replacements.get(specifier);
+      return replacement ? `${prefix}${quote}${replacement}${quote}` : match;
+    });
+    return URL.createObjectURL(new Blob([rewritten], { type: 'text/javascript' }));
+  }
+}
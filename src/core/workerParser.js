@@ -0,0 +1,317 @@
+import {
+  AnimationClip,
+  Bone,
+  BufferAttribute,
+  BufferGeometry,
+  Group,
+  MaterialLoader,
+  Matrix4,
+  Mesh,
+  Object3D,
+  ObjectLoader,
+  Skeleton,
+  SkinnedMesh,
+  Source,
+} from 'three';
+
+/**
+ * Запускает разбор моделей в отдельном воркере и восстанавливает из его ответа объекты three.
+ * Воркер создаётся лениво и пересоздаётся после отмены, так как отмена его завершает.
+ */
+export class WorkerParser {
+  /**
+   * @param {{ modules: Record<string, string>; decoderPaths: import('./modelParsers.js').DecoderPaths }} options
+   *   URL модулей three и загрузчиков, доступных воркеру, и пути к декодерам Draco и KTX2.
+   */
+  constructor({ modules, decoderPaths }) {
+    this.modules = modules;
+    this.decoderPaths = decoderPaths;
+    /** Становится false, если воркер не удалось запустить; тогда разбор идёт в основном потоке. */
+    this.available = typeof Worker !== 'undefined';
+    /** @type {Worker | null} */
+    this.worker = null;
+    /** @type {Promise<Worker> | null} */
+    this.ready = null;
+    this.nextId = 1;
+    /** @type {Map<number, { resolve: (value: any) => void; reject: (error: Error) => void }>} */
+    this.requests = new Map();
+  }
+
+  /**
+   * Разбирает модель в воркере.
+   * Буфер передаётся воркеру без копирования и после вызова становится недоступен.
+   * @param {string} extension
+   * @param {ArrayBuffer} buffer
+   * @param {import('./resourceResolver.js').ResourceResolver} resolver
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<import('three').Object3D>}
+   */
+  async parse(extension, buffer, resolver, signal) {
+    const response = await this.#request(
+      { type: 'parse', extension, buffer, resources: resolver.resources },
+      [buffer],
+      signal,
+    );
+    response.missing.forEach((url) => resolver.missing.add(url));
+    return this.#deserializeScene(response.scene);
+  }
+
+  /**
+   * Пересчитывает карты specular-glossiness в карты базового цвета и ORM в воркере.
+   * Массивы пикселей передаются воркеру без копирования и после вызова становятся недоступны.
+   * @param {Parameters<typeof import('./specularGlossiness.js').convertSpecularGlossinessPixels>[0]} input
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<{ baseColor: Uint8ClampedArray; orm: Uint8ClampedArray }>}
+   */
+  async convertSpecularGlossiness(input, signal) {
+    const transfer = [input.diffuse, input.specular, input.occlusion]
+      .filter((pixels) => pixels !== null)
+      .map((pixels) => /** @type {Uint8ClampedArray} */ (pixels).buffer);
+    const { baseColor, orm } = await this.#request(
+      { type: 'convert-specular-glossiness', input },
+      Array.from(new Set(transfer)),
+      signal,
+    );
+    return { baseColor, orm };
+  }
+
+  /**
+   * Останавливает воркер.
+   */
+  dispose() {
+    this.#terminate(new Error('Import worker disposed'));
+  }
+
+  /**
+   * Отправляет запрос воркеру и ждёт ответа. Отмена завершает воркер: синхронную работу в нём иначе не прервать.
+   * @param {Record<string, unknown>} message Запрос без `id`.
+   * @param {Transferable[]} transfer
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<any>}
+   */
+  async #request(message, transfer, signal) {
+    const worker = await this.#getWorker();
+    signal?.throwIfAborted();
+    const id = this.nextId;
+    this.nextId += 1;
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this.requests.delete(id);
+        this.#terminate(signal?.reason ?? new DOMException('Import cancelled', 'AbortError'));
+        reject(signal?.reason);
+      };
+      this.requests.set(id, {
+        resolve: (value) => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve(value);
+        },
+        reject: (error) => {
+          signal?.removeEventListener('abort', onAbort);
+          reject(error);
+        },
+      });
+      signal?.addEventListener('abort', onAbort, { once: true });
+      worker.postMessage({ ...message, id }, transfer);
+    });
+  }
+
+  /**
+   * Возвращает готовый к работе воркер, при необходимости создавая его.
+   * Ошибка запуска (нет поддержки модульных воркеров, недоступны модули) отключает воркер насовсем.
+   * @returns {Promise<Worker>}
+   */
+  #getWorker() {
+    if (this.ready) {
+      return this.ready;
+    }
+    this.ready = new Promise((resolve, reject) => {
+      let worker;
+      try {
+        worker = new Worker(new URL('./importWorker.js', import.meta.url), { type: 'module' });
+      } catch (error) {
+        reject(error);
+        return;
+      }
+      this.worker = worker;
+      const fail = (error) => {
+        this.available = false;
+        this.#terminate(error);
+        reject(error);
+      };
+      worker.addEventListener('error', (event) => {
+        event.preventDefault();
+        fail(new Error(event.message || 'Import worker failed to start'));
+      });
+      worker.addEventListener('message', (event) => {
+        const message = event.data;
+        if (message.type === 'ready') {
+          resolve(worker);
+        } else if (message.type === 'setup-error') {
+          fail(new Error(message.message));
+        } else {
+          this.#handleResponse(message);
+        }
+      });
+      worker.postMessage({ type: 'init', modules: this.modules, decoderPaths: this.decoderPaths });
+    }).catch((error) => {
+      this.available = false;
+      this.ready = null;
+      throw error;
+    });
+    return this.ready;
+  }
+
+  /**
+   * @param {{ type: 'result' | 'error'; id: number; message?: string; [key: string]: any }} message
+   */
+  #handleResponse(message) {
+    const request = this.requests.get(message.id);
+    if (!request) {
+      return;
+    }
+    this.requests.delete(message.id);
+    if (message.type === 'result') {
+      request.resolve(message);
+    } else {
+      request.reject(new Error(message.message));
+    }
+  }
+
+  /**
+   * Завершает воркер и отклоняет незавершённые запросы.
+   * @param {unknown} reason
+   */
+  #terminate(reason) {
+    this.worker?.terminate();
+    this.worker = null;
+    this.ready = null;
+    const requests = Array.from(this.requests.values());
+    this.requests.clear();
+    requests.forEach((request) => request.reject(/** @type {Error} */ (reason)));
+  }
+
+  /**
+   * Восстанавливает граф объектов из сериализованной воркером сцены.
+   * @param {{
+   *   nodes: any[];
+   *   geometries: any[];
+   *   materials: any[];
+   *   textures: { json: any; image: any }[];
+   *   animations: any[];
+   * }} scene
+   * @returns {import('three').Object3D}
+   */
+  #deserializeScene(scene) {
+    const images = {};
+    scene.textures.forEach(({ json, image }) => {
+      images[json.image] = new Source(this.#prepareImage(image, json.flipY));
+    });
+    const textures = new ObjectLoader().parseTextures(
+      scene.textures.map(({ json }) => json),
+      images,
+    );
+    const materialLoader = new MaterialLoader().setTextures(textures);
+    const materials = scene.materials.map((json) => materialLoader.parse(json));
+    const geometries = scene.geometries.map((data) => this.#deserializeGeometry(data));
+
+    const matrix = new Matrix4();
+    /** @type {import('three').Object3D[]} */
+    const objects = [];
+    scene.nodes.forEach((node) => {
+      let object;
+      if (node.type === 'Mesh' || node.type === 'SkinnedMesh') {
+        const material = Array.isArray(node.material)
+          ? node.material.map((index) => materials[index])
+          : materials[node.material];
+        const MeshType = node.type === 'SkinnedMesh' ? SkinnedMesh : Mesh;
+        object = new MeshType(geometries[node.geometry], material);
+        if (node.morphTargetInfluences) {
+          object.morphTargetInfluences = node.morphTargetInfluences;
+          object.morphTargetDictionary = node.morphTargetDictionary;
+        }
+      } else if (node.type === 'Bone') {
+        object = new Bone();
+      } else if (node.type === 'Group') {
+        object = new Group();
+      } else {
+        object = new Object3D();
+      }
+      object.uuid = node.uuid;
+      object.name = node.name;
+      object.visible = node.visible;
+      object.userData = node.userData;
+      matrix.fromArray(node.matrix);
+      matrix.decompose(object.position, object.quaternion, object.scale);
+      objects.push(object);
+      if (node.parent >= 0) {
+        objects[node.parent].add(object);
+      }
+    });
+
+    scene.nodes.forEach((node, index) => {
+      if (!node.skin) {
+        return;
+      }
+      const mesh = /** @type {SkinnedMesh} */ (objects[index]);
+      const bones = node.skin.bones.map((boneIndex) => objects[boneIndex] ?? new Bone());
+      const boneInverses = node.skin.boneInverses.map((elements) => new Matrix4().fromArray(elements));
+      mesh.bindMode = node.skin.bindMode;
+      mesh.bind(new Skeleton(bones, boneInverses), new Matrix4().fromArray(node.skin.bindMatrix));
+    });
+
+    const root = objects[0] ?? new Group();
+    root.animations = scene.animations.map((json) => AnimationClip.parse(json));
+    return root;
+  }
+
+  /**
+   * @param {any} data
+   * @returns {BufferGeometry}
+   */
+  #deserializeGeometry(data) {
+    const geometry = new BufferGeometry();
+    geometry.name = data.name;
+    geometry.userData = data.userData;
+    Object.entries(data.attributes).forEach(([name, attribute]) => {
+      geometry.setAttribute(name, this.#deserializeAttribute(attribute));
+    });
+    Object.entries(data.morphAttributes).forEach(([name, list]) => {
+      geometry.morphAttributes[name] = list.map((attribute) => this.#deserializeAttribute(attribute));
+    });
+    geometry.morphTargetsRelative = data.morphTargetsRelative;
+    if (data.index) {
+      geometry.setIndex(this.#deserializeAttribute(data.index));
+    }
+    data.groups.forEach((group) => geometry.addGroup(group.start, group.count, group.materialIndex));
+    return geometry;
+  }
+
+  /**
+   * @param {{ name: string; array: import('three').TypedArray; itemSize: number; normalized: boolean }} data
+   * @returns {BufferAttribute}
+   */
+  #deserializeAttribute(data) {
+    const attribute = new BufferAttribute(data.array, data.itemSize, data.normalized);
+    attribute.name = data.name;
+    return attribute;
+  }
+
+  /**
+   * ImageBitmap игнорирует flipY при загрузке в WebGL, поэтому изображения, которые
+   * должны переворачиваться (FBX, MTL), переносятся на canvas.
+   * @param {ImageBitmap | { data: ArrayLike<number>; width: number; height: number } | null} image
+   * @param {boolean} flipY
+   */
+  #prepareImage(image, flipY) {
+    if (!flipY || typeof ImageBitmap === 'undefined' || !(image instanceof ImageBitmap)) {
+      return image;
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    canvas.getContext('2d')?.drawImage(image, 0, 0);
+    image.close();
+    return canvas;
+  }
+}
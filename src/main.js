@@ -1,3 +1,5 @@
+import { AnimationManager } from './core/animationManager.js';
+import { ExportManager } from './core/exportManager.js';
 import { ImportManager } from './core/importManager.js';
 import { SceneManager } from './core/sceneManager.js';
 import { SelectionManager } from './core/selectionManager.js';
@@ -6,8 +8,13 @@ import { UndoManager } from './core/undoManager.js';
 import { Inspector } from './ui/inspector.js';
 import { Panel } from './ui/panel.js';
 import { Toolbar } from './ui/toolbar.js';
+import { DropZone } from './ui/dropZone.js';
 import { MaterialPanel } from './ui/materialPanel.js';
 import { InfoPanel } from './ui/infoPanel.js';
+import { AnimationTimeline } from './ui/animationTimeline.js';
+import { MorphPanel } from './ui/morphPanel.js';
+import { Notifications, describeError } from './ui/notifications.js';
+import { COMPRESSION_METHODS, ExportDialog } from './ui/exportDialog.js';
 
 const canvas = /** @type {HTMLCanvasElement | null} */ (document.getElementById('scene'));
 const panelElement = /** @type {HTMLElement | null} */ (document.querySelector('[data-panel]'));
@@ -20,6 +27,13 @@ const infoPanelElement = /** @type {HTMLElement | null} */ (document.querySelect
 const dimensionToggle = /** @type {HTMLInputElement | null} */ (
   document.querySelector('[data-dimension-toggle]')
 );
+const dropOverlay = /** @type {HTMLElement | null} */ (document.querySelector('[data-drop-overlay]'));
+const morphPanelElement = /** @type {HTMLElement | null} */ (document.querySelector('[data-morph-panel]'));
+const animationTimelineElement = /** @type {HTMLElement | null} */ (
+  document.querySelector('[data-animation-timeline]')
+);
+const notificationsElement = /** @type {HTMLElement | null} */ (document.querySelector('[data-notifications]'));
+const exportDialogElement = /** @type {HTMLDialogElement | null} */ (document.querySelector('[data-export-dialog]'));
 
 if (
   !canvas ||
@@ -28,7 +42,11 @@ if (
   !inspectorElement ||
   !materialPanelElement ||
   !infoPanelElement ||
-  !dimensionToggle
+  !dimensionToggle ||
+  !morphPanelElement ||
+  !animationTimelineElement ||
+  !notificationsElement ||
+  !exportDialogElement
 ) {
   throw new Error('UI elements are missing in the document.');
 }
@@ -40,9 +58,63 @@ const transformManager = new TransformManager(sceneManager, undoManager);
 const panel = new Panel(panelElement);
 const toolbar = new Toolbar(toolbarElement);
 const inspector = new Inspector(inspectorElement, transformManager, selectionManager, undoManager);
-const importManager = new ImportManager(sceneManager, selectionManager, panel);
+const animationManager = new AnimationManager();
+const importManager = new ImportManager(sceneManager, selectionManager, panel, animationManager);
+const exportManager = new ExportManager(sceneManager, animationManager);
 const materialPanel = new MaterialPanel(materialPanelElement);
+const morphPanel = new MorphPanel(morphPanelElement);
 const infoPanel = new InfoPanel(infoPanelElement);
+const dropZone = new DropZone([canvas, panel.list], dropOverlay);
+const animationTimeline = new AnimationTimeline(animationTimelineElement);
+const notifications = new Notifications(notificationsElement);
+const exportDialog = new ExportDialog(exportDialogElement);
+
+/**
+ * Перечисляет имена файлов для заголовка уведомления, сокращая длинные списки.
+ * @param {string[]} names
+ * @returns {string}
+ */
+function formatFileNames(names) {
+  const shown = names.slice(0, 3).join(', ');
+  return names.length > 3 ? `${shown} and ${names.length - 3} more` : shown;
+}
+
+/**
+ * Сообщает о том, что модель импортирована лишь приближённо.
+ * @param {string} fileName
+ * @param {string[]} warnings
+ */
+function notifyImportWarnings(fileName, warnings) {
+  if (warnings.length === 0) {
+    return;
+  }
+  notifications.notify({
+    type: 'warning',
+    title: `${fileName} was imported with changes`,
+    message: warnings.slice(0, 3).join(' ') + (warnings.length > 3 ? ` And ${warnings.length - 3} more.` : ''),
+  });
+}
+
+/**
+ * Сообщает об ошибке загрузки HDR-окружения и предлагает повторить загрузку.
+ * @param {unknown} error
+ */
+function notifyEnvironmentError(error) {
+  notifications.notify({
+    type: 'error',
+    title: 'Lighting environment failed to load',
+    message: `${describeError(error, 'The HDR file could not be loaded.')} Models look darker until it loads.`,
+    action: {
+      label: 'Retry',
+      handler: () => {
+        sceneManager.loadEnvironment().catch((retryError) => {
+          console.error('Failed to load environment', retryError);
+          notifyEnvironmentError(retryError);
+        });
+      },
+    },
+  });
+}
 
 materialPanel.update(selectionManager.getSelectionState().selectedMeshes);
 sceneManager.updateDimensionTargets();
@@ -62,9 +134,32 @@ let transformRecentlyActive = false;
     await sceneManager.init();
   } catch (error) {
     console.error('Failed to initialize scene', error);
+    notifyEnvironmentError(error);
   }
 })();
 
+sceneManager.onFrame((delta) => animationManager.update(delta));
+
+animationManager.addEventListener('clipschange', (event) => {
+  animationTimeline.setClips(event.detail.clips);
+});
+animationManager.addEventListener('statechange', (event) => {
+  animationTimeline.setState(event.detail);
+});
+animationManager.addEventListener('timeupdate', (event) => {
+  animationTimeline.setTime(event.detail.time, event.detail.duration);
+});
+animationTimeline.bindClipChange((clipId) => animationManager.selectClip(clipId));
+animationTimeline.bindPlayToggle((play) => {
+  if (play) {
+    animationManager.play();
+  } else {
+    animationManager.pause();
+  }
+});
+animationTimeline.bindScrub((time) => animationManager.seek(time));
+animationTimeline.bindLoopChange((loop) => animationManager.setLoop(loop));
+
 toolbar.bindModeChange((mode) => {
   transformManager.setMode(mode);
   const { selectedMeshes } = selectionManager.getSelectionState();
@@ -73,13 +168,361 @@ toolbar.bindModeChange((mode) => {
 });
 toolbar.setActiveMode('none');
 
-panel.bindImport(async (file) => {
+/** @type {AbortController | null} */
+let importController = null;
+
+/**
+ * Импортирует выбранные или перетащенные файлы, показывая прогресс в панели.
+ * Пока идёт импорт, новые файлы не принимаются.
+ * @param {File[]} files
+ */
+async function importFiles(files) {
+  if (importController) {
+    console.warn('Import is already running');
+    notifications.notify({
+      title: 'An import is already running',
+      message: 'Wait for it to finish or cancel it, then import again.',
+    });
+    return;
+  }
+  const controller = new AbortController();
+  importController = controller;
+  panel.setImportBusy(true);
   try {
-    await importManager.importModel(file);
+    const { summaries, failures } = await importManager.importModel(files, {
+      ...panel.getImportOptions(),
+      signal: controller.signal,
+      onProgress: (progress) => panel.showImportProgress(progress),
+    });
+    panel.showImportSummary(summaries);
+    panel.addValidationReports(summaries.flatMap((summary) => summary.validation));
+    summaries.forEach(({ fileName, missingResources }) => {
+      if (missingResources.length === 0) {
+        return;
+      }
+      notifications.notify({
+        type: 'warning',
+        title: `${fileName} references files that were not provided`,
+        message: `Not found: ${formatFileNames(missingResources)}. Import them together with the model or drop its whole folder.`,
+      });
+    });
+    summaries.forEach(({ fileName, warnings }) => notifyImportWarnings(fileName, warnings));
+    failures.forEach(({ fileName, error, files: retryFiles }) => {
+      notifications.notify({
+        type: 'error',
+        title: `Could not import ${fileName}`,
+        message: describeError(error, 'The file is damaged or uses an unsupported variant of the format.'),
+        action: { label: 'Retry', handler: () => importFiles(retryFiles) },
+      });
+    });
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      console.error('Error importing model', error);
+      notifications.notify({
+        type: 'error',
+        title: `Could not import ${formatFileNames(files.map((file) => file.name))}`,
+        message: describeError(error, 'The files could not be imported.'),
+      });
+    }
+  } finally {
+    importController = null;
+    panel.setImportBusy(false);
     sceneManager.updateDimensionTargets();
+  }
+}
+
+/**
+ * Заменяет модель выбранного меша новой версией файла, сохраняя правки материалов и трансформаций.
+ * Если ничего не выбрано, заменяется модель с тем же именем файла.
+ * @param {File[]} files
+ */
+async function replaceFiles(files) {
+  if (importController) {
+    console.warn('Import is already running');
+    notifications.notify({
+      title: 'An import is already running',
+      message: 'Wait for it to finish or cancel it, then replace the model.',
+    });
+    return;
+  }
+  const controller = new AbortController();
+  importController = controller;
+  panel.setImportBusy(true);
+  const [selected] = selectionManager.getSelectionState().selectedMeshes;
+  try {
+    const summary = await importManager.replaceModel(files, {
+      ...panel.getImportOptions(),
+      source: selected?.userData?.source,
+      signal: controller.signal,
+      onProgress: (progress) => panel.showImportProgress(progress),
+    });
+    panel.showReplaceSummary(summary);
+    panel.addValidationReports(summary.validation);
+    if (summary.missingResources.length > 0) {
+      notifications.notify({
+        type: 'warning',
+        title: `${summary.fileName} references files that were not provided`,
+        message: `Not found: ${formatFileNames(summary.missingResources)}. Replace the model again together with them.`,
+      });
+    }
+    notifyImportWarnings(summary.fileName, summary.warnings);
+    if (summary.unmatched.length > 0) {
+      notifications.notify({
+        type: 'warning',
+        title: 'Some edits could not be carried over',
+        message: `Check ${formatFileNames(summary.unmatched)}: their names are not unique or their material slots changed.`,
+      });
+    }
+    const { selectedMeshes } = selectionManager.getSelectionState();
+    transformManager.updateAnchorFromSelection(selectedMeshes);
+    materialPanel.update(selectedMeshes);
+    morphPanel.update(selectedMeshes);
   } catch (error) {
-    console.error('Error importing model', error);
+    if (!controller.signal.aborted) {
+      console.error('Error replacing model', error);
+      notifications.notify({
+        type: 'error',
+        title: `Could not replace the model with ${formatFileNames(files.map((file) => file.name))}`,
+        message: describeError(error, 'The files could not be imported.'),
+      });
+    }
+  } finally {
+    importController = null;
+    panel.setImportBusy(false);
+    sceneManager.updateDimensionTargets();
   }
+}
+
+/**
+ * Сохраняет файл на диск пользователя через временную ссылку.
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  window.setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Имя файла экспорта из названия объекта на вкладке Info.
+ * @param {import('./ui/panel.js').ExportFormat} format
+ * @returns {string}
+ */
+function getExportFileName(format) {
+  const baseName = infoPanel.nameInput?.value.trim().replace(/[\\/:*?"<>|]+/g, '_') || 'model';
+  return `${baseName}.${format}`;
+}
+
+/**
+ * @param {import('./ui/panel.js').ExportFormat} format
+ * @param {string[]} warnings
+ */
+function notifyExportWarnings(format, warnings) {
+  if (warnings.length === 0) {
+    return;
+  }
+  console.warn(`${format.toUpperCase()} export warnings`, warnings);
+  notifications.notify({
+    type: 'warning',
+    title: `${format.toUpperCase()} exported with changes`,
+    message: warnings.slice(0, 3).join(' ') + (warnings.length > 3 ? ` And ${warnings.length - 3} more.` : ''),
+  });
+}
+
+/**
+ * @param {import('./ui/panel.js').ExportFormat} format
+ * @param {unknown} error
+ */
+function notifyExportError(format, error) {
+  console.error(`Error exporting ${format}`, error);
+  notifications.notify({
+    type: 'error',
+    title: `Could not export ${format.toUpperCase()}`,
+    message: describeError(error, 'The scene could not be converted.'),
+  });
+}
+
+/**
+ * Сборка GLB для открытого диалога экспорта с её настройками текстур и варианты, сжатые из неё, по ключу настроек
+ * сжатия. Сбрасывается при закрытии диалога, чтобы не держать собранный файл в памяти.
+ * @type {{
+ *   textureSettings: import('./core/exportManager.js').TextureSettings,
+ *   build: Promise<import('./core/exportManager.js').GlbBuild>,
+ *   variants: Map<string, Promise<import('./core/exportManager.js').ExportResult>>,
+ * } | null}
+ */
+let glbExport = null;
+
+/**
+ * Открывает диалог экспорта GLB. Оценки размеров показываются сразу, настоящие размеры — по мере сборки вариантов.
+ */
+function openGlbExport() {
+  try {
+    startGlbBuild();
+  } catch (error) {
+    notifyExportError('glb', error);
+    return;
+  }
+  exportDialog.open();
+}
+
+/**
+ * Собирает GLB с текущими настройками текстур диалога и обновляет размеры всех способов сжатия.
+ * Бросает исключение, если в сцене нечего экспортировать.
+ */
+function startGlbBuild() {
+  const textureSettings = exportDialog.getTextureSettings();
+  COMPRESSION_METHODS.forEach((method) => {
+    const compression = exportDialog.getCompression(method);
+    exportDialog.setEstimate(method, exportManager.estimateGLBSize(compression, textureSettings));
+  });
+  const session = { textureSettings, build: exportManager.buildGLB(textureSettings), variants: new Map() };
+  glbExport = session;
+  exportDialog.setStatus('');
+  COMPRESSION_METHODS.forEach((method) => {
+    getGlbVariant(session, exportDialog.getCompression(method));
+  });
+}
+
+/**
+ * Возвращает вариант GLB с указанными настройками, собирая его при первом запросе, и показывает его размер.
+ * @param {NonNullable<typeof glbExport>} session
+ * @param {import('./core/glbCompression.js').GeometryCompression} compression
+ * @returns {Promise<import('./core/exportManager.js').ExportResult>}
+ */
+function getGlbVariant(session, compression) {
+  const key = JSON.stringify(compression);
+  let variant = session.variants.get(key);
+  if (!variant) {
+    variant = session.build.then((build) => exportManager.compressGLB(build, compression));
+    session.variants.set(key, variant);
+  }
+  const { method } = compression;
+  // Подпись обновляется, только если за время сборки диалог не закрыли и настройки не поменяли.
+  const isCurrent = () => glbExport === session && JSON.stringify(exportDialog.getCompression(method)) === key;
+  exportDialog.setActualSize(method, null);
+  variant.then(
+    ({ blob }) => {
+      if (isCurrent()) {
+        exportDialog.setActualSize(method, blob.size);
+      }
+    },
+    (error) => {
+      if (isCurrent()) {
+        console.error(`Error building ${method} GLB`, error);
+        exportDialog.setActualSize(method, null, true);
+        exportDialog.setStatus(describeError(error, 'The scene could not be converted.'));
+      }
+    },
+  );
+  return variant;
+}
+
+/**
+ * Выгружает видимые меши в USDZ и скачивает файл. Привязка берётся из типа размещения на вкладке Info.
+ */
+async function exportUSDZ() {
+  panel.setExportBusy(true);
+  try {
+    const { blob, warnings } = await exportManager.exportUSDZ(
+      /** @type {Parameters<ExportManager['exportUSDZ']>[0]} */ (infoPanel.placementSelect?.value),
+    );
+    downloadBlob(blob, getExportFileName('usdz'));
+    notifyExportWarnings('usdz', warnings);
+  } catch (error) {
+    notifyExportError('usdz', error);
+  } finally {
+    panel.setExportBusy(false);
+  }
+}
+
+exportDialog.bindSettingsChange(() => {
+  if (glbExport) {
+    const compression = exportDialog.getCompression('draco');
+    exportDialog.setEstimate('draco', exportManager.estimateGLBSize(compression, glbExport.textureSettings));
+    getGlbVariant(glbExport, compression);
+  }
+});
+exportDialog.bindTextureSettingsChange(() => {
+  if (glbExport) {
+    startGlbBuild();
+  }
+});
+exportDialog.bindDownload(async (compression) => {
+  const session = glbExport;
+  if (!session) {
+    return;
+  }
+  exportDialog.setBusy(true);
+  try {
+    const { blob, warnings } = await getGlbVariant(session, compression);
+    downloadBlob(blob, getExportFileName('glb'));
+    exportDialog.close();
+    notifyExportWarnings('glb', warnings);
+  } catch (error) {
+    console.error('Error exporting glb', error);
+    exportDialog.setStatus(describeError(error, 'The scene could not be converted.'));
+  } finally {
+    exportDialog.setBusy(false);
+  }
+});
+exportDialog.bindClose(() => {
+  glbExport = null;
+});
+
+panel.bindImport(importFiles);
+panel.bindExport((format) => {
+  if (format === 'glb') {
+    openGlbExport();
+  } else {
+    exportUSDZ();
+  }
+});
+panel.bindReplace(replaceFiles);
+panel.bindValidationSelect((uuid) => {
+  selectionManager.selectFromList(uuid, false);
+  const [mesh] = selectionManager.getSelectionState().selectedMeshes;
+  if (mesh?.uuid === uuid) {
+    sceneManager.focusMesh(mesh);
+  }
+});
+panel.bindImportCancel(() => {
+  importController?.abort();
+});
+dropZone.bindDrop(importFiles);
+dropZone.bindDropError((error) => {
+  notifications.notify({
+    type: 'error',
+    title: 'Could not read the dropped files',
+    message: describeError(error, 'Try choosing the files with the Import button instead.'),
+  });
+});
+
+materialPanel.bindTextureError((file, error, retry) => {
+  notifications.notify({
+    type: 'error',
+    title: `Could not load texture ${file.name}`,
+    message: describeError(error, 'The image could not be decoded. Use a PNG, JPEG or WebP file.'),
+    action: { label: 'Retry', handler: retry },
+  });
+});
+
+infoPanel.bindCategoriesError((error) => {
+  notifications.notify({
+    type: 'error',
+    title: 'Could not load catalog categories',
+    message: describeError(error, 'The category list is unavailable.'),
+    action: {
+      label: 'Retry',
+      handler: () => {
+        infoPanel.reloadCategories();
+      },
+    },
+  });
 });
 
 panel.bindSelectAll(() => {
@@ -91,6 +534,7 @@ selectionManager.addEventListener('selectionchange', (event) => {
   transformManager.updateAnchorFromSelection(selectedMeshes);
   inspector.update(selectedMeshes, transformManager.mode);
   materialPanel.update(selectedMeshes);
+  morphPanel.update(selectedMeshes);
   sceneManager.updateDimensionTargets();
 });
 
@@ -0,0 +1,153 @@
+/**
+ * Форматирует время клипа в секундах как `0:00.0`.
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatTime(seconds) {
+  const safe = Math.max(0, seconds);
+  const minutes = Math.floor(safe / 60);
+  const rest = (safe - minutes * 60).toFixed(1).padStart(4, '0');
+  return `${minutes}:${rest}`;
+}
+
+/**
+ * Таймлайн анимаций поверх вьюпорта: выбор клипа, воспроизведение, перемотка и повтор.
+ * Скрыт, пока в сцене нет анимированных моделей.
+ */
+export class AnimationTimeline {
+  /**
+   * @param {HTMLElement} root
+   */
+  constructor(root) {
+    this.root = root;
+    this.clipSelect = /** @type {HTMLSelectElement | null} */ (root.querySelector('[data-animation-clip]'));
+    this.playButton = /** @type {HTMLButtonElement | null} */ (root.querySelector('[data-animation-play]'));
+    this.scrubInput = /** @type {HTMLInputElement | null} */ (root.querySelector('[data-animation-scrub]'));
+    this.timeLabel = /** @type {HTMLElement | null} */ (root.querySelector('[data-animation-time]'));
+    this.loopToggle = /** @type {HTMLInputElement | null} */ (root.querySelector('[data-animation-loop]'));
+    this.playing = false;
+    this.scrubbing = false;
+
+    /** @type {(clipId: string) => void} */
+    this.onClipChange = () => {};
+    /** @type {(play: boolean) => void} */
+    this.onPlayToggle = () => {};
+    /** @type {(time: number) => void} */
+    this.onScrub = () => {};
+    /** @type {(loop: boolean) => void} */
+    this.onLoopChange = () => {};
+
+    this.clipSelect?.addEventListener('change', () => {
+      if (this.clipSelect?.value) {
+        this.onClipChange(this.clipSelect.value);
+      }
+    });
+    this.playButton?.addEventListener('click', () => {
+      this.onPlayToggle(!this.playing);
+    });
+    this.scrubInput?.addEventListener('pointerdown', () => {
+      this.scrubbing = true;
+    });
+    this.scrubInput?.addEventListener('input', () => {
+      this.onScrub(Number(this.scrubInput?.value ?? 0));
+    });
+    ['change', 'pointerup'].forEach((type) => {
+      this.scrubInput?.addEventListener(type, () => {
+        this.scrubbing = false;
+      });
+    });
+    this.loopToggle?.addEventListener('change', () => {
+      this.onLoopChange(Boolean(this.loopToggle?.checked));
+    });
+  }
+
+  /**
+   * @param {(clipId: string) => void} handler
+   */
+  bindClipChange(handler) {
+    this.onClipChange = handler;
+  }
+
+  /**
+   * @param {(play: boolean) => void} handler
+   */
+  bindPlayToggle(handler) {
+    this.onPlayToggle = handler;
+  }
+
+  /**
+   * @param {(time: number) => void} handler
+   */
+  bindScrub(handler) {
+    this.onScrub = handler;
+  }
+
+  /**
+   * @param {(loop: boolean) => void} handler
+   */
+  bindLoopChange(handler) {
+    this.onLoopChange = handler;
+  }
+
+  /**
+   * Заполняет список клипов. Если клипы принадлежат нескольким моделям, к имени добавляется имя файла.
+   * @param {import('../core/animationManager.js').ClipInfo[]} clips
+   */
+  setClips(clips) {
+    this.root.classList.toggle('is-hidden', clips.length === 0);
+    if (!this.clipSelect) {
+      return;
+    }
+    const models = new Set(clips.map((clip) => clip.modelName));
+    const previous = this.clipSelect.value;
+    this.clipSelect.replaceChildren(
+      ...clips.map((clip) => {
+        const option = document.createElement('option');
+        option.value = clip.id;
+        option.textContent = models.size > 1 ? `${clip.name} (${clip.modelName})` : clip.name;
+        return option;
+      }),
+    );
+    if (clips.some((clip) => clip.id === previous)) {
+      this.clipSelect.value = previous;
+    }
+  }
+
+  /**
+   * Отражает состояние воспроизведения.
+   * @param {import('../core/animationManager.js').PlaybackState} state
+   */
+  setState(state) {
+    this.playing = state.playing;
+    if (this.clipSelect && state.clipId) {
+      this.clipSelect.value = state.clipId;
+    }
+    if (this.playButton) {
+      this.playButton.textContent = state.playing ? 'Pause' : 'Play';
+      this.playButton.setAttribute('aria-pressed', String(state.playing));
+      this.playButton.disabled = !state.clipId;
+    }
+    if (this.loopToggle) {
+      this.loopToggle.checked = state.loop;
+    }
+    this.setTime(state.time, state.duration);
+  }
+
+  /**
+   * Обновляет позицию ползунка и подпись времени. Пока пользователь тянет ползунок, позиция не перезаписывается.
+   * @param {number} time
+   * @param {number} duration
+   */
+  setTime(time, duration) {
+    if (this.scrubInput) {
+      this.scrubInput.max = String(duration);
+      this.scrubInput.disabled = duration <= 0;
+      if (!this.scrubbing) {
+        this.scrubInput.value = String(time);
+      }
+    }
+    if (this.timeLabel) {
+      this.timeLabel.textContent = `${formatTime(time)} / ${formatTime(duration)}`;
+    }
+  }
+}
@@ -0,0 +1,165 @@
+/**
+ * Проверяет, что перетаскиваются файлы, а не текст или элементы страницы.
+ * @param {DragEvent} event
+ * @returns {boolean}
+ */
+function hasFiles(event) {
+  const types = event.dataTransfer?.types;
+  return Boolean(types && Array.from(types).includes('Files'));
+}
+
+/**
+ * Считывает все записи каталога (readEntries возвращает их порциями).
+ * @param {FileSystemDirectoryEntry} directory
+ * @returns {Promise<FileSystemEntry[]>}
+ */
+async function readDirectoryEntries(directory) {
+  const reader = directory.createReader();
+  const entries = [];
+  for (;;) {
+    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (batch.length === 0) {
+      return entries;
+    }
+    entries.push(...batch);
+  }
+}
+
+/**
+ * Рекурсивно собирает файлы из записи файловой системы, сохраняя путь относительно перетащенного корня.
+ * @param {FileSystemEntry} entry
+ * @param {File[]} files
+ * @returns {Promise<void>}
+ */
+async function collectEntryFiles(entry, files) {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) =>
+      /** @type {FileSystemFileEntry} */ (entry).file(resolve, reject),
+    );
+    const relativePath = entry.fullPath.replace(/^\/+/, '');
+    if (relativePath && relativePath !== file.name) {
+      // Путь нужен для разрешения ссылок вида "textures/wood.png"; у File из drop он пустой.
+      Object.defineProperty(file, 'webkitRelativePath', { value: relativePath });
+    }
+    files.push(file);
+    return;
+  }
+  if (entry.isDirectory) {
+    const children = await readDirectoryEntries(/** @type {FileSystemDirectoryEntry} */ (entry));
+    for (const child of children) {
+      await collectEntryFiles(child, files);
+    }
+  }
+}
+
+/**
+ * Принимает файлы и папки, перетащенные на вьюпорт или список мешей, и показывает оверлей во время перетаскивания.
+ */
+export class DropZone {
+  /**
+   * @param {HTMLElement[]} targets
+   * @param {HTMLElement | null} overlay
+   */
+  constructor(targets, overlay) {
+    this.targets = targets.filter(Boolean);
+    this.overlay = overlay;
+    this.dragDepth = 0;
+    /** @type {(files: File[]) => void} */
+    this.onDropFiles = () => {};
+    /** @type {(error: unknown) => void} */
+    this.onDropError = () => {};
+
+    for (const target of this.targets) {
+      target.addEventListener('dragenter', (event) => {
+        if (!hasFiles(event)) {
+          return;
+        }
+        event.preventDefault();
+        this.dragDepth += 1;
+        this.#setOverlayVisible(true);
+      });
+      target.addEventListener('dragover', (event) => {
+        if (!hasFiles(event)) {
+          return;
+        }
+        event.preventDefault();
+        if (event.dataTransfer) {
+          event.dataTransfer.dropEffect = 'copy';
+        }
+      });
+      target.addEventListener('dragleave', (event) => {
+        if (!hasFiles(event)) {
+          return;
+        }
+        this.dragDepth = Math.max(0, this.dragDepth - 1);
+        if (this.dragDepth === 0) {
+          this.#setOverlayVisible(false);
+        }
+      });
+      target.addEventListener('drop', (event) => {
+        if (!hasFiles(event)) {
+          return;
+        }
+        event.preventDefault();
+        this.dragDepth = 0;
+        this.#setOverlayVisible(false);
+        this.#handleDrop(event).catch((error) => {
+          console.error('Failed to read dropped files', error);
+          this.onDropError(error);
+        });
+      });
+    }
+  }
+
+  /**
+   * Привязывает обработчик сброшенных файлов.
+   * @param {(files: File[]) => void} handler
+   */
+  bindDrop(handler) {
+    this.onDropFiles = handler;
+  }
+
+  /**
+   * Привязывает обработчик ошибки чтения сброшенных файлов и папок.
+   * @param {(error: unknown) => void} handler
+   */
+  bindDropError(handler) {
+    this.onDropError = handler;
+  }
+
+  /**
+   * Собирает файлы из события drop, раскрывая перетащенные папки.
+   * @param {DragEvent} event
+   */
+  async #handleDrop(event) {
+    const transfer = event.dataTransfer;
+    if (!transfer) {
+      return;
+    }
+    const items = Array.from(transfer.items ?? []);
+    // Записи нужно получить синхронно, до первого await: после него DataTransfer очищается.
+    const entries = items
+      .filter((item) => item.kind === 'file')
+      .map((item) => (typeof item.webkitGetAsEntry === 'function' ? item.webkitGetAsEntry() : null));
+
+    let files = [];
+    if (entries.length > 0 && entries.every(Boolean)) {
+      for (const entry of entries) {
+        await collectEntryFiles(/** @type {FileSystemEntry} */ (entry), files);
+      }
+    } else {
+      files = Array.from(transfer.files ?? []);
+    }
+    if (files.length > 0) {
+      this.onDropFiles(files);
+    }
+  }
+
+  /**
+   * Показывает или скрывает оверлей перетаскивания.
+   * @param {boolean} visible
+   */
+  #setOverlayVisible(visible) {
+    this.overlay?.classList.toggle('is-hidden', !visible);
+  }
+}
@@ -0,0 +1,278 @@
+import { TEXTURE_SETTINGS_DEFAULTS } from '../core/exportManager.js';
+import { DRACO_QUANTIZATION_DEFAULTS, DRACO_QUANTIZATION_RANGE } from '../core/glbCompression.js';
+
+/**
+ * @typedef {import('../core/glbCompression.js').GeometryCompression['method']} CompressionMethod
+ */
+
+/** Способы сжатия в порядке строк диалога. */
+export const COMPRESSION_METHODS = /** @type {const} */ (['none', 'draco', 'quantize']);
+
+/**
+ * Размер файла для подписи: байты, КБ или МБ с одним знаком после запятой.
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatFileSize(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Диалог настроек экспорта GLB: способ сжатия геометрии, биты квантования Draco, размер и формат текстур.
+ * Для каждого способа показывает оценку размера сразу и настоящий размер, когда файл собран.
+ * Сборкой управляет владелец диалога через `bindSettingsChange`, `bindTextureSettingsChange` и `bindDownload`.
+ */
+export class ExportDialog {
+  /**
+   * @param {HTMLDialogElement} root
+   */
+  constructor(root) {
+    this.root = root;
+    this.methodInputs = /** @type {HTMLInputElement[]} */ (
+      Array.from(root.querySelectorAll('[data-export-compression]'))
+    );
+    this.bitInputs = /** @type {HTMLInputElement[]} */ (Array.from(root.querySelectorAll('[data-draco-bits]')));
+    this.dracoSettings = /** @type {HTMLElement | null} */ (root.querySelector('[data-export-draco-settings]'));
+    this.status = /** @type {HTMLElement | null} */ (root.querySelector('[data-export-status]'));
+    this.downloadButton = /** @type {HTMLButtonElement | null} */ (root.querySelector('[data-export-download]'));
+    this.cancelButton = /** @type {HTMLButtonElement | null} */ (root.querySelector('[data-export-cancel]'));
+    this.textureSizeSelect = /** @type {HTMLSelectElement | null} */ (root.querySelector('[data-export-texture-size]'));
+    this.textureFormatSelect = /** @type {HTMLSelectElement | null} */ (
+      root.querySelector('[data-export-texture-format]')
+    );
+    this.textureQualityField = /** @type {HTMLElement | null} */ (
+      root.querySelector('[data-export-texture-quality-field]')
+    );
+    this.textureQualityInput = /** @type {HTMLInputElement | null} */ (
+      root.querySelector('[data-export-texture-quality]')
+    );
+    this.texturePowerOfTwoToggle = /** @type {HTMLInputElement | null} */ (
+      root.querySelector('[data-export-texture-pot]')
+    );
+    /** @type {Map<CompressionMethod, { estimate: HTMLElement | null; actual: HTMLElement | null }>} */
+    this.sizeLabels = new Map(
+      COMPRESSION_METHODS.map((method) => [
+        method,
+        {
+          estimate: root.querySelector(`[data-export-estimate="${method}"]`),
+          actual: root.querySelector(`[data-export-actual="${method}"]`),
+        },
+      ]),
+    );
+
+    /** @type {() => void} */
+    this.onSettingsChange = () => {};
+    /** @type {() => void} */
+    this.onTextureSettingsChange = () => {};
+    /** @type {(compression: import('../core/glbCompression.js').GeometryCompression) => void} */
+    this.onDownload = () => {};
+    /** @type {() => void} */
+    this.onClose = () => {};
+
+    this.bitInputs.forEach((input) => {
+      const key = /** @type {keyof typeof DRACO_QUANTIZATION_DEFAULTS} */ (input.dataset.dracoBits);
+      input.min = String(DRACO_QUANTIZATION_RANGE.min);
+      input.max = String(DRACO_QUANTIZATION_RANGE.max);
+      input.value = String(DRACO_QUANTIZATION_DEFAULTS[key]);
+      input.addEventListener('change', () => {
+        input.value = String(this.#readBits(input));
+        this.onSettingsChange();
+      });
+    });
+    this.methodInputs.forEach((input) => {
+      input.addEventListener('change', () => {
+        this.#syncDracoSettings();
+      });
+    });
+    if (this.textureQualityInput) {
+      this.textureQualityInput.value = String(Math.round(TEXTURE_SETTINGS_DEFAULTS.quality * 100));
+    }
+    [this.textureSizeSelect, this.textureFormatSelect, this.textureQualityInput, this.texturePowerOfTwoToggle].forEach(
+      (control) => {
+        control?.addEventListener('change', () => {
+          this.#syncTextureQuality();
+          this.onTextureSettingsChange();
+        });
+      },
+    );
+    this.downloadButton?.addEventListener('click', () => {
+      this.onDownload(this.getCompression(this.getMethod()));
+    });
+    this.cancelButton?.addEventListener('click', () => {
+      this.root.close();
+    });
+    this.root.addEventListener('close', () => {
+      this.onClose();
+    });
+    this.#syncDracoSettings();
+    this.#syncTextureQuality();
+  }
+
+  /**
+   * Открывает диалог. Подписи размеров заполняет владелец диалога.
+   */
+  open() {
+    this.setStatus('');
+    this.setBusy(false);
+    if (!this.root.open) {
+      this.root.showModal();
+    }
+  }
+
+  close() {
+    this.root.close();
+  }
+
+  /**
+   * @returns {CompressionMethod}
+   */
+  getMethod() {
+    const checked = this.methodInputs.find((input) => input.checked);
+    return /** @type {CompressionMethod} */ (checked?.value ?? 'none');
+  }
+
+  /**
+   * Настройки сжатия для указанного способа с текущими битами квантования Draco.
+   * @param {CompressionMethod} method
+   * @returns {import('../core/glbCompression.js').GeometryCompression}
+   */
+  getCompression(method) {
+    if (method !== 'draco') {
+      return { method };
+    }
+    const quantization = { ...DRACO_QUANTIZATION_DEFAULTS };
+    this.bitInputs.forEach((input) => {
+      quantization[/** @type {keyof typeof quantization} */ (input.dataset.dracoBits)] = this.#readBits(input);
+    });
+    return { method, quantization };
+  }
+
+  /**
+   * Настройки текстур; качество в поле задаётся в процентах.
+   * @returns {import('../core/exportManager.js').TextureSettings}
+   */
+  getTextureSettings() {
+    const maxSize = Number(this.textureSizeSelect?.value);
+    const format = this.textureFormatSelect?.value;
+    const quality = Math.round(this.textureQualityInput?.valueAsNumber ?? NaN);
+    return {
+      maxSize: Number.isFinite(maxSize) && maxSize > 0 ? maxSize : 0,
+      powerOfTwo: Boolean(this.texturePowerOfTwoToggle?.checked),
+      baseColorFormat: format === 'jpeg' || format === 'webp' ? format : 'png',
+      quality: Number.isFinite(quality) ? Math.min(100, Math.max(1, quality)) / 100 : TEXTURE_SETTINGS_DEFAULTS.quality,
+    };
+  }
+
+  /**
+   * @param {CompressionMethod} method
+   * @param {number | null} bytes `null` — оценки ещё нет.
+   */
+  setEstimate(method, bytes) {
+    const label = this.sizeLabels.get(method)?.estimate;
+    if (label) {
+      label.textContent = bytes === null ? '—' : `≈ ${formatFileSize(bytes)}`;
+    }
+  }
+
+  /**
+   * @param {CompressionMethod} method
+   * @param {number | null} bytes `null` — файл ещё собирается.
+   * @param {boolean} [failed] Собрать файл не удалось.
+   */
+  setActualSize(method, bytes, failed = false) {
+    const label = this.sizeLabels.get(method)?.actual;
+    if (label) {
+      if (failed) {
+        label.textContent = 'failed';
+      } else {
+        label.textContent = bytes === null ? 'building…' : formatFileSize(bytes);
+      }
+      label.classList.toggle('export-option__size--pending', bytes === null && !failed);
+    }
+  }
+
+  /**
+   * @param {string} message
+   */
+  setStatus(message) {
+    if (this.status) {
+      this.status.textContent = message;
+      this.status.classList.toggle('is-hidden', !message);
+    }
+  }
+
+  /**
+   * Блокирует скачивание, пока выбранный вариант собирается.
+   * @param {boolean} busy
+   */
+  setBusy(busy) {
+    if (this.downloadButton) {
+      this.downloadButton.disabled = busy;
+    }
+  }
+
+  /**
+   * Вызывается, когда меняются биты квантования Draco.
+   * @param {() => void} handler
+   */
+  bindSettingsChange(handler) {
+    this.onSettingsChange = handler;
+  }
+
+  /**
+   * Вызывается, когда меняются настройки текстур: файл нужно собрать заново.
+   * @param {() => void} handler
+   */
+  bindTextureSettingsChange(handler) {
+    this.onTextureSettingsChange = handler;
+  }
+
+  /**
+   * @param {(compression: import('../core/glbCompression.js').GeometryCompression) => void} handler
+   */
+  bindDownload(handler) {
+    this.onDownload = handler;
+  }
+
+  /**
+   * Вызывается при закрытии диалога любым способом, в том числе клавишей Escape.
+   * @param {() => void} handler
+   */
+  bindClose(handler) {
+    this.onClose = handler;
+  }
+
+  /**
+   * @param {HTMLInputElement} input
+   * @returns {number} Целое число битов в допустимых пределах.
+   */
+  #readBits(input) {
+    const key = /** @type {keyof typeof DRACO_QUANTIZATION_DEFAULTS} */ (input.dataset.dracoBits);
+    const value = Math.round(input.valueAsNumber);
+    if (!Number.isFinite(value)) {
+      return DRACO_QUANTIZATION_DEFAULTS[key];
+    }
+    return Math.min(DRACO_QUANTIZATION_RANGE.max, Math.max(DRACO_QUANTIZATION_RANGE.min, value));
+  }
+
+  #syncDracoSettings() {
+    this.dracoSettings?.classList.toggle('is-hidden', this.getMethod() !== 'draco');
+  }
+
+  /**
+   * Приводит качество к допустимому значению и показывает поле только для JPEG и WebP.
+   */
+  #syncTextureQuality() {
+    const { quality, baseColorFormat } = this.getTextureSettings();
+    if (this.textureQualityInput) {
+      this.textureQualityInput.value = String(Math.round(quality * 100));
+    }
+    this.textureQualityField?.classList.toggle('is-hidden', baseColorFormat === 'png');
+  }
+}
@@ -171,6 +171,8 @@ export class InfoPanel {
     this.categories = null;
     /** @type {CategoryNode | null} */
     this.selectedCategory = null;
+    /** @type {(error: unknown) => void} */
+    this.onCategoriesError = () => {};
     this.#bindTooltipButtons();
     this.#bindCategorySelect();
     this.#bindCoverControls();
@@ -280,6 +282,22 @@ export class InfoPanel {
     await this.#loadCategories();
   }
 
+  /**
+   * Привязывает обработчик ошибки загрузки категорий. Вызывается после того, как список показал ошибку.
+   * @param {(error: unknown) => void} handler
+   */
+  bindCategoriesError(handler) {
+    this.onCategoriesError = handler;
+  }
+
+  /**
+   * Повторно запрашивает категории, например после ошибки сети.
+   * @returns {Promise<void>}
+   */
+  reloadCategories() {
+    return this.#loadCategories();
+  }
+
   /**
    * Загружает категории из API.
    */
@@ -287,6 +305,7 @@ export class InfoPanel {
     if (!this.categorySelect) {
       return;
     }
+    this.categorySelect.querySelector('[data-category-error]')?.remove();
     this.#setCategoryLoading(true);
     try {
       const response = await fetch(CATEGORY_API, { mode: 'cors' });
@@ -302,6 +321,7 @@ export class InfoPanel {
     } catch (error) {
       console.error('Failed to load categories', error);
       this.#setCategoryError();
+      this.onCategoriesError(error);
     } finally {
       this.#setCategoryLoading(false);
     }
@@ -451,6 +471,7 @@ export class InfoPanel {
     const option = document.createElement('option');
     option.value = '';
     option.textContent = this.#translatePath('loadFailed') || 'Failed to load';
+    option.dataset.categoryError = 'true';
     option.disabled = true;
     option.selected = true;
     this.categorySelect.append(option);
@@ -4,6 +4,8 @@ import {
   DataTexture,
   LinearFilter,
   LinearSRGBColorSpace,
+  MeshPhysicalMaterial,
+  MeshStandardMaterial,
   NoBlending,
   NormalBlending,
   RepeatWrapping,
@@ -16,6 +18,8 @@ import { TooltipController } from './tooltip.js';
 const WHITE_PREVIEW = createSolidColorDataUrl(100, 100, [255, 255, 255, 255]);
 const NEUTRAL_NORMAL_PREVIEW = createSolidColorDataUrl(100, 100, [128, 128, 255, 255]);
 const DEFAULT_ORM_PREVIEW = createSolidColorDataUrl(100, 100, [255, 255, 0, 255]);
+const BLACK_PREVIEW = createSolidColorDataUrl(100, 100, [0, 0, 0, 255]);
+const EMISSIVE_STRENGTH_MAX = 10;
 const BAKED_PREVIEW_SIZE = 100;
 let neutralNormalTexture = null;
 
@@ -65,6 +69,60 @@ const ORM_CHANNELS = [
   },
 ];
 
+/**
+ * @typedef {'clearcoat' | 'clearcoat-roughness' | 'sheen-roughness' | 'transmission' | 'ior' | 'thickness'} PhysicalScalarKey
+ */
+
+/**
+ * Скалярные параметры MeshPhysicalMaterial. Значение, отличное от `defaultValue`, переводит стандартный материал в физический.
+ */
+const PHYSICAL_SCALARS = [
+  /** @type {{ key: PhysicalScalarKey; prop: 'clearcoat' | 'clearcoatRoughness' | 'sheenRoughness' | 'transmission' | 'ior' | 'thickness'; min: number; max: number; defaultValue: number; }} */ (
+    {
+      key: 'clearcoat',
+      prop: 'clearcoat',
+      min: 0,
+      max: 1,
+      defaultValue: 0,
+    }
+  ),
+  {
+    key: 'clearcoat-roughness',
+    prop: 'clearcoatRoughness',
+    min: 0,
+    max: 1,
+    defaultValue: 0,
+  },
+  {
+    key: 'sheen-roughness',
+    prop: 'sheenRoughness',
+    min: 0,
+    max: 1,
+    defaultValue: 1,
+  },
+  {
+    key: 'transmission',
+    prop: 'transmission',
+    min: 0,
+    max: 1,
+    defaultValue: 0,
+  },
+  {
+    key: 'ior',
+    prop: 'ior',
+    min: 1,
+    max: 2.333,
+    defaultValue: 1.5,
+  },
+  {
+    key: 'thickness',
+    prop: 'thickness',
+    min: 0,
+    max: 1,
+    defaultValue: 0,
+  },
+];
+
 /**
  * Создает dataURL квадратного изображения заданного цвета.
  * @param {number} width
@@ -447,6 +505,29 @@ export class MaterialPanel {
     this.normalTextureRemove = /** @type {HTMLButtonElement | null} */ (root.querySelector('[data-normal-texture-remove]'));
     this.normalStrengthInput = /** @type {HTMLInputElement | null} */ (root.querySelector('[data-normal-strength]'));
     this.normalStrengthNumber = /** @type {HTMLInputElement | null} */ (root.querySelector('[data-normal-strength-number]'));
+    this.emissiveModeInputs = /** @type {HTMLInputElement[]} */ (Array.from(root.querySelectorAll('[data-emissive-mode]')));
+    this.emissiveControl = /** @type {HTMLElement | null} */ (root.querySelector('[data-emissive-control]'));
+    this.emissiveColorPicker = /** @type {HTMLElement | null} */ (root.querySelector('[data-emissive-color]'));
+    this.emissiveColorPreview = /** @type {HTMLElement | null} */ (root.querySelector('[data-emissive-color-preview]'));
+    this.emissiveColorInput = /** @type {HTMLInputElement | null} */ (root.querySelector('[data-emissive-color-input]'));
+    this.emissiveTexturePicker = /** @type {HTMLElement | null} */ (root.querySelector('[data-emissive-texture]'));
+    this.emissiveTextureTarget = /** @type {HTMLElement | null} */ (root.querySelector('[data-emissive-texture-target]'));
+    this.emissiveTextureImage = /** @type {HTMLImageElement | null} */ (root.querySelector('[data-emissive-texture-image]'));
+    this.emissiveTextureInput = /** @type {HTMLInputElement | null} */ (root.querySelector('[data-emissive-texture-input]'));
+    this.emissiveTextureRemove = /** @type {HTMLButtonElement | null} */ (root.querySelector('[data-emissive-texture-remove]'));
+    this.emissiveStrengthInput = /** @type {HTMLInputElement | null} */ (root.querySelector('[data-emissive-strength]'));
+    this.emissiveStrengthNumber = /** @type {HTMLInputElement | null} */ (root.querySelector('[data-emissive-strength-number]'));
+    this.sheenColorInput = /** @type {HTMLInputElement | null} */ (root.querySelector('[data-sheen-color-input]'));
+    this.sheenColorPreview = /** @type {HTMLElement | null} */ (root.querySelector('[data-sheen-color-preview]'));
+    /** @type {Record<PhysicalScalarKey, { config: typeof PHYSICAL_SCALARS[number]; slider: HTMLInputElement | null; number: HTMLInputElement | null; }>} */
+    this.physicalInputs = /** @type {any} */ ({});
+    for (const scalar of PHYSICAL_SCALARS) {
+      this.physicalInputs[scalar.key] = {
+        config: scalar,
+        slider: /** @type {HTMLInputElement | null} */ (root.querySelector(`[data-physical-${scalar.key}-slider]`)),
+        number: /** @type {HTMLInputElement | null} */ (root.querySelector(`[data-physical-${scalar.key}-number]`)),
+      };
+    }
     this.ormModeInputs = /** @type {HTMLInputElement[]} */ (Array.from(root.querySelectorAll('[data-orm-mode]')));
     this.ormPackedContainer = /** @type {HTMLElement | null} */ (root.querySelector('[data-orm-packed]'));
     this.ormPackedTarget = /** @type {HTMLElement | null} */ (root.querySelector('[data-orm-packed-target]'));
@@ -457,9 +538,12 @@ export class MaterialPanel {
     this.ormScalarContainer = /** @type {HTMLElement | null} */ (root.querySelector('[data-orm-scalar]'));
     this.messageElement = /** @type {HTMLElement | null} */ (root.querySelector('[data-material-message]'));
     this.bodyElement = /** @type {HTMLElement | null} */ (root.querySelector('[data-material-body]'));
+    this.slotContainer = /** @type {HTMLElement | null} */ (root.querySelector('[data-material-slot]'));
+    this.slotSelect = /** @type {HTMLSelectElement | null} */ (root.querySelector('[data-material-slot-select]'));
     this.bakedColorImage = /** @type {HTMLImageElement | null} */ (root.querySelector('[data-baked-color-image]'));
     this.bakedNormalImage = /** @type {HTMLImageElement | null} */ (root.querySelector('[data-baked-normal-image]'));
     this.bakedOrmImage = /** @type {HTMLImageElement | null} */ (root.querySelector('[data-baked-orm-image]'));
+    this.bakedEmissiveImage = /** @type {HTMLImageElement | null} */ (root.querySelector('[data-baked-emissive-image]'));
     this.sectionHelpButtons = /** @type {HTMLButtonElement[]} */ (
       Array.from(root.querySelectorAll('[data-section-help]'))
     );
@@ -516,7 +600,12 @@ export class MaterialPanel {
     this.colorMode = 'color';
     /** @type {import('three').Object3D | null} */
     this.activeMesh = null;
-    /** @type {(import('three').Material & { color?: Color; map?: import('three').Texture | null; normalMap?: import('three').Texture | null; normalScale?: import('three').Vector2 }) | null} */
+    /**
+     * Выбранный слот материала для мешей с массивом материалов; запоминается отдельно для каждого меша.
+     * @type {WeakMap<import('three').Object3D, number>}
+     */
+    this.materialSlots = new WeakMap();
+    /** @type {(import('three').Material & { color?: Color; map?: import('three').Texture | null; normalMap?: import('three').Texture | null; normalScale?: import('three').Vector2; emissive?: Color; emissiveMap?: import('three').Texture | null; emissiveIntensity?: number }) | null} */
     this.activeMaterial = null;
     /** @type {import('three').Texture | null} */
     this.savedColorTexture = null;
@@ -524,6 +613,12 @@ export class MaterialPanel {
     this.savedColorPreview = WHITE_PREVIEW;
     /** @type {string} */
     this.savedColorHex = '#ffffff';
+    /** @type {'color' | 'texture'} */
+    this.emissiveMode = 'color';
+    /** @type {import('three').Texture | null} */
+    this.savedEmissiveTexture = null;
+    /** @type {string} */
+    this.savedEmissiveHex = '#000000';
     /** @type {OpacityMode} */
     this.opacityMode = 'slider';
     /** @type {number} */
@@ -564,6 +659,10 @@ export class MaterialPanel {
     this.bakedNormalPreview = NEUTRAL_NORMAL_PREVIEW;
     /** @type {string} */
     this.bakedOrmPreview = DEFAULT_ORM_PREVIEW;
+    /** @type {string} */
+    this.bakedEmissivePreview = BLACK_PREVIEW;
+    /** @type {(file: File, error: unknown, retry: () => void) => void} */
+    this.onTextureError = () => {};
 
     if (this.colorInput) {
       this.colorInput.value = this.savedColorHex;
@@ -606,6 +705,12 @@ export class MaterialPanel {
     if (this.normalTextureTarget) {
       this.normalTextureTarget.classList.remove('texture-upload--no-preview');
     }
+    if (this.emissiveColorInput) {
+      this.emissiveColorInput.value = this.savedEmissiveHex;
+    }
+    this.#refreshEmissiveColorPreview();
+    this.#updateEmissiveTexturePreview();
+    this.#syncPhysicalInputs(null);
 
     if (this.ormPackedImage) {
       this.ormPackedImage.src = this.ormPackedPreview;
@@ -646,12 +751,21 @@ export class MaterialPanel {
 
     this.#bindEvents();
     this.#updateColorModeView();
+    this.#updateEmissiveModeView();
     this.#updateOpacityAvailability();
     this.#updateOpacityModeView();
     this.#updateOrmModeView();
     this.#showMessage('Select a single mesh to edit its material.');
   }
 
+  /**
+   * Привязывает обработчик ошибок загрузки текстур. `retry` повторяет загрузку того же файла в тот же слот.
+   * @param {(file: File, error: unknown, retry: () => void) => void} handler
+   */
+  bindTextureError(handler) {
+    this.onTextureError = handler;
+  }
+
   /**
    * Синхронизирует панель с текущим выбором.
    * @param {Set<import('three').Object3D>} selection
@@ -666,6 +780,7 @@ export class MaterialPanel {
     }
 
     const [mesh] = selection;
+    this.#syncMaterialSlots(mesh);
     const material = this.#resolveMaterial(mesh);
     if (!material || !material.color || !(material.color instanceof Color)) {
       this.#clearActiveMaterial();
@@ -719,6 +834,8 @@ export class MaterialPanel {
       this.normalStrengthInput.value = String(clamped);
     }
     this.#updateNormalStrengthValue(true);
+    this.#syncEmissiveFromMaterial(material);
+    this.#syncPhysicalInputs(material);
 
     this.#updateColorModeView();
     this.#updateBaseTexturePreview();
@@ -733,6 +850,18 @@ export class MaterialPanel {
    * Настраивает обработчики элементов UI.
    */
   #bindEvents() {
+    if (this.slotSelect) {
+      this.slotSelect.addEventListener('change', () => {
+        const mesh = this.activeMesh;
+        const index = Number(this.slotSelect?.value);
+        if (!mesh || !Number.isInteger(index)) {
+          return;
+        }
+        this.materialSlots.set(mesh, index);
+        this.update(new Set([mesh]));
+      });
+    }
+
     this.modeInputs.forEach((input) => {
       input.addEventListener('change', () => {
         if (!input.checked) {
@@ -909,6 +1038,121 @@ export class MaterialPanel {
       });
     }
 
+    this.emissiveModeInputs.forEach((input) => {
+      input.addEventListener('change', () => {
+        if (!input.checked) {
+          return;
+        }
+        const mode = input.value === 'texture' ? 'texture' : 'color';
+        this.#setEmissiveMode(mode);
+      });
+    });
+
+    if (this.emissiveColorInput) {
+      this.emissiveColorInput.addEventListener('input', () => {
+        this.#applyEmissiveColorFromInput();
+      });
+    }
+
+    if (this.emissiveTextureTarget && this.emissiveTextureInput) {
+      this.emissiveTextureTarget.addEventListener('click', (event) => {
+        if ((event.target instanceof HTMLElement) && event.target.closest('[data-emissive-texture-remove]')) {
+          return;
+        }
+        this.emissiveTextureInput.click();
+      });
+    }
+
+    if (this.emissiveTextureInput) {
+      this.emissiveTextureInput.addEventListener('change', async () => {
+        const file = this.emissiveTextureInput?.files?.[0];
+        if (!file) {
+          return;
+        }
+        await this.#handleEmissiveTextureFile(file);
+        this.emissiveTextureInput.value = '';
+      });
+    }
+
+    if (this.emissiveTextureRemove) {
+      this.emissiveTextureRemove.addEventListener('click', (event) => {
+        event.stopPropagation();
+        this.#handleRemoveEmissiveTexture();
+      });
+    }
+
+    if (this.emissiveStrengthInput) {
+      this.emissiveStrengthInput.addEventListener('input', () => {
+        this.#applyEmissiveStrength();
+      });
+    }
+
+    if (this.emissiveStrengthNumber) {
+      const applyEmissiveNumber = () => {
+        if (!this.emissiveStrengthInput || !this.emissiveStrengthNumber) {
+          return;
+        }
+        const raw = Number.parseFloat(this.emissiveStrengthNumber.value);
+        if (!Number.isFinite(raw)) {
+          if (document.activeElement !== this.emissiveStrengthNumber) {
+            this.#updateEmissiveStrengthValue(true);
+          }
+          return;
+        }
+        const clamped = Math.min(EMISSIVE_STRENGTH_MAX, Math.max(0, raw));
+        this.emissiveStrengthInput.value = String(clamped);
+        this.#applyEmissiveStrength();
+      };
+
+      this.emissiveStrengthNumber.addEventListener('input', applyEmissiveNumber);
+      this.emissiveStrengthNumber.addEventListener('change', applyEmissiveNumber);
+      this.emissiveStrengthNumber.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+          applyEmissiveNumber();
+          this.emissiveStrengthNumber?.blur();
+        }
+      });
+    }
+
+    for (const scalar of PHYSICAL_SCALARS) {
+      const refs = this.physicalInputs[scalar.key];
+      if (refs.slider) {
+        refs.slider.addEventListener('input', () => {
+          const raw = Number.parseFloat(refs.slider?.value ?? '');
+          this.#setPhysicalScalar(scalar.key, raw);
+        });
+      }
+      if (refs.number) {
+        const applyPhysicalNumber = () => {
+          if (!refs.number) {
+            return;
+          }
+          const raw = Number.parseFloat(refs.number.value);
+          if (!Number.isFinite(raw)) {
+            if (document.activeElement !== refs.number) {
+              this.#syncPhysicalInputs(this.activeMaterial);
+            }
+            return;
+          }
+          this.#setPhysicalScalar(scalar.key, raw);
+        };
+        refs.number.addEventListener('input', applyPhysicalNumber);
+        refs.number.addEventListener('change', applyPhysicalNumber);
+        refs.number.addEventListener('keydown', (event) => {
+          if (event.key === 'Enter') {
+            applyPhysicalNumber();
+            refs.number?.blur();
+          }
+        });
+      }
+    }
+
+    if (this.sheenColorInput) {
+      this.sheenColorInput.addEventListener('input', () => {
+        this.#applySheenColorFromInput();
+      });
+    }
+
     this.ormModeInputs.forEach((input) => {
       input.addEventListener('change', () => {
         if (!input.checked) {
@@ -1049,7 +1293,7 @@ export class MaterialPanel {
   }
 
   /**
-   * Возвращает основной материал меша.
+   * Возвращает редактируемый материал меша: для массива материалов — материал выбранного слота.
    * @param {import('three').Object3D} mesh
    */
   #resolveMaterial(mesh) {
@@ -1058,6 +1302,10 @@ export class MaterialPanel {
       return null;
     }
     if (Array.isArray(material)) {
+      const slotMaterial = material[this.materialSlots.get(mesh) ?? 0];
+      if (slotMaterial?.isMaterial) {
+        return slotMaterial;
+      }
       return material.find((item) => item && item.isMaterial) ?? null;
     }
     if (material.isMaterial) {
@@ -1066,6 +1314,32 @@ export class MaterialPanel {
     return null;
   }
 
+  /**
+   * Заполняет список слотов материала. Список виден, только если у меша несколько материалов.
+   * @param {import('three').Object3D} mesh
+   */
+  #syncMaterialSlots(mesh) {
+    const materials = /** @type {any} */ (mesh).material;
+    const slots = Array.isArray(materials) ? materials : [];
+    let index = this.materialSlots.get(mesh) ?? 0;
+    if (index >= slots.length) {
+      index = 0;
+      this.materialSlots.delete(mesh);
+    }
+    if (this.slotSelect) {
+      this.slotSelect.replaceChildren(
+        ...slots.map((material, slot) => {
+          const option = document.createElement('option');
+          option.value = String(slot);
+          option.textContent = material?.name ? `${slot + 1}. ${material.name}` : `Slot ${slot + 1}`;
+          return option;
+        }),
+      );
+      this.slotSelect.value = String(index);
+    }
+    this.slotContainer?.classList.toggle('is-hidden', slots.length < 2);
+  }
+
   /**
    * Применяет выбранный режим цвета.
    * @param {'color' | 'texture'} mode
@@ -1677,6 +1951,7 @@ export class MaterialPanel {
       this.#setOpacityMode('texture', { force: true });
     } catch (error) {
       console.error('Не удалось загрузить текстуру прозрачности', error);
+      this.onTextureError(file, error, () => this.#handleOpacityTextureFile(file));
     }
   }
 
@@ -2196,6 +2471,274 @@ export class MaterialPanel {
     }
   }
 
+  /**
+   * Синхронизирует секцию свечения с материалом.
+   * Цвет свечения, заданный до перехода в режим текстуры, хранится в `userData.__emissiveColorBackup`.
+   * @param {import('three').Material & { emissive?: Color; emissiveMap?: import('three').Texture | null; emissiveIntensity?: number; userData?: any }} material
+   */
+  #syncEmissiveFromMaterial(material) {
+    const emissiveMap = material.emissiveMap ?? null;
+    this.savedEmissiveTexture = emissiveMap;
+    this.emissiveMode = emissiveMap ? 'texture' : 'color';
+    const backup =
+      typeof material.userData?.__emissiveColorBackup === 'string' ? material.userData.__emissiveColorBackup : null;
+    if (backup) {
+      this.savedEmissiveHex = backup.startsWith('#') ? backup : `#${backup}`;
+    } else if (material.emissive instanceof Color && !emissiveMap) {
+      this.savedEmissiveHex = `#${material.emissive.getHexString()}`;
+    } else {
+      this.savedEmissiveHex = '#000000';
+    }
+    if (this.emissiveColorInput) {
+      this.emissiveColorInput.value = this.savedEmissiveHex;
+    }
+    if (this.emissiveStrengthInput) {
+      const raw = Number.isFinite(material.emissiveIntensity) ? Number(material.emissiveIntensity) : 1;
+      this.emissiveStrengthInput.value = String(Math.min(EMISSIVE_STRENGTH_MAX, Math.max(0, raw)));
+    }
+    this.#updateEmissiveStrengthValue(true);
+    this.#refreshEmissiveColorPreview();
+    this.#updateEmissiveTexturePreview();
+    this.#updateEmissiveModeView();
+  }
+
+  /**
+   * Применяет выбранный режим свечения: в режиме текстуры цвет свечения белый, чтобы не затемнять карту.
+   * @param {'color' | 'texture'} mode
+   */
+  #setEmissiveMode(mode) {
+    if (this.emissiveMode === mode) {
+      return;
+    }
+    this.emissiveMode = mode;
+    const material = this.activeMaterial;
+    if (!material || !(material.emissive instanceof Color)) {
+      this.#updateEmissiveModeView();
+      return;
+    }
+    if (mode === 'color') {
+      if (material.emissiveMap) {
+        this.savedEmissiveTexture = material.emissiveMap;
+        material.emissiveMap = null;
+      }
+      material.emissive.set(this.savedEmissiveHex);
+    } else {
+      material.userData = material.userData ?? {};
+      material.userData.__emissiveColorBackup = this.savedEmissiveHex;
+      if (this.savedEmissiveTexture) {
+        material.emissiveMap = this.savedEmissiveTexture;
+        material.emissive.set('#ffffff');
+      } else {
+        // Без карты белый цвет засветил бы меш целиком, поэтому свечение выключено до загрузки текстуры.
+        material.emissive.set('#000000');
+      }
+    }
+    material.needsUpdate = true;
+    this.#updateEmissiveModeView();
+    this.#updateEmissiveTexturePreview();
+    this.#queueBakedUpdate();
+  }
+
+  /**
+   * Обновляет представление секции свечения в зависимости от режима.
+   */
+  #updateEmissiveModeView() {
+    const supported = !this.activeMaterial || this.activeMaterial.emissive instanceof Color;
+    this.emissiveModeInputs.forEach((input) => {
+      input.checked = input.value === this.emissiveMode;
+      input.disabled = !supported;
+    });
+    if (this.emissiveControl) {
+      this.emissiveControl.classList.toggle('is-disabled', !supported);
+    }
+    if (this.emissiveStrengthInput) {
+      this.emissiveStrengthInput.disabled = !supported;
+    }
+    if (this.emissiveStrengthNumber) {
+      this.emissiveStrengthNumber.disabled = !supported;
+    }
+    if (this.emissiveColorPicker) {
+      this.emissiveColorPicker.classList.toggle('is-hidden', this.emissiveMode !== 'color');
+    }
+    if (this.emissiveTexturePicker) {
+      this.emissiveTexturePicker.classList.toggle('is-hidden', this.emissiveMode !== 'texture');
+    }
+    if (this.emissiveColorInput) {
+      this.emissiveColorInput.disabled = !supported || this.emissiveMode !== 'color';
+    }
+  }
+
+  /**
+   * Применяет цвет свечения из color-инпута к материалу.
+   */
+  #applyEmissiveColorFromInput() {
+    if (!this.emissiveColorInput || this.emissiveMode !== 'color') {
+      return;
+    }
+    const value = this.emissiveColorInput.value;
+    if (!value) {
+      return;
+    }
+    this.savedEmissiveHex = value;
+    this.#refreshEmissiveColorPreview();
+    const material = this.activeMaterial;
+    if (!material || !(material.emissive instanceof Color)) {
+      return;
+    }
+    try {
+      material.emissive.set(value);
+      material.userData = material.userData ?? {};
+      material.userData.__emissiveColorBackup = value;
+      material.needsUpdate = true;
+      this.#queueBakedUpdate();
+    } catch (error) {
+      console.warn('Не удалось применить цвет свечения', error);
+    }
+  }
+
+  /**
+   * Обновляет фон превью цвета свечения.
+   */
+  #refreshEmissiveColorPreview() {
+    if (this.emissiveColorPreview) {
+      this.emissiveColorPreview.style.backgroundColor = this.savedEmissiveHex;
+    }
+  }
+
+  /**
+   * Обновляет превью текстуры свечения.
+   */
+  #updateEmissiveTexturePreview() {
+    if (!this.emissiveTextureImage) {
+      return;
+    }
+    const texture = this.activeMaterial?.emissiveMap ?? this.savedEmissiveTexture;
+    const preview = texture ? texture.userData?.__previewUrl ?? getTexturePreview(texture) : null;
+    this.emissiveTextureImage.src = preview ?? BLACK_PREVIEW;
+    if (this.emissiveTextureTarget) {
+      this.emissiveTextureTarget.classList.toggle('texture-upload--no-preview', !preview);
+    }
+  }
+
+  /**
+   * Обновляет текстовое представление силы свечения.
+   */
+  #updateEmissiveStrengthValue(force = false) {
+    if (!this.emissiveStrengthInput) {
+      return;
+    }
+    const value = Number.parseFloat(this.emissiveStrengthInput.value);
+    const normalized = Number.isFinite(value) ? value : 0;
+    if (this.emissiveStrengthNumber && (force || document.activeElement !== this.emissiveStrengthNumber)) {
+      this.emissiveStrengthNumber.value = normalized.toFixed(2);
+    }
+  }
+
+  /**
+   * Синхронизирует секции лака, ткани и пропускания с материалом.
+   * Для нефизического материала показываются значения по умолчанию.
+   * @param {import('three').Material | null} material
+   */
+  #syncPhysicalInputs(material) {
+    const physical = /** @type {any} */ (material)?.isMeshPhysicalMaterial ? /** @type {MeshPhysicalMaterial} */ (material) : null;
+    for (const scalar of PHYSICAL_SCALARS) {
+      const refs = this.physicalInputs[scalar.key];
+      const raw = physical ? physical[scalar.prop] : scalar.defaultValue;
+      const value = Math.min(scalar.max, Math.max(scalar.min, Number.isFinite(raw) ? raw : scalar.defaultValue));
+      if (refs.slider) {
+        refs.slider.value = String(value);
+      }
+      if (refs.number && document.activeElement !== refs.number) {
+        refs.number.value = value.toFixed(2);
+      }
+    }
+    const sheenHex = physical && physical.sheen > 0 ? `#${physical.sheenColor.getHexString()}` : '#000000';
+    if (this.sheenColorInput) {
+      this.sheenColorInput.value = sheenHex;
+    }
+    if (this.sheenColorPreview) {
+      this.sheenColorPreview.style.backgroundColor = sheenHex;
+    }
+  }
+
+  /**
+   * Применяет скалярный параметр физического материала.
+   * @param {PhysicalScalarKey} key
+   * @param {number} value
+   */
+  #setPhysicalScalar(key, value) {
+    const { config } = this.physicalInputs[key];
+    if (!this.activeMaterial || !Number.isFinite(value)) {
+      return;
+    }
+    const clamped = Math.min(config.max, Math.max(config.min, value));
+    const material =
+      clamped === config.defaultValue && !this.activeMaterial.isMeshPhysicalMaterial
+        ? null
+        : this.#ensurePhysicalMaterial();
+    if (material) {
+      material[config.prop] = clamped;
+      material.needsUpdate = true;
+    }
+    this.#syncPhysicalInputs(this.activeMaterial);
+  }
+
+  /**
+   * Применяет цвет ткани из color-инпута. Черный цвет выключает слой ткани.
+   */
+  #applySheenColorFromInput() {
+    if (!this.activeMaterial || !this.sheenColorInput) {
+      return;
+    }
+    const value = this.sheenColorInput.value;
+    const [r, g, b] = parseHexColor(value);
+    const enabled = r + g + b > 0;
+    const material = enabled || this.activeMaterial.isMeshPhysicalMaterial ? this.#ensurePhysicalMaterial() : null;
+    if (material) {
+      material.sheenColor.set(value);
+      material.sheen = enabled ? 1 : 0;
+      material.needsUpdate = true;
+    }
+    if (this.sheenColorPreview) {
+      this.sheenColorPreview.style.backgroundColor = value;
+    }
+  }
+
+  /**
+   * Возвращает активный материал как MeshPhysicalMaterial, при необходимости заменяя стандартный материал меша физическим.
+   * Текстуры и служебные данные в userData переходят в новый материал без копирования.
+   * @returns {MeshPhysicalMaterial | null}
+   */
+  #ensurePhysicalMaterial() {
+    const current = /** @type {any} */ (this.activeMaterial);
+    if (!current || current.isMeshPhysicalMaterial) {
+      return current ?? null;
+    }
+    const mesh = /** @type {any} */ (this.activeMesh);
+    if (!current.isMeshStandardMaterial || !mesh) {
+      return null;
+    }
+    const physical = new MeshPhysicalMaterial();
+    // Material.copy клонирует userData через JSON, что сериализовало бы текстуры из служебных полей.
+    const userData = current.userData;
+    current.userData = {};
+    MeshStandardMaterial.prototype.copy.call(physical, current);
+    current.userData = userData;
+    physical.defines = { STANDARD: '', PHYSICAL: '' };
+    physical.userData = { ...userData };
+    if (Array.isArray(mesh.material)) {
+      const index = mesh.material.indexOf(current);
+      if (index >= 0) {
+        mesh.material[index] = physical;
+      }
+    } else {
+      mesh.material = physical;
+    }
+    current.dispose();
+    this.activeMaterial = physical;
+    return physical;
+  }
+
   /**
    * Обрабатывает загрузку новой базовой текстуры.
    * @param {File} file
@@ -2220,6 +2763,7 @@ export class MaterialPanel {
       this.#queueBakedUpdate();
     } catch (error) {
       console.error('Не удалось загрузить текстуру цвета', error);
+      this.onTextureError(file, error, () => this.#handleBaseTextureFile(file));
     }
   }
 
@@ -2239,6 +2783,39 @@ export class MaterialPanel {
       this.#queueBakedUpdate();
     } catch (error) {
       console.error('Не удалось загрузить нормал-карту', error);
+      this.onTextureError(file, error, () => this.#handleNormalTextureFile(file));
+    }
+  }
+
+  /**
+   * Обрабатывает загрузку текстуры свечения.
+   * @param {File} file
+   */
+  async #handleEmissiveTextureFile(file) {
+    if (!this.activeMaterial) {
+      return;
+    }
+    try {
+      const texture = await this.#loadTexture(file, SRGBColorSpace);
+      const material = this.activeMaterial;
+      if (!material || !(material.emissive instanceof Color)) {
+        return;
+      }
+      if (this.emissiveMode === 'color') {
+        material.userData = material.userData ?? {};
+        material.userData.__emissiveColorBackup = this.savedEmissiveHex;
+      }
+      this.savedEmissiveTexture = texture;
+      this.emissiveMode = 'texture';
+      material.emissiveMap = texture;
+      material.emissive.set('#ffffff');
+      material.needsUpdate = true;
+      this.#updateEmissiveModeView();
+      this.#updateEmissiveTexturePreview();
+      this.#queueBakedUpdate();
+    } catch (error) {
+      console.error('Не удалось загрузить текстуру свечения', error);
+      this.onTextureError(file, error, () => this.#handleEmissiveTextureFile(file));
     }
   }
 
@@ -2257,6 +2834,7 @@ export class MaterialPanel {
       this.#setOrmMode('packed', { force: true });
     } catch (error) {
       console.error('Не удалось загрузить ORM-текстуру', error);
+      this.onTextureError(file, error, () => this.#handlePackedTextureFile(file));
     }
   }
 
@@ -2291,6 +2869,7 @@ export class MaterialPanel {
       this.#setOrmMode('separate', { force: true });
     } catch (error) {
       console.error(`Не удалось загрузить текстуру канала ${channelKey}`, error);
+      this.onTextureError(file, error, () => this.#handleSeparateTextureFile(channelKey, file));
     }
   }
 
@@ -2380,6 +2959,41 @@ export class MaterialPanel {
     this.#queueBakedUpdate();
   }
 
+  /**
+   * Удаляет текстуру свечения и возвращает режим цвета.
+   */
+  #handleRemoveEmissiveTexture() {
+    this.savedEmissiveTexture = null;
+    if (this.activeMaterial?.emissiveMap) {
+      this.activeMaterial.emissiveMap = null;
+      this.activeMaterial.needsUpdate = true;
+    }
+    this.#setEmissiveMode('color');
+    this.#updateEmissiveTexturePreview();
+    this.#queueBakedUpdate();
+  }
+
+  /**
+   * Применяет силу свечения к материалу.
+   */
+  #applyEmissiveStrength() {
+    if (!this.activeMaterial || !this.emissiveStrengthInput) {
+      return;
+    }
+    const value = Number.parseFloat(this.emissiveStrengthInput.value);
+    if (!Number.isFinite(value)) {
+      this.#updateEmissiveStrengthValue();
+      return;
+    }
+    const clamped = Math.min(EMISSIVE_STRENGTH_MAX, Math.max(0, value));
+    if ('emissiveIntensity' in this.activeMaterial) {
+      this.activeMaterial.emissiveIntensity = clamped;
+    }
+    this.emissiveStrengthInput.value = String(clamped);
+    this.#updateEmissiveStrengthValue();
+    this.#queueBakedUpdate();
+  }
+
   /**
    * Загружает текстуру из файла.
    * @param {File} file
@@ -2455,6 +3069,20 @@ export class MaterialPanel {
       this.normalStrengthInput.value = '1';
     }
     this.#updateNormalStrengthValue(true);
+    this.emissiveMode = 'color';
+    this.savedEmissiveTexture = null;
+    this.savedEmissiveHex = '#000000';
+    if (this.emissiveColorInput) {
+      this.emissiveColorInput.value = this.savedEmissiveHex;
+    }
+    if (this.emissiveStrengthInput) {
+      this.emissiveStrengthInput.value = '1';
+    }
+    this.#updateEmissiveStrengthValue(true);
+    this.#refreshEmissiveColorPreview();
+    this.#updateEmissiveTexturePreview();
+    this.#updateEmissiveModeView();
+    this.#syncPhysicalInputs(null);
     if (this.textureTarget) {
       this.textureTarget.classList.remove('texture-upload--no-preview');
     }
@@ -2489,6 +3117,7 @@ export class MaterialPanel {
     this.bakedColorPreview = WHITE_PREVIEW;
     this.bakedNormalPreview = NEUTRAL_NORMAL_PREVIEW;
     this.bakedOrmPreview = DEFAULT_ORM_PREVIEW;
+    this.bakedEmissivePreview = BLACK_PREVIEW;
     if (this.bakedColorImage) {
       this.bakedColorImage.src = this.bakedColorPreview;
     }
@@ -2498,6 +3127,9 @@ export class MaterialPanel {
     if (this.bakedOrmImage) {
       this.bakedOrmImage.src = this.bakedOrmPreview;
     }
+    if (this.bakedEmissiveImage) {
+      this.bakedEmissiveImage.src = this.bakedEmissivePreview;
+    }
   }
 
   /**
@@ -2516,10 +3148,11 @@ export class MaterialPanel {
   async #updateBakedTextures() {
     const requestId = ++this.#bakedUpdateRequestId;
     try {
-      const [color, normal, orm] = await Promise.all([
+      const [color, normal, orm, emissive] = await Promise.all([
         this.#generateBakedColorPreview(BAKED_PREVIEW_SIZE, BAKED_PREVIEW_SIZE),
         this.#generateBakedNormalPreview(BAKED_PREVIEW_SIZE, BAKED_PREVIEW_SIZE),
         this.#generateBakedOrmPreview(BAKED_PREVIEW_SIZE, BAKED_PREVIEW_SIZE),
+        this.#generateBakedEmissivePreview(BAKED_PREVIEW_SIZE, BAKED_PREVIEW_SIZE),
       ]);
       if (requestId !== this.#bakedUpdateRequestId) {
         return;
@@ -2527,9 +3160,11 @@ export class MaterialPanel {
       const colorPreview = color || WHITE_PREVIEW;
       const normalPreview = normal || NEUTRAL_NORMAL_PREVIEW;
       const ormPreview = orm || DEFAULT_ORM_PREVIEW;
+      const emissivePreview = emissive || BLACK_PREVIEW;
       this.bakedColorPreview = colorPreview;
       this.bakedNormalPreview = normalPreview;
       this.bakedOrmPreview = ormPreview;
+      this.bakedEmissivePreview = emissivePreview;
       if (this.bakedColorImage) {
         this.bakedColorImage.src = colorPreview;
       }
@@ -2539,6 +3174,9 @@ export class MaterialPanel {
       if (this.bakedOrmImage) {
         this.bakedOrmImage.src = ormPreview;
       }
+      if (this.bakedEmissiveImage) {
+        this.bakedEmissiveImage.src = emissivePreview;
+      }
     } catch (error) {
       if (requestId === this.#bakedUpdateRequestId) {
         console.error('Не удалось обновить превью запеченных текстур', error);
@@ -2742,6 +3380,66 @@ export class MaterialPanel {
     }
   }
 
+  /**
+   * Формирует запеченную текстуру свечения: цвет или карта, умноженные на силу свечения.
+   * @param {number} width
+   * @param {number} height
+   * @returns {Promise<string>}
+   */
+  async #generateBakedEmissivePreview(width, height) {
+    try {
+      if (!width || !height) {
+        return this.bakedEmissivePreview || BLACK_PREVIEW;
+      }
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      const context = canvas.getContext('2d', { willReadFrequently: true });
+      if (!context) {
+        return this.bakedEmissivePreview || BLACK_PREVIEW;
+      }
+
+      let imageData = null;
+      const emissiveMap = this.activeMaterial?.emissiveMap ?? null;
+      if (this.emissiveMode === 'texture' && emissiveMap) {
+        imageData = await this.#sampleTextureImageData(emissiveMap, width, height);
+      }
+      const emissiveColor = this.activeMaterial?.emissive;
+      const [r, g, b] =
+        this.emissiveMode === 'texture'
+          ? parseHexColor(emissiveColor instanceof Color ? emissiveColor.getHexString() : 'ffffff')
+          : parseHexColor(this.savedEmissiveHex || '#000000');
+      if (!imageData) {
+        const level = this.emissiveMode === 'texture' ? 0 : 255;
+        imageData = context.createImageData(width, height);
+        imageData.data.fill(level);
+      }
+
+      let strength = 1;
+      if (this.emissiveStrengthInput) {
+        const parsed = Number.parseFloat(this.emissiveStrengthInput.value);
+        if (Number.isFinite(parsed)) {
+          strength = parsed;
+        }
+      }
+      const normalizedStrength = Math.min(EMISSIVE_STRENGTH_MAX, Math.max(0, strength));
+
+      const data = imageData.data;
+      for (let index = 0; index < data.length; index += 4) {
+        data[index] = clampChannel(((data[index] * r) / 255) * normalizedStrength);
+        data[index + 1] = clampChannel(((data[index + 1] * g) / 255) * normalizedStrength);
+        data[index + 2] = clampChannel(((data[index + 2] * b) / 255) * normalizedStrength);
+        data[index + 3] = 255;
+      }
+
+      context.putImageData(imageData, 0, 0);
+      return canvas.toDataURL('image/png');
+    } catch (error) {
+      console.warn('Не удалось подготовить запеченную текстуру свечения', error);
+      return this.bakedEmissivePreview || BLACK_PREVIEW;
+    }
+  }
+
   /**
    * Возвращает значения канала ORM.
    * @param {OrmChannelKey} channelKey
@@ -0,0 +1,236 @@
+const MORPH_DEFAULTS_KEY = '__morphDefaults';
+
+/**
+ * Цель морфинга, собранная со всех мешей выбранного объекта.
+ * Части разбитого по материалам меша имеют одинаковые цели, поэтому одна строка управляет ими всеми.
+ * @typedef {{ name: string; bindings: { mesh: import('three').Mesh; index: number }[] }} MorphTarget
+ */
+
+/**
+ * Секция Shape Keys: ползунки весов целей морфинга (morphTargetInfluences) выбранного объекта
+ * и сохранение выбранных весов как весов по умолчанию для экспорта (`userData.__morphDefaults`).
+ * Веса по умолчанию хранятся массивом по индексу цели: у безымянных целей нет имени, общего с экспортом.
+ */
+export class MorphPanel {
+  /**
+   * @param {HTMLElement} root
+   */
+  constructor(root) {
+    this.root = root;
+    this.list = /** @type {HTMLElement | null} */ (root.querySelector('[data-morph-list]'));
+    this.saveButton = /** @type {HTMLButtonElement | null} */ (root.querySelector('[data-morph-save]'));
+    this.revertButton = /** @type {HTMLButtonElement | null} */ (root.querySelector('[data-morph-revert]'));
+    this.status = /** @type {HTMLElement | null} */ (root.querySelector('[data-morph-status]'));
+    /** @type {MorphTarget[]} */
+    this.targets = [];
+    /** @type {Map<string, { slider: HTMLInputElement; number: HTMLInputElement }>} */
+    this.rows = new Map();
+
+    this.saveButton?.addEventListener('click', () => {
+      this.#saveDefaults();
+    });
+    this.revertButton?.addEventListener('click', () => {
+      this.#revertToDefaults();
+    });
+  }
+
+  /**
+   * Синхронизирует секцию с текущим выбором. Секция видна, только если выбран один объект с целями морфинга.
+   * @param {Set<import('three').Object3D>} selection
+   */
+  update(selection) {
+    const [object] = selection?.size === 1 ? selection : [];
+    this.targets = object ? this.#collectTargets(object) : [];
+    this.root.classList.toggle('is-hidden', this.targets.length === 0);
+    this.#renderRows();
+    this.#refreshStatus();
+  }
+
+  /**
+   * Собирает цели морфинга всех мешей объекта, объединяя их по имени.
+   * @param {import('three').Object3D} object
+   * @returns {MorphTarget[]}
+   */
+  #collectTargets(object) {
+    /** @type {Map<string, MorphTarget>} */
+    const targets = new Map();
+    object.traverse((child) => {
+      const mesh = /** @type {import('three').Mesh} */ (child);
+      if (!mesh.isMesh || !mesh.morphTargetInfluences?.length) {
+        return;
+      }
+      const names = this.#getTargetNames(mesh);
+      names.forEach((name, index) => {
+        if (!targets.has(name)) {
+          targets.set(name, { name, bindings: [] });
+        }
+        targets.get(name)?.bindings.push({ mesh, index });
+      });
+    });
+    return Array.from(targets.values());
+  }
+
+  /**
+   * Имена целей меша по индексу; безымянные цели получают имя `Shape N`.
+   * @param {import('three').Mesh} mesh
+   * @returns {string[]}
+   */
+  #getTargetNames(mesh) {
+    const influences = /** @type {number[]} */ (mesh.morphTargetInfluences);
+    const names = influences.map((_value, index) => `Shape ${index + 1}`);
+    Object.entries(mesh.morphTargetDictionary ?? {}).forEach(([name, index]) => {
+      if (index < names.length && !/^\d+$/.test(name)) {
+        names[index] = name;
+      }
+    });
+    return names;
+  }
+
+  #renderRows() {
+    this.rows.clear();
+    if (!this.list) {
+      return;
+    }
+    this.list.replaceChildren(
+      ...this.targets.map((target, targetIndex) => {
+        const row = document.createElement('div');
+        row.className = 'material-slider material-slider--stacked morph-panel__row';
+
+        const id = `morph-target-${targetIndex}`;
+        const label = document.createElement('label');
+        label.className = 'material-slider__label morph-panel__label';
+        label.htmlFor = id;
+        label.textContent = target.name;
+        label.title = target.name;
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.id = id;
+        slider.min = '0';
+        slider.max = '1';
+        slider.step = '0.01';
+        slider.className = 'material-slider__input';
+
+        const number = document.createElement('input');
+        number.type = 'number';
+        number.min = '0';
+        number.max = '1';
+        number.step = '0.01';
+        number.className = 'material-slider__value';
+        number.setAttribute('aria-label', `${target.name} weight`);
+
+        const value = this.#getWeight(target);
+        slider.value = String(value);
+        number.value = value.toFixed(2);
+
+        slider.addEventListener('input', () => {
+          this.#setWeight(target, Number(slider.value));
+          number.value = Number(slider.value).toFixed(2);
+        });
+        const applyFromNumber = () => {
+          const raw = Number.parseFloat(number.value);
+          if (!Number.isFinite(raw)) {
+            return;
+          }
+          const clamped = Math.min(1, Math.max(0, raw));
+          slider.value = String(clamped);
+          this.#setWeight(target, clamped);
+        };
+        number.addEventListener('input', applyFromNumber);
+        number.addEventListener('change', () => {
+          applyFromNumber();
+          number.value = Number(slider.value).toFixed(2);
+        });
+
+        this.rows.set(target.name, { slider, number });
+        row.append(label, slider, number);
+        return row;
+      }),
+    );
+  }
+
+  /**
+   * @param {MorphTarget} target
+   * @returns {number}
+   */
+  #getWeight(target) {
+    const [binding] = target.bindings;
+    return binding?.mesh.morphTargetInfluences?.[binding.index] ?? 0;
+  }
+
+  /**
+   * @param {MorphTarget} target
+   * @param {number} weight
+   */
+  #setWeight(target, weight) {
+    target.bindings.forEach(({ mesh, index }) => {
+      if (mesh.morphTargetInfluences) {
+        mesh.morphTargetInfluences[index] = weight;
+      }
+    });
+    this.#refreshStatus();
+  }
+
+  /**
+   * Запоминает текущие веса в userData каждого меша по индексу цели.
+   */
+  #saveDefaults() {
+    this.targets.forEach((target) => {
+      const weight = this.#getWeight(target);
+      target.bindings.forEach(({ mesh, index }) => {
+        const saved = mesh.userData[MORPH_DEFAULTS_KEY];
+        const defaults = Array.from(mesh.morphTargetInfluences ?? [], (_value, i) => saved?.[i] ?? null);
+        defaults[index] = weight;
+        mesh.userData[MORPH_DEFAULTS_KEY] = defaults;
+      });
+    });
+    this.#refreshStatus();
+  }
+
+  /**
+   * Возвращает сохранённые веса по умолчанию.
+   */
+  #revertToDefaults() {
+    this.targets.forEach((target) => {
+      const saved = this.#getSavedWeight(target);
+      if (saved === null) {
+        return;
+      }
+      this.#setWeight(target, saved);
+      const row = this.rows.get(target.name);
+      if (row) {
+        row.slider.value = String(saved);
+        row.number.value = saved.toFixed(2);
+      }
+    });
+    this.#refreshStatus();
+  }
+
+  /**
+   * @param {MorphTarget} target
+   * @returns {number | null}
+   */
+  #getSavedWeight(target) {
+    const [binding] = target.bindings;
+    const saved = binding?.mesh.userData?.[MORPH_DEFAULTS_KEY]?.[binding.index];
+    return Number.isFinite(saved) ? saved : null;
+  }
+
+  #refreshStatus() {
+    const hasSaved = this.targets.some((target) => this.#getSavedWeight(target) !== null);
+    const isDirty = this.targets.some((target) => {
+      const saved = this.#getSavedWeight(target);
+      return saved === null || Math.abs(saved - this.#getWeight(target)) > 1e-4;
+    });
+    if (this.revertButton) {
+      this.revertButton.disabled = !hasSaved || !isDirty;
+    }
+    if (this.status) {
+      if (!hasSaved) {
+        this.status.textContent = 'Default weights are not saved yet.';
+      } else {
+        this.status.textContent = isDirty ? 'Weights differ from the saved defaults.' : 'Saved defaults are applied.';
+      }
+    }
+  }
+}
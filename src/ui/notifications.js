@@ -0,0 +1,121 @@
+/**
+ * Действие уведомления, например «Retry». После нажатия уведомление закрывается.
+ * @typedef {{ label: string; handler: () => void }} NotificationAction
+ */
+
+/**
+ * `duration` — время показа в миллисекундах; 0 оставляет уведомление, пока его не закроют.
+ * @typedef {{
+ *   type?: 'error' | 'warning' | 'info',
+ *   title: string,
+ *   message?: string,
+ *   action?: NotificationAction,
+ *   duration?: number,
+ * }} NotificationOptions
+ */
+
+/** Время показа по умолчанию: ошибки висят, пока пользователь их не закроет. */
+const DEFAULT_DURATIONS = {
+  error: 0,
+  warning: 10000,
+  info: 5000,
+};
+
+/** Сколько уведомлений показывается одновременно; старые закрываются первыми. */
+const MAX_NOTIFICATIONS = 4;
+
+/**
+ * Превращает ошибку в текст для пользователя. Ошибки чтения файлов и сети заменяются понятными
+ * объяснениями, остальные показываются своим сообщением.
+ * @param {unknown} error
+ * @param {string} fallback Текст для ошибок без сообщения.
+ * @returns {string}
+ */
+export function describeError(error, fallback) {
+  if (error instanceof DOMException && (error.name === 'NotReadableError' || error.name === 'NotFoundError')) {
+    return 'The file could not be read. It may have been moved, renamed or deleted.';
+  }
+  if (error instanceof TypeError && /fetch|network/i.test(error.message)) {
+    return 'The server could not be reached. Check your connection.';
+  }
+  const message = error instanceof Error ? error.message : typeof error === 'string' ? error : '';
+  return message.trim() || fallback;
+}
+
+/**
+ * Стопка всплывающих уведомлений в углу вьюпорта: ошибки и предупреждения, которые иначе видны только в консоли.
+ */
+export class Notifications {
+  /**
+   * @param {HTMLElement} root
+   */
+  constructor(root) {
+    this.root = root;
+  }
+
+  /**
+   * Показывает уведомление.
+   * @param {NotificationOptions} options
+   * @returns {() => void} Закрывает уведомление.
+   */
+  notify({ type = 'info', title, message, action, duration = DEFAULT_DURATIONS[type] }) {
+    const item = document.createElement('div');
+    item.className = `notification notification--${type}`;
+    item.setAttribute('role', type === 'error' ? 'alert' : 'status');
+
+    const body = document.createElement('div');
+    body.className = 'notification__body';
+    const heading = document.createElement('p');
+    heading.className = 'notification__title';
+    heading.textContent = title;
+    body.append(heading);
+    if (message) {
+      const text = document.createElement('p');
+      text.className = 'notification__message';
+      text.textContent = message;
+      body.append(text);
+    }
+
+    let timer = 0;
+    const dismiss = () => {
+      window.clearTimeout(timer);
+      item.remove();
+    };
+
+    if (action) {
+      const actionButton = document.createElement('button');
+      actionButton.type = 'button';
+      actionButton.className = 'notification__action';
+      actionButton.textContent = action.label;
+      actionButton.addEventListener('click', () => {
+        dismiss();
+        action.handler();
+      });
+      body.append(actionButton);
+    }
+
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = 'notification__close';
+    closeButton.setAttribute('aria-label', 'Dismiss notification');
+    closeButton.textContent = '×';
+    closeButton.addEventListener('click', dismiss);
+
+    item.append(body, closeButton);
+    this.root.append(item);
+    while (this.root.children.length > MAX_NOTIFICATIONS) {
+      this.root.firstElementChild?.remove();
+    }
+
+    if (duration > 0) {
+      // Пока курсор над уведомлением, оно не закрывается, чтобы его можно было дочитать.
+      const schedule = () => {
+        timer = window.setTimeout(dismiss, duration);
+      };
+      item.addEventListener('pointerenter', () => window.clearTimeout(timer));
+      item.addEventListener('pointerleave', schedule);
+      schedule();
+    }
+    return dismiss;
+  }
+}
@@ -1,3 +1,27 @@
+import { describeLengthUnit } from '../core/sourceUnits.js';
+
+/** Подписи этапов импорта для индикатора прогресса. */
+const IMPORT_STAGE_LABELS = {
+  reading: 'Reading',
+  parsing: 'Parsing',
+  converting: 'Converting materials',
+  splitting: 'Splitting materials',
+  validating: 'Validating',
+  sanitizing: 'Sanitizing',
+};
+
+/** Подписи источника единиц в итогах импорта. */
+const UNIT_SOURCE_LABELS = {
+  file: 'from file',
+  default: 'assumed',
+  override: 'manual',
+};
+
+/**
+ * Формат файла, в который выгружается сцена.
+ * @typedef {'glb' | 'usdz'} ExportFormat
+ */
+
 /**
  * Левая панель с кнопкой импорта и списком мешей.
  */
@@ -9,8 +33,37 @@ export class Panel {
     this.root = root;
     this.importButton = /** @type {HTMLButtonElement} */ (root.querySelector('[data-import-button]'));
     this.fileInput = /** @type {HTMLInputElement} */ (root.querySelector('[data-file-input]'));
+    this.replaceButton = /** @type {HTMLButtonElement | null} */ (root.querySelector('[data-replace-button]'));
+    this.replaceInput = /** @type {HTMLInputElement | null} */ (root.querySelector('[data-replace-input]'));
+    this.exportButtons = /** @type {HTMLButtonElement[]} */ (Array.from(root.querySelectorAll('[data-export-format]')));
     this.list = /** @type {HTMLUListElement} */ (root.querySelector('[data-mesh-list]'));
     this.selectAllButton = /** @type {HTMLButtonElement} */ (root.querySelector('[data-select-all]'));
+    this.hierarchyToggle = /** @type {HTMLInputElement | null} */ (
+      root.querySelector('[data-import-hierarchy]')
+    );
+    this.keepMultiMaterialToggle = /** @type {HTMLInputElement | null} */ (
+      root.querySelector('[data-import-keep-multi-material]')
+    );
+    this.unitsSelect = /** @type {HTMLSelectElement | null} */ (root.querySelector('[data-import-units]'));
+    this.upAxisSelect = /** @type {HTMLSelectElement | null} */ (root.querySelector('[data-import-up-axis]'));
+    this.importProgress = /** @type {HTMLElement | null} */ (root.querySelector('[data-import-progress]'));
+    this.importProgressLabel = /** @type {HTMLElement | null} */ (
+      root.querySelector('[data-import-progress-label]')
+    );
+    this.importProgressBar = /** @type {HTMLElement | null} */ (
+      root.querySelector('[data-import-progress-bar]')
+    );
+    this.importCancelButton = /** @type {HTMLButtonElement | null} */ (
+      root.querySelector('[data-import-cancel]')
+    );
+    this.importSummary = /** @type {HTMLElement | null} */ (root.querySelector('[data-import-summary]'));
+    this.importSummaryList = /** @type {HTMLUListElement | null} */ (
+      root.querySelector('[data-import-summary-list]')
+    );
+    this.validationReport = /** @type {HTMLElement | null} */ (root.querySelector('[data-validation-report]'));
+    this.validationReportList = /** @type {HTMLUListElement | null} */ (
+      root.querySelector('[data-validation-report-list]')
+    );
     this.tabButtons = /** @type {HTMLButtonElement[]} */ (
       Array.from(root.querySelectorAll('[data-panel-tab]'))
     );
@@ -22,10 +75,18 @@ export class Panel {
     );
     const defaultTab = this.tabButtons.find((button) => button.classList.contains('panel__tab--active'));
     this.activeSection = defaultTab?.getAttribute('data-panel-tab') || 'info';
-    /** @type {(file: File) => void} */
-    this.onImportFile = () => {};
+    /** @type {(files: File[]) => void} */
+    this.onImportFiles = () => {};
+    /** @type {(files: File[]) => void} */
+    this.onReplaceFiles = () => {};
+    /** @type {(format: ExportFormat) => void} */
+    this.onExport = () => {};
     /** @type {() => void} */
     this.onSelectAll = () => {};
+    /** @type {() => void} */
+    this.onImportCancel = () => {};
+    /** @type {(uuid: string) => void} */
+    this.onValidationSelect = () => {};
     this.meshCount = this.list?.children.length ?? 0;
 
     this.#bindTabs();
@@ -39,6 +100,46 @@ export class Panel {
       });
     }
 
+    if (this.replaceButton) {
+      this.replaceButton.addEventListener('click', () => {
+        if (this.replaceInput) {
+          this.replaceInput.value = '';
+          this.replaceInput.click();
+        }
+      });
+    }
+
+    if (this.replaceInput) {
+      this.replaceInput.addEventListener('change', () => {
+        const files = Array.from(this.replaceInput?.files ?? []);
+        if (files.length > 0) {
+          this.onReplaceFiles(files);
+        }
+      });
+    }
+
+    this.exportButtons.forEach((button) => {
+      button.addEventListener('click', () => {
+        this.onExport(/** @type {ExportFormat} */ (button.dataset.exportFormat));
+      });
+    });
+
+    if (this.importCancelButton) {
+      this.importCancelButton.addEventListener('click', () => {
+        this.importCancelButton.disabled = true;
+        this.onImportCancel();
+      });
+    }
+
+    root.querySelector('[data-import-summary-close]')?.addEventListener('click', () => {
+      this.importSummary?.classList.add('is-hidden');
+    });
+
+    root.querySelector('[data-validation-report-close]')?.addEventListener('click', () => {
+      this.validationReportList?.replaceChildren();
+      this.validationReport?.classList.add('is-hidden');
+    });
+
     if (this.selectAllButton) {
       this.selectAllButton.addEventListener('click', () => {
         this.onSelectAll();
@@ -52,7 +153,9 @@ export class Panel {
           return;
         }
         const files = Array.from(this.fileInput.files);
-        files.forEach((file) => this.onImportFile(file));
+        if (files.length > 0) {
+          this.onImportFiles(files);
+        }
       });
     }
   }
@@ -95,11 +198,240 @@ export class Panel {
   }
 
   /**
-   * Привязывает обработчик импорта файла.
-   * @param {(file: File) => void} handler
+   * Привязывает обработчик импорта файлов. Все выбранные файлы передаются одним набором,
+   * чтобы модель могла ссылаться на соседние .bin и текстуры.
+   * @param {(files: File[]) => void} handler
    */
   bindImport(handler) {
-    this.onImportFile = handler;
+    this.onImportFiles = handler;
+  }
+
+  /**
+   * Привязывает обработчик замены модели новой версией файла («Replace from File»).
+   * Как и при импорте, вместе с моделью передаются её ресурсы.
+   * @param {(files: File[]) => void} handler
+   */
+  bindReplace(handler) {
+    this.onReplaceFiles = handler;
+  }
+
+  /**
+   * Привязывает обработчик кнопок экспорта сцены.
+   * @param {(format: ExportFormat) => void} handler
+   */
+  bindExport(handler) {
+    this.onExport = handler;
+  }
+
+  /**
+   * Блокирует кнопки экспорта, пока собирается файл.
+   * @param {boolean} busy
+   */
+  setExportBusy(busy) {
+    this.exportButtons.forEach((button) => {
+      button.disabled = busy;
+    });
+  }
+
+  /**
+   * Возвращает настройки импорта, выбранные в панели.
+   * @returns {import('../core/importManager.js').ImportOptions}
+   */
+  getImportOptions() {
+    const units = this.unitsSelect?.value ?? 'auto';
+    const upAxis = this.upAxisSelect?.value ?? 'auto';
+    return {
+      preserveHierarchy: Boolean(this.hierarchyToggle?.checked),
+      keepMultiMaterial: Boolean(this.keepMultiMaterialToggle?.checked),
+      units: /** @type {import('../core/importManager.js').ImportOptions['units']} */ (units),
+      upAxis: /** @type {import('../core/importManager.js').ImportOptions['upAxis']} */ (upAxis),
+    };
+  }
+
+  /**
+   * Показывает, из каких единиц и оси были переведены импортированные файлы.
+   * @param {import('../core/importManager.js').ImportSummary[]} summaries
+   */
+  showImportSummary(summaries) {
+    if (!this.importSummary || !this.importSummaryList) {
+      return;
+    }
+    this.importSummaryList.replaceChildren(
+      ...summaries.map(({ fileName, units }) => {
+        const item = document.createElement('li');
+        item.className = 'import-summary__item';
+        const file = document.createElement('span');
+        file.className = 'import-summary__file';
+        file.textContent = fileName;
+        const unitName = describeLengthUnit(units.metersPerUnit);
+        const scale =
+          units.metersPerUnit === 1
+            ? `meters (${UNIT_SOURCE_LABELS[units.unitSource]})`
+            : `${unitName} → m, ×${Number(units.metersPerUnit.toPrecision(4))} (${UNIT_SOURCE_LABELS[units.unitSource]})`;
+        const axis =
+          units.upAxis === 'Y'
+            ? `Y-up (${UNIT_SOURCE_LABELS[units.axisSource]})`
+            : `${units.upAxis}-up → Y-up (${UNIT_SOURCE_LABELS[units.axisSource]})`;
+        item.append(file, `: ${scale}; ${axis}`);
+        return item;
+      }),
+    );
+    this.importSummary.classList.toggle('is-hidden', summaries.length === 0);
+  }
+
+  /**
+   * Показывает итог замены модели: сколько мешей обновлено и какие меши добавлены, удалены или не сопоставлены.
+   * @param {import('../core/importManager.js').ReplaceSummary} summary
+   */
+  showReplaceSummary({ fileName, source, replaced, added, removed, unmatched }) {
+    if (!this.importSummary || !this.importSummaryList) {
+      return;
+    }
+    const header = document.createElement('li');
+    header.className = 'import-summary__item';
+    const file = document.createElement('span');
+    file.className = 'import-summary__file';
+    file.textContent = fileName;
+    const target = source === fileName ? '' : ` → ${source}`;
+    header.append(file, `${target}: ${replaced} ${replaced === 1 ? 'mesh' : 'meshes'} updated`);
+    const groups = [
+      ['New', added],
+      ['Removed', removed],
+      ['Unmatched', unmatched],
+    ].filter(([, names]) => names.length > 0);
+    this.importSummaryList.replaceChildren(
+      header,
+      ...groups.map(([label, names]) => {
+        const item = document.createElement('li');
+        item.className = 'import-summary__item';
+        item.textContent = `${label} (${names.length}): ${names.join(', ')}`;
+        return item;
+      }),
+    );
+    this.importSummary.classList.remove('is-hidden');
+  }
+
+  /**
+   * Добавляет в отчёт проверки геометрии меши с проблемами. Отчёт накапливается между импортами,
+   * пока пользователь его не закроет; строки удалённых мешей убираются вместе с ними.
+   * @param {import('../core/geometryValidator.js').GeometryReport[]} reports
+   */
+  addValidationReports(reports) {
+    if (!this.validationReport || !this.validationReportList) {
+      return;
+    }
+    this.validationReportList.append(
+      ...reports.map(({ uuid, name, issues }) => {
+        const item = document.createElement('li');
+        item.className = 'validation-report__mesh';
+        item.dataset.validationUuid = uuid;
+
+        const header = document.createElement('div');
+        header.className = 'validation-report__header';
+        const label = document.createElement('span');
+        label.className = 'validation-report__name';
+        label.textContent = name;
+        label.title = name;
+        const selectButton = document.createElement('button');
+        selectButton.type = 'button';
+        selectButton.className = 'validation-report__select';
+        selectButton.textContent = 'Select';
+        selectButton.setAttribute('aria-label', `Select ${name}`);
+        selectButton.addEventListener('click', () => {
+          this.onValidationSelect(uuid);
+        });
+        header.append(label, selectButton);
+
+        const list = document.createElement('ul');
+        list.className = 'validation-report__issues';
+        list.append(
+          ...issues.map((issue) => {
+            const entry = document.createElement('li');
+            entry.className = `validation-report__issue validation-report__issue--${issue.severity}`;
+            entry.textContent = issue.message;
+            return entry;
+          }),
+        );
+        item.append(header, list);
+        return item;
+      }),
+    );
+    this.validationReport.classList.toggle('is-hidden', this.validationReportList.children.length === 0);
+  }
+
+  /**
+   * Убирает меш из отчёта проверки геометрии, например перед повторной проверкой его новой геометрии.
+   * @param {string} uuid
+   */
+  removeValidationReport(uuid) {
+    this.validationReportList?.querySelector(`[data-validation-uuid="${uuid}"]`)?.remove();
+    if (this.validationReportList?.children.length === 0) {
+      this.validationReport?.classList.add('is-hidden');
+    }
+  }
+
+  /**
+   * Привязывает обработчик ссылки «Select» в отчёте проверки геометрии.
+   * @param {(uuid: string) => void} handler
+   */
+  bindValidationSelect(handler) {
+    this.onValidationSelect = handler;
+  }
+
+  /**
+   * Привязывает обработчик отмены текущего импорта.
+   * @param {() => void} handler
+   */
+  bindImportCancel(handler) {
+    this.onImportCancel = handler;
+  }
+
+  /**
+   * Переключает панель в режим выполняющегося импорта: блокирует кнопку импорта
+   * и показывает или скрывает индикатор прогресса.
+   * @param {boolean} busy
+   */
+  setImportBusy(busy) {
+    if (this.importButton) {
+      this.importButton.disabled = busy;
+    }
+    if (this.replaceButton) {
+      this.replaceButton.disabled = busy;
+    }
+    if (this.importCancelButton) {
+      this.importCancelButton.disabled = false;
+    }
+    this.importProgress?.classList.toggle('is-hidden', !busy);
+    if (busy) {
+      this.showImportProgress(null);
+    }
+  }
+
+  /**
+   * Показывает текущий этап импорта. Если доля выполнения неизвестна, полоса становится «бегущей».
+   * @param {import('../core/importManager.js').ImportProgress | null} progress
+   */
+  showImportProgress(progress) {
+    if (this.importProgressLabel) {
+      if (!progress) {
+        this.importProgressLabel.textContent = 'Importing…';
+      } else {
+        const stage = IMPORT_STAGE_LABELS[progress.stage] ?? progress.stage;
+        const counter = progress.fileCount > 1 ? ` (${progress.fileIndex + 1}/${progress.fileCount})` : '';
+        const note = progress.cancellable ? '' : ' (on the main thread, cannot be cancelled)';
+        this.importProgressLabel.textContent = `${stage} ${progress.fileName}${counter}…${note}`;
+      }
+      this.importProgressLabel.title = this.importProgressLabel.textContent;
+    }
+    // Разбор в основном потоке не прерывается, поэтому кнопка отмены на это время скрывается.
+    this.importCancelButton?.classList.toggle('is-hidden', progress?.cancellable === false);
+    if (this.importProgressBar) {
+      const value = progress?.progress;
+      const indeterminate = typeof value !== 'number';
+      this.importProgressBar.classList.toggle('import-progress__bar--indeterminate', indeterminate);
+      const percent = indeterminate ? 0 : Math.round(Math.min(Math.max(value, 0), 1) * 100);
+      this.importProgressBar.style.width = indeterminate ? '' : `${percent}%`;
+    }
   }
 
   /**
@@ -112,8 +444,12 @@ export class Panel {
 
   /**
    * Создаёт DOM-строку для меша.
+   * Строки вложенных узлов идут сразу за строкой родителя с отступом по глубине;
+   * строки групп получают переключатель сворачивания.
    * @param {{
    *   name: string,
+   *   parent?: HTMLLIElement | null,
+   *   isGroup?: boolean,
    *   onClick: (event: MouseEvent) => void,
    *   onDoubleClick?: (event: MouseEvent) => void,
    *   onHide: () => boolean,
@@ -121,9 +457,29 @@ export class Panel {
    * }} config
    * @returns {HTMLLIElement}
    */
-  createMeshRow({ name, onClick, onDoubleClick, onHide, onDelete }) {
+  createMeshRow({ name, parent = null, isGroup = false, onClick, onDoubleClick, onHide, onDelete }) {
     const li = document.createElement('li');
     li.className = 'mesh-row';
+    const depth = parent ? Number(parent.dataset.depth ?? 0) + 1 : 0;
+    li.dataset.depth = String(depth);
+    li.style.setProperty('--mesh-row-depth', String(depth));
+
+    if (isGroup) {
+      li.classList.add('mesh-row--group');
+      const toggle = document.createElement('button');
+      toggle.type = 'button';
+      toggle.className = 'mesh-row__toggle';
+      toggle.setAttribute('aria-expanded', 'true');
+      toggle.setAttribute('aria-label', 'Collapse group');
+      toggle.addEventListener('click', (event) => {
+        event.stopPropagation();
+        const collapsed = li.classList.toggle('mesh-row--collapsed');
+        toggle.setAttribute('aria-expanded', String(!collapsed));
+        toggle.setAttribute('aria-label', collapsed ? 'Expand group' : 'Collapse group');
+        this.#refreshCollapsedRows();
+      });
+      li.append(toggle);
+    }
 
     const label = document.createElement('div');
     label.className = 'mesh-row__label';
@@ -143,7 +499,10 @@ export class Panel {
     deleteButton.textContent = '×';
 
     li.addEventListener('click', (event) => {
-      if ((event.target instanceof HTMLElement) && event.target.closest('.mesh-row__actions')) {
+      if (
+        event.target instanceof HTMLElement &&
+        event.target.closest('.mesh-row__actions, .mesh-row__toggle')
+      ) {
         return;
       }
       onClick(event);
@@ -153,7 +512,7 @@ export class Panel {
       li.addEventListener('dblclick', (event) => {
         if (
           event.target instanceof HTMLElement &&
-          event.target.closest('.mesh-row__actions')
+          event.target.closest('.mesh-row__actions, .mesh-row__toggle')
         ) {
           return;
         }
@@ -176,6 +535,9 @@ export class Panel {
     actions.append(hideButton, deleteButton);
     li.append(label, actions);
     this.list?.append(li);
+    if (parent) {
+      this.#refreshCollapsedRows();
+    }
     this.meshCount += 1;
     this.#updateSelectAllState();
     return li;
@@ -188,6 +550,7 @@ export class Panel {
   removeMeshRow(uuid) {
     const row = this.list?.querySelector(`[data-uuid="${uuid}"]`);
     row?.remove();
+    this.removeValidationReport(uuid);
     if (this.meshCount > 0) {
       this.meshCount -= 1;
     }
@@ -197,6 +560,27 @@ export class Panel {
     this.#updateSelectAllState();
   }
 
+  /**
+   * Скрывает строки, лежащие внутри свёрнутых групп. Строки потомков идут подряд за строкой группы
+   * и имеют большую глубину, поэтому достаточно одного прохода по списку.
+   */
+  #refreshCollapsedRows() {
+    if (!this.list) {
+      return;
+    }
+    let collapsedDepth = Infinity;
+    for (const row of Array.from(this.list.children)) {
+      const depth = Number(/** @type {HTMLElement} */ (row).dataset.depth ?? 0);
+      if (depth <= collapsedDepth) {
+        collapsedDepth = Infinity;
+      }
+      row.classList.toggle('is-hidden', depth > collapsedDepth);
+      if (collapsedDepth === Infinity && row.classList.contains('mesh-row--collapsed')) {
+        collapsedDepth = depth;
+      }
+    }
+  }
+
   /**
    * Обновляет доступность кнопки массового выбора.
    */